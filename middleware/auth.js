@@ -1,27 +1,106 @@
-const jwt = require('jsonwebtoken');
+const TokenService = require('../services/TokenService');
 
-module.exports = function (req, res, next) {
-    // Get token from header
-    const token = req.header('x-auth-token') || req.header('Authorization')?.replace('Bearer ', '');
+/**
+ * Build the authentication middleware.
+ * Browser sessions (JWT access tokens) can reach every route. Personal API keys
+ * (X-Api-Key header) are only accepted on routes that declare a scope via auth.scope()
+ * and only when the key has been granted that scope.
+ */
+function authenticate(requiredScope = null) {
+    return async function (req, res, next) {
+        const apiKey = req.header('x-api-key');
+        if (apiKey) {
+            return authenticateApiKey(apiKey, requiredScope, req, res, next);
+        }
 
-    // Check if no token
-    if (!token) {
-        return res.status(401).json({
-            msg: 'No token, authorization denied',
+        // Get token from header
+        const token = req.header('x-auth-token') || req.header('Authorization')?.replace('Bearer ', '');
+
+        // Check if no token
+        if (!token) {
+            return res.status(401).json({
+                msg: 'No token, authorization denied',
+                success: false
+            });
+        }
+
+        let decoded;
+        try {
+            // Verify token
+            decoded = TokenService.verifyAccessToken(token);
+        } catch (err) {
+            console.error('Token verification failed:', err.message);
+            return res.status(401).json({
+                msg: 'Token is not valid',
+                success: false
+            });
+        }
+
+        try {
+            // Tokens without a session (issued before refresh tokens existed) can't be revoked, so refuse them
+            const sessionActive = await TokenService.isSessionActive(decoded.sid);
+            if (!sessionActive) {
+                return res.status(401).json({
+                    msg: 'Session has been revoked',
+                    success: false
+                });
+            }
+
+            // Per-session last-seen for GET /api/auth/sessions, without holding up the request
+            TokenService.touchSession(decoded.sid, req.ip).catch(error => {
+                console.error('Error updating session last seen time:', error.message);
+            });
+
+            req.user = decoded.user;
+            req.sessionId = decoded.sid;
+            req.authMethod = 'session';
+            next();
+        } catch (err) {
+            console.error('Session lookup failed:', err.message);
+            res.status(500).json({
+                msg: 'Server error',
+                success: false
+            });
+        }
+    };
+}
+
+async function authenticateApiKey(key, requiredScope, req, res, next) {
+    if (!requiredScope) {
+        return res.status(403).json({
+            msg: 'API keys cannot access this endpoint',
             success: false
         });
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'relevant_fallback_secret_key');
-        req.user = decoded.user;
+        const apiKey = await TokenService.authenticateApiKey(key);
+        if (!apiKey) {
+            return res.status(401).json({
+                msg: 'API key is not valid',
+                success: false
+            });
+        }
+
+        if (!apiKey.scopes.includes(requiredScope)) {
+            return res.status(403).json({
+                msg: `API key is missing the "${requiredScope}" scope`,
+                success: false
+            });
+        }
+
+        req.user = { id: apiKey.userId.toString() };
+        req.apiKey = { id: apiKey._id.toString(), scopes: apiKey.scopes };
+        req.authMethod = 'api_key';
         next();
     } catch (err) {
-        console.error('Token verification failed:', err.message);
-        res.status(401).json({
-            msg: 'Token is not valid',
+        console.error('API key lookup failed:', err.message);
+        res.status(500).json({
+            msg: 'Server error',
             success: false
         });
     }
-};
+}
+
+module.exports = authenticate();
+module.exports.scope = authenticate;
@@ -0,0 +1,33 @@
+const RateLimiter = require('../services/rate-limit/RateLimiter');
+
+// Apply a named limit from RateLimitConfig. Place after auth for limits keyed by user.
+module.exports = function rateLimit(name) {
+    // Fail fast on typos at startup rather than on the first request
+    RateLimiter.getLimit(name);
+
+    return async function (req, res, next) {
+        let result;
+        try {
+            result = await RateLimiter.consume(name, req);
+        } catch (err) {
+            // Don't take the API down because the limiter's store is unavailable
+            console.error(`Rate limit check failed for ${name}:`, err.message);
+            return next();
+        }
+
+        res.set('X-RateLimit-Limit', String(result.limit));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+        res.set('X-RateLimit-Reset', String(Math.ceil(new Date(result.resetAt).getTime() / 1000)));
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({
+                msg: 'Too many requests, please try again later',
+                retryAfter: result.retryAfterSeconds,
+                success: false
+            });
+        }
+
+        next();
+    };
+};
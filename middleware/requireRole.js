@@ -0,0 +1,38 @@
+const User = require('../models/User');
+
+// Must run after the auth middleware. The role is read from the database on every request
+// so promotions and demotions take effect without waiting for tokens to expire.
+module.exports = function requireRole(requiredRole) {
+    if (!User.ROLES.includes(requiredRole)) {
+        throw new Error(`Unknown role "${requiredRole}"`);
+    }
+
+    return async function (req, res, next) {
+        try {
+            const user = await User.findById(req.user.id).select('role');
+
+            if (!user) {
+                return res.status(401).json({
+                    msg: 'User not found',
+                    success: false
+                });
+            }
+
+            if (!User.hasRole(user.role, requiredRole)) {
+                return res.status(403).json({
+                    msg: `Requires ${requiredRole} access`,
+                    success: false
+                });
+            }
+
+            req.user.role = user.role;
+            next();
+        } catch (err) {
+            console.error('Role check failed:', err.message);
+            res.status(500).json({
+                msg: 'Server error',
+                success: false
+            });
+        }
+    };
+};
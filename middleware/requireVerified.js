@@ -0,0 +1,32 @@
+const User = require('../models/User');
+
+// Must run after the auth middleware. Blocks actions that cost money (AI analysis, YouTube quota)
+// until the account's email address has been confirmed.
+module.exports = async function (req, res, next) {
+    try {
+        const user = await User.findById(req.user.id).select('emailVerified');
+
+        if (!user) {
+            return res.status(401).json({
+                msg: 'User not found',
+                success: false
+            });
+        }
+
+        if (!user.emailVerified) {
+            return res.status(403).json({
+                msg: 'Please verify your email address to use this feature',
+                code: 'EMAIL_NOT_VERIFIED',
+                success: false
+            });
+        }
+
+        next();
+    } catch (err) {
+        console.error('Email verification check failed:', err.message);
+        res.status(500).json({
+            msg: 'Server error',
+            success: false
+        });
+    }
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Scopes an API key can be granted. Browser sessions implicitly have all of them.
+const SCOPES = ['feed:read', 'content:write', 'admin:read'];
+
+const ApiKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // Non-secret start of the key, shown in listings so users can tell keys apart
+    prefix: {
+        type: String,
+        required: true,
+    },
+    // SHA-256 of the full key - the raw key is only returned once, at creation
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: SCOPES,
+        }],
+        default: [],
+    },
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+ApiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+ApiKeySchema.statics.SCOPES = SCOPES;
+
+ApiKeySchema.methods.isActive = function () {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.methods.toPublic = function () {
+    return {
+        id: this._id,
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        expiresAt: this.expiresAt,
+        lastUsedAt: this.lastUsedAt,
+        createdAt: this.createdAt,
+        active: this.isActive()
+    };
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens for email verification and password reset
+const AuthTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['email_verification', 'password_reset'],
+        required: true,
+    },
+    // SHA-256 of the token sent to the user - the raw token is never stored
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    usedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+AuthTokenSchema.index({ userId: 1, type: 1 });
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -67,6 +67,16 @@ const ContentSchema = new mongoose.Schema({
         categories: [String],
         tags: [String],
 
+        // Interest-independent quality (0-1) from the content analysis; see ai-analysis/ContentAnalyzer
+        qualityScore: Number,
+        qualityBreakdown: {
+            qualityKeywords: [String],
+            professionalDomains: [String],
+            viewCount: Number,
+            duration: Number, // seconds
+            durationOptimal: Boolean
+        },
+
         // Additional metadata
         complexity: {
             type: String,
@@ -95,6 +105,11 @@ const ContentSchema = new mongoose.Schema({
         fallback: {
             type: Boolean,
             default: false
+        },
+        // ContentAnalyzer version that produced the analysis; older ones are redone
+        version: {
+            type: Number,
+            default: 0
         }
     },
 
@@ -135,5 +150,9 @@ ContentSchema.index({ source: 1, publishedAt: -1 });
 ContentSchema.index({ 'sourceChannel.id': 1, publishedAt: -1 });
 ContentSchema.index({ sourceId: 1 }); // For YouTube video IDs
 ContentSchema.index({ processedAt: -1 }); // For tracking processed content
+// Feed filters by category, complexity and duration
+ContentSchema.index({ 'analysis.categories': 1, publishedAt: -1 });
+ContentSchema.index({ 'analysis.complexity': 1, duration: 1 });
+ContentSchema.index({ duration: 1 });
 
 module.exports = mongoose.model('Content', ContentSchema);
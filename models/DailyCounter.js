@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Per-user counts for a UTC day, used to enforce daily caps atomically (services/feed/DailyCounter)
+const DailyCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Past days are removed by MongoDB
+DailyCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DailyCounter', DailyCounterSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const InterestTree = require('../services/interests/InterestTree');
+
+const InterestPresetSchema = new mongoose.Schema({
+    // URL-safe identifier, e.g. "backend-engineer"
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    description: {
+        type: String,
+        default: '',
+    },
+    // Interest tree in the same shape as User.interests (validated by InterestTree before saving)
+    interests: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    tags: [String],
+    // Unpublished presets are only visible to admins
+    isPublished: {
+        type: Boolean,
+        default: true,
+    },
+    // Shipped with the app (seeded on startup) rather than authored through the admin API
+    isBuiltIn: {
+        type: Boolean,
+        default: false,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+InterestPresetSchema.index({ isPublished: 1, name: 1 });
+
+// Listing shape - the full tree is only returned by the preview/detail endpoints
+InterestPresetSchema.methods.toSummary = function () {
+    return {
+        slug: this.slug,
+        name: this.name,
+        description: this.description,
+        tags: this.tags,
+        categories: Object.keys(this.interests || {}),
+        interestCount: InterestTree.countNodes(this.interests),
+        isPublished: this.isPublished,
+        isBuiltIn: this.isBuiltIn,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('InterestPreset', InterestPresetSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const InterestSuggestionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: ['add_keyword', 'adjust_priority'],
+        required: true,
+    },
+    // Identifies the proposal so the learning job never repeats one that was already decided,
+    // e.g. "add_keyword:ai>llms:rag" or "adjust_priority:ai>llms:7"
+    key: {
+        type: String,
+        required: true,
+    },
+    // Interest the suggestion applies to, root first
+    path: {
+        type: [String],
+        required: true,
+    },
+    // add_keyword
+    keyword: String,
+    // adjust_priority
+    priority: {
+        from: Number,
+        to: Number,
+    },
+    // Interactions the suggestion was learned from
+    evidence: {
+        positive: { type: Number, default: 0 },
+        negative: { type: Number, default: 0 },
+        score: { type: Number, default: 0 },
+        examples: [{
+            _id: false,
+            contentId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Content',
+            },
+            title: String,
+        }],
+    },
+    // expired: no longer supported by recent interactions, or the interest it targets is gone
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected', 'expired'],
+        default: 'pending',
+    },
+    // Accepted by the learning job because the user opted in to auto-apply
+    autoApplied: {
+        type: Boolean,
+        default: false,
+    },
+    resolvedAt: {
+        type: Date,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+InterestSuggestionSchema.index({ userId: 1, key: 1 }, { unique: true });
+InterestSuggestionSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// Shape returned by GET /api/user/interests/suggestions
+InterestSuggestionSchema.methods.toPublic = function () {
+    return {
+        id: this._id,
+        type: this.type,
+        path: this.path,
+        keyword: this.keyword || null,
+        priority: this.type === 'adjust_priority' ? this.priority : null,
+        evidence: this.evidence,
+        status: this.status,
+        autoApplied: this.autoApplied,
+        resolvedAt: this.resolvedAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('InterestSuggestion', InterestSuggestionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const InterestVersionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Per-user counter starting at 1
+    version: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    // Full interest tree after the change, in the same shape as User.interests
+    interests: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    // What made the change. "baseline" is the tree the user had before history was first recorded.
+    source: {
+        type: String,
+        enum: ['baseline', 'replace', 'hierarchical', 'category', 'subcategory', 'delete_category', 'delete_subcategory', 'edit', 'preset', 'import', 'restore', 'learned'],
+        required: true,
+    },
+    author: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        via: {
+            type: String,
+            enum: ['session', 'api_key', 'system'],
+            default: 'session',
+        },
+    },
+    // Set when source is "restore"
+    restoredFrom: {
+        type: Number,
+        default: null,
+    },
+    // Counts from the diff against the previous version
+    summary: {
+        added: { type: Number, default: 0 },
+        removed: { type: Number, default: 0 },
+        changed: { type: Number, default: 0 },
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+InterestVersionSchema.index({ userId: 1, version: -1 }, { unique: true });
+
+// Listing shape for GET /api/user/interests/history - the tree itself is fetched per version
+InterestVersionSchema.methods.toSummary = function () {
+    return {
+        version: this.version,
+        source: this.source,
+        author: {
+            userId: this.author?.userId || null,
+            via: this.author?.via || 'system'
+        },
+        restoredFrom: this.restoredFrom,
+        summary: this.summary,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('InterestVersion', InterestVersionSchema);
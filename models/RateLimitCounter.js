@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Fixed-window counters for the Mongo-backed rate limit store
+const RateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+    },
+    updatedAt: Date,
+});
+
+// Expired windows are removed by MongoDB
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // SHA-256 of the current refresh token - the raw token is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true,
+    },
+    // Number of times the refresh token has been rotated
+    rotationCount: {
+        type: Number,
+        default: 0,
+    },
+    userAgent: String,
+    // IP the session was created from
+    ip: String,
+    // Updated (throttled) whenever the session's access token is used or refreshed
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    lastSeenIp: String,
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'refresh_reuse', 'revoked_by_user', 'admin', null],
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Shape returned by GET /api/auth/sessions - never includes the refresh token hash
+SessionSchema.methods.toPublic = function (currentSessionId = null) {
+    return {
+        id: this._id,
+        userAgent: this.userAgent || null,
+        ip: this.ip || null,
+        lastSeenIp: this.lastSeenIp || this.ip || null,
+        createdAt: this.createdAt,
+        lastSeenAt: this.lastSeenAt || this.createdAt,
+        expiresAt: this.expiresAt,
+        current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+    };
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const encryptedFields = require('./plugins/encryptedFields');
+
+// Ordered from least to most privileged - each role includes the ones before it
+const ROLES = ['user', 'viewer', 'operator', 'admin'];
 
 const UserSchema = new mongoose.Schema({
     email: {
@@ -16,11 +20,80 @@ const UserSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
-    // Hierarchical interests structure
+    // New accounts start unverified. Accounts created before verification existed have no stored
+    // value and are loaded (and saved back) as verified, so they keep access to processing.
+    emailVerified: {
+        type: Boolean,
+        default: function () {
+            return !this.isNew;
+        },
+    },
+    emailVerifiedAt: Date,
+    // TOTP two-factor authentication - secrets are excluded from queries unless explicitly selected
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret generated at enrollment, promoted to `secret` once a code is confirmed
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last accepted time step, so a code can't be replayed inside its window
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                hash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        enabledAt: Date
+    },
+    // Access level for /api/admin: viewer reads stats, operator triggers jobs, admin changes config
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'user',
+    },
+    // Hierarchical interests, nested to any depth - shape and validation live in services/interests/InterestTree
     interests: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
     },
+    // Number of the latest interest history version, bumped in the same update that writes
+    // `interests` (see services/interests/InterestHistoryService). No default: a missing value is
+    // filled in from the history the first time it is needed.
+    interestsVersion: Number,
+    // "Never show me" rules - see services/interests/NegativeInterests
+    negativeInterests: {
+        keywords: [String],
+        // Matched against the AI-assigned analysis.categories
+        categories: [String],
+        channels: [{
+            _id: false,
+            channelId: String,
+            channelTitle: String,
+            mutedAt: {
+                type: Date,
+                default: Date.now,
+            }
+        }]
+    },
+    // Personal synonym groups on top of the global dictionary - see services/ai-analysis/matching
+    synonyms: [{
+        _id: false,
+        term: String,
+        aliases: [String]
+    }],
     youtubeSources: [{
         channelId: String,
         channelTitle: String, // Changed from channelName to channelTitle for consistency
@@ -31,9 +104,16 @@ const UserSchema = new mongoose.Schema({
         }
     }],
     // YouTube OAuth information
+    // OAuth tokens are encrypted at rest (see plugins/encryptedFields) and only loaded on request
     youtubeAuth: {
-        accessToken: String,
-        refreshToken: String,
+        accessToken: {
+            type: String,
+            select: false
+        },
+        refreshToken: {
+            type: String,
+            select: false
+        },
         expiryDate: Date,
         isConnected: {
             type: Boolean,
@@ -57,21 +137,60 @@ const UserSchema = new mongoose.Schema({
             default: 0.7,
             min: 0,
             max: 1
+        },
+        // Apply learned interest suggestions without waiting for the user to accept them
+        autoApplySuggestions: {
+            type: Boolean,
+            default: false
+        },
+        // Feed ranking weights - see services/ranking/FeedRanker
+        ranking: {
+            relevanceWeight: {
+                type: Number,
+                default: 1,
+                min: 0,
+                max: 1
+            },
+            recencyWeight: {
+                type: Number,
+                default: 0.5,
+                min: 0,
+                max: 1
+            },
+            // 0 keeps the blended order, 1 spreads channels and categories as much as possible
+            diversityWeight: {
+                type: Number,
+                default: 0.3,
+                min: 0,
+                max: 1
+            },
+            recencyHalfLifeDays: {
+                type: Number,
+                default: 7,
+                min: 0.5,
+                max: 365
+            }
         }
     },
-    lastActive: {
-        type: Date,
-        default: Date.now,
-    },
     createdAt: {
         type: Date,
         default: Date.now,
     },
 });
 
-// Update lastActive on user queries
-UserSchema.pre('findOneAndUpdate', function () {
-    this.set({ lastActive: new Date() });
+UserSchema.plugin(encryptedFields, {
+    paths: [
+        'youtubeAuth.accessToken',
+        'youtubeAuth.refreshToken',
+        'twoFactor.secret',
+        'twoFactor.pendingSecret'
+    ]
 });
 
+UserSchema.statics.ROLES = ROLES;
+
+UserSchema.statics.hasRole = function (role, requiredRole) {
+    return ROLES.indexOf(role || 'user') >= ROLES.indexOf(requiredRole);
+};
+
 module.exports = mongoose.model('User', UserSchema);
@@ -18,8 +18,16 @@ const UserContentSchema = new mongoose.Schema({
         max: 1,
     },
     matchedInterests: [String],
+    // Why the item matches this user, from the personalization pass (ai-analysis/Personalizer)
+    recommendationReason: String,
     personalizedSummary: String,
     personalizedHighlights: [String],
+    // How the item was scored and let through for this user: keyword hits, quality, AI
+    // reasoning and thresholds (see services/explain/ScoringTrace)
+    scoringTrace: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
 
     // User actions
     viewed: {
@@ -40,6 +48,20 @@ const UserContentSchema = new mongoose.Schema({
         default: false,
     },
 
+    // When the item entered the feed; null while it is held back by the daily budget
+    // (see services/feed/FeedBudgetService)
+    releasedAt: {
+        type: Date,
+        default: Date.now,
+    },
+
+    // Beyond a per-interest daily cap set or lowered after the item was added
+    // (see services/interests/InterestQuotaService)
+    overQuota: {
+        type: Boolean,
+        default: false,
+    },
+
     createdAt: {
         type: Date,
         default: Date.now,
@@ -49,5 +71,14 @@ const UserContentSchema = new mongoose.Schema({
 // Compound index for efficient user queries
 UserContentSchema.index({ userId: 1, relevanceScore: -1, createdAt: -1 });
 UserContentSchema.index({ userId: 1, viewed: 1 });
+UserContentSchema.index({ userId: 1, releasedAt: 1 });
+// Newest-first candidates for the ranked feed
+UserContentSchema.index({ userId: 1, createdAt: -1 });
+// Feed filters (services/feed/FeedFilters)
+UserContentSchema.index({ userId: 1, dismissed: 1, relevanceScore: -1, createdAt: -1 });
+UserContentSchema.index({ userId: 1, contentId: 1 });
+UserContentSchema.index({ userId: 1, matchedInterests: 1 });
+UserContentSchema.index({ userId: 1, liked: 1 });
+UserContentSchema.index({ userId: 1, saved: 1, createdAt: -1 });
 
 module.exports = mongoose.model('UserContent', UserContentSchema);
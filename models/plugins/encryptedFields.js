@@ -0,0 +1,110 @@
+const EncryptionService = require('../../services/EncryptionService');
+
+function getRawValue(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Mongoose plugin for field-level encryption.
+ *  - values are encrypted by a setter on write (documents and update queries)
+ *  - a getter decrypts on read; plaintext values from before encryption pass through
+ *  - values that are plaintext or use a retired key are re-encrypted in the background on first read
+ *  - the fields are always stripped from toJSON, so they never end up in an API response
+ *
+ * Usage: schema.plugin(encryptedFields, { paths: ['youtubeAuth.accessToken'] })
+ */
+module.exports = function encryptedFields(schema, { paths = [] } = {}) {
+    for (const path of paths) {
+        schema.path(path)
+            .set(value => EncryptionService.encrypt(value))
+            .get(value => {
+                try {
+                    return EncryptionService.decrypt(value);
+                } catch (error) {
+                    console.error(`Failed to decrypt ${path}:`, error.message);
+                    return null;
+                }
+            });
+    }
+
+    /**
+     * Re-encrypt the given raw values if needed. Uses the driver directly so the compare-and-set
+     * filter matches the stored bytes instead of being re-encrypted by the setters.
+     */
+    async function migrateRaw(model, rawDoc) {
+        const filter = { _id: rawDoc._id };
+        const updates = {};
+
+        for (const path of paths) {
+            const raw = getRawValue(rawDoc, path);
+            if (!EncryptionService.needsReencryption(raw)) continue;
+
+            filter[path] = raw;
+            updates[path] = EncryptionService.reencrypt(raw);
+        }
+
+        if (Object.keys(updates).length === 0) return false;
+
+        const result = await model.collection.updateOne(filter, { $set: updates });
+        return result.modifiedCount === 1;
+    }
+
+    schema.post('init', function (doc) {
+        const raw = {};
+        for (const path of paths) {
+            raw[path] = doc.get(path, null, { getters: false });
+        }
+
+        const needsMigration = paths.some(path => EncryptionService.needsReencryption(raw[path]));
+        if (!needsMigration) return;
+
+        const rawDoc = { _id: doc._id };
+        for (const path of paths) {
+            const keys = path.split('.');
+            let target = rawDoc;
+            keys.slice(0, -1).forEach(key => {
+                target[key] = target[key] || {};
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = raw[path];
+        }
+
+        migrateRaw(doc.constructor, rawDoc).catch(error => {
+            console.error(`Failed to migrate encrypted fields for ${doc._id}:`, error.message);
+        });
+    });
+
+    const existingTransform = schema.get('toJSON')?.transform;
+    schema.set('toJSON', {
+        ...schema.get('toJSON'),
+        transform(doc, ret, options) {
+            for (const path of paths) {
+                const keys = path.split('.');
+                const parent = getRawValue(ret, keys.slice(0, -1).join('.')) ?? (keys.length === 1 ? ret : undefined);
+                if (parent && typeof parent === 'object') {
+                    delete parent[keys[keys.length - 1]];
+                }
+            }
+            return existingTransform ? existingTransform(doc, ret, options) : ret;
+        }
+    });
+
+    /**
+     * Re-encrypt every stored value with the current key (run after adding a new key)
+     */
+    schema.statics.reencryptSecrets = async function () {
+        const filter = { $or: paths.map(path => ({ [path]: { $exists: true, $nin: [null, ''] } })) };
+        const projection = Object.fromEntries(paths.map(path => [path, 1]));
+
+        let scanned = 0;
+        let updated = 0;
+        for await (const rawDoc of this.collection.find(filter, { projection })) {
+            scanned++;
+            if (await migrateRaw(this, rawDoc)) {
+                updated++;
+            }
+        }
+
+        return { scanned, updated, keyId: EncryptionService.currentKeyId };
+    };
+};
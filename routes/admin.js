@@ -0,0 +1,385 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Content = require('../models/Content');
+const InterestPreset = require('../models/InterestPreset');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole');
+const CronService = require('../services/CronService');
+const JobQueue = require('../services/SimpleJobQueue');
+const AIAnalysisService = require('../services/AIAnalysisServiceRefactored');
+const InterestPresetService = require('../services/interests/InterestPresetService');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated user plus a minimum role.
+// Read-only routes also accept API keys with the admin:read scope.
+
+// Job queue and cron status
+router.get('/jobs/status', auth.scope('admin:read'), requireRole('viewer'), async (req, res) => {
+    try {
+        const queueStats = await JobQueue.getQueueStats();
+        const activeJobs = await JobQueue.getActiveJobs();
+        const cronStatus = CronService.getStatus();
+
+        res.json({
+            success: true,
+            queueStats,
+            activeJobs,
+            cronStatus
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching job status',
+            error: error.message
+        });
+    }
+});
+
+// Manual trigger endpoints for testing
+router.post('/trigger/channel-monitoring', auth, requireRole('operator'), async (req, res) => {
+    try {
+        const result = await CronService.triggerChannelMonitoring();
+        res.json({
+            success: true,
+            msg: 'Channel monitoring triggered',
+            jobId: result.id
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error triggering channel monitoring',
+            error: error.message
+        });
+    }
+});
+
+router.post('/trigger/interest-learning', auth, requireRole('operator'), async (req, res) => {
+    try {
+        const result = await CronService.triggerInterestLearning();
+        res.json({
+            success: true,
+            msg: 'Interest learning triggered',
+            queuedUsers: result.queuedUsers
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error triggering interest learning',
+            error: error.message
+        });
+    }
+});
+
+// AI Analysis cost monitoring endpoint
+router.get('/ai/stats', auth.scope('admin:read'), requireRole('viewer'), async (req, res) => {
+    try {
+        const stats = AIAnalysisService.getAnalysisStats();
+
+        // Get cost data from recent content
+        const recentContent = await Content.find({
+            'aiAnalysis.processingCost': { $exists: true },
+            processedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
+        }).limit(100);
+
+        const costAnalysis = recentContent.reduce((acc, content) => {
+            const cost = content.aiAnalysis.processingCost || 0;
+            const stage = content.aiAnalysis.processingStage || 'unknown';
+
+            acc.totalCost += cost;
+            acc.stageBreakdown[stage] = (acc.stageBreakdown[stage] || 0) + cost;
+            acc.contentProcessed++;
+
+            if (content.costEffectiveAnalysis) {
+                if (content.costEffectiveAnalysis.aiProcessed) {
+                    acc.fullyAnalyzed++;
+                } else if (content.costEffectiveAnalysis.filtered) {
+                    acc.filtered++;
+                } else {
+                    acc.keywordOnly++;
+                }
+            }
+
+            return acc;
+        }, {
+            totalCost: 0,
+            contentProcessed: 0,
+            fullyAnalyzed: 0,
+            keywordOnly: 0,
+            filtered: 0,
+            stageBreakdown: {}
+        });
+
+        res.json({
+            success: true,
+            aiStats: stats,
+            costAnalysis,
+            last24Hours: {
+                totalCost: costAnalysis.totalCost,
+                avgCostPerItem: costAnalysis.contentProcessed > 0 ?
+                    costAnalysis.totalCost / costAnalysis.contentProcessed : 0,
+                processingBreakdown: {
+                    fullyAnalyzed: costAnalysis.fullyAnalyzed,
+                    keywordOnly: costAnalysis.keywordOnly,
+                    filtered: costAnalysis.filtered
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching AI stats',
+            error: error.message
+        });
+    }
+});
+
+// AI Analysis configuration update endpoint
+router.put('/ai/config', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const { config } = req.body;
+
+        if (!config) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Configuration data required'
+            });
+        }
+
+        AIAnalysisService.updateConfig(config);
+
+        res.json({
+            success: true,
+            msg: 'AI analysis configuration updated',
+            newConfig: AIAnalysisService.getAnalysisStats().config
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error updating AI config',
+            error: error.message
+        });
+    }
+});
+
+// List users with elevated roles
+router.get('/users/roles', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const users = await User.find({ role: { $ne: 'user' } }).select('email name role');
+
+        res.json({
+            success: true,
+            users
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching user roles',
+            error: error.message
+        });
+    }
+});
+
+// Change a user's role
+router.put('/users/:id/role', auth, requireRole('admin'), [
+    body('role').isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        // Prevent locking everyone out by demoting yourself
+        if (req.params.id === req.user.id && req.body.role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                msg: 'Admins cannot change their own role'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { role: req.body.role } },
+            { new: true }
+        ).select('email name role');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                msg: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            user,
+            msg: 'Role updated'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error updating role',
+            error: error.message
+        });
+    }
+});
+
+// Interest presets - list every preset, including unpublished drafts
+router.get('/interest-presets', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const presets = await InterestPresetService.listPresets({ includeUnpublished: true });
+
+        res.json({
+            success: true,
+            presets: presets.map(preset => ({
+                ...preset.toSummary(),
+                interests: preset.interests
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest presets',
+            error: error.message
+        });
+    }
+});
+
+// Create an interest preset
+router.post('/interest-presets', auth, requireRole('admin'), [
+    body('slug').matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug must be lowercase letters, digits and dashes'),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const validation = InterestPresetService.validatePresetInput(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const existing = await InterestPreset.exists({ slug: req.body.slug });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                msg: 'A preset with this slug already exists'
+            });
+        }
+
+        const preset = await InterestPreset.create({
+            ...validation.data,
+            slug: req.body.slug,
+            createdBy: req.user.id,
+            updatedBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            preset: { ...preset.toSummary(), interests: preset.interests },
+            msg: 'Preset created'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error creating interest preset',
+            error: error.message
+        });
+    }
+});
+
+// Update an interest preset (any subset of name, description, tags, isPublished, interests)
+router.put('/interest-presets/:slug', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const validation = InterestPresetService.validatePresetInput(req.body, { partial: true });
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const preset = await InterestPreset.findOneAndUpdate(
+            { slug: req.params.slug },
+            { $set: { ...validation.data, updatedBy: req.user.id, updatedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!preset) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Preset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            preset: { ...preset.toSummary(), interests: preset.interests },
+            msg: 'Preset updated'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error updating interest preset',
+            error: error.message
+        });
+    }
+});
+
+// Delete an interest preset. Users who already applied it keep their interests.
+router.delete('/interest-presets/:slug', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const preset = await InterestPreset.findOneAndDelete({ slug: req.params.slug });
+
+        if (!preset) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Preset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            msg: 'Preset deleted'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error deleting interest preset',
+            error: error.message
+        });
+    }
+});
+
+// Re-encrypt stored OAuth tokens and 2FA secrets with the current FIELD_ENCRYPTION_KEY_ID
+router.post('/encryption/rotate', auth, requireRole('admin'), async (req, res) => {
+    try {
+        const result = await User.reencryptSecrets();
+
+        res.json({
+            success: true,
+            ...result,
+            msg: `Re-encrypted secrets for ${result.updated} users`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            msg: 'Error rotating encryption key',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,114 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const RateLimiter = require('../services/rate-limit/RateLimiter');
+const TokenService = require('../services/TokenService');
+const TotpService = require('../services/TotpService');
+const MailService = require('../services/mail/MailService');
 
 const router = express.Router();
 
+// Issue a verification token and mail it; failures are logged, never surfaced to the caller
+async function sendVerificationEmail(user) {
+    try {
+        const token = await TokenService.createOneTimeToken(user._id, 'email_verification');
+        await MailService.sendVerificationEmail(user, token);
+    } catch (error) {
+        console.error('Error sending verification email:', error.message);
+    }
+}
+
+// Issue a reset token and mail it; failures are logged, never surfaced to the caller
+async function sendPasswordResetEmail(user) {
+    try {
+        const token = await TokenService.createOneTimeToken(user._id, 'password_reset');
+        await MailService.sendPasswordResetEmail(user, token, TokenService.oneTimeTokenTtl.password_reset);
+    } catch (error) {
+        console.error('Error sending password reset email:', error.message);
+    }
+}
+
+// Finish a successful login: kick off YouTube sync and issue tokens
+async function completeLogin(user, req, res) {
+    // Automatically sync YouTube subscriptions if connected
+    if (user.youtubeAuth && user.youtubeAuth.isConnected) {
+        try {
+            const YouTubeService = require('../services/YouTubeService');
+            // Sync in the background - don't wait for it to complete
+            YouTubeService.syncUserSubscriptions(user._id.toString()).catch(error => {
+                console.error('Background subscription sync failed:', error);
+            });
+        } catch (error) {
+            console.error('Error initiating background subscription sync:', error);
+        }
+    }
+
+    // Start a session and return access + refresh tokens
+    const { token, refreshToken, expiresIn } = await TokenService.createSession(user, req);
+
+    res.json({
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            emailVerified: user.emailVerified,
+            interests: user.interests,
+            youtubeSources: user.youtubeSources,
+            youtubeConnected: user.youtubeAuth?.isConnected || false,
+            youtubeLastSync: user.youtubeAuth?.lastSyncAt
+        }
+    });
+}
+
+// Check a TOTP or recovery code and consume it atomically so it can't be used twice.
+// Returns 'totp', 'recovery_code' or null.
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+    const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor?.secret) return null;
+
+    if (code) {
+        const step = TotpService.verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+        if (step === null) return null;
+
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $lt: step } },
+                    { 'twoFactor.lastUsedStep': { $exists: false } },
+                    { 'twoFactor.lastUsedStep': null }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                'twoFactor.recoveryCodes': {
+                    $elemMatch: { hash: TotpService.hashRecoveryCode(recoveryCode), usedAt: null }
+                }
+            },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+        );
+        return result.modifiedCount === 1 ? 'recovery_code' : null;
+    }
+
+    return null;
+}
+
 // Register user
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password must be 6 or more characters').isLength({ min: 6 }),
 ], async (req, res) => {
@@ -45,31 +145,25 @@ router.post('/register', [
 
         await user.save();
 
-        // Return JWT
-        const payload = {
+        // Send email verification in the background - don't hold up registration
+        sendVerificationEmail(user);
+
+        // Start a session and return access + refresh tokens
+        const { token, refreshToken, expiresIn } = await TokenService.createSession(user, req);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken,
+            expiresIn,
             user: {
                 id: user.id,
-            },
-        };
-
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'relevant_fallback_secret_key',
-            { expiresIn: '7d' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({
-                    success: true,
-                    token,
-                    user: {
-                        id: user.id,
-                        email: user.email,
-                        name: user.name,
-                        interests: user.interests
-                    }
-                });
+                email: user.email,
+                name: user.name,
+                emailVerified: user.emailVerified,
+                interests: user.interests
             }
-        );
+        });
     } catch (err) {
         console.error('Registration error:', err.message);
         res.status(500).json({
@@ -80,7 +174,7 @@ router.post('/register', [
 });
 
 // Login user
-router.post('/login', [
+router.post('/login', rateLimit('login'), [
     body('email', 'Please include a valid email').isEmail(),
     body('password', 'Password is required').exists(),
 ], async (req, res) => {
@@ -95,73 +189,333 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        // Refuse early while the account is locked out after repeated failures
+        const lockout = await RateLimiter.checkLoginLockout(email);
+        if (lockout.locked) {
+            res.set('Retry-After', String(lockout.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                msg: 'Too many failed login attempts, please try again later',
+                retryAfter: lockout.retryAfterSeconds
+            });
+        }
+
         // Check for user
         let user = await User.findOne({ email });
-        if (!user) {
+        const isMatch = user ? await bcrypt.compare(password, user.password) : false;
+
+        // Unknown emails count as failures too, so lockouts don't reveal which accounts exist
+        if (!isMatch) {
+            await RateLimiter.recordLoginFailure(email);
             return res.status(400).json({
                 success: false,
                 msg: 'Invalid credentials'
             });
         }
 
+        await RateLimiter.clearLoginFailures(email);
+
+        // With 2FA on, the password only earns a challenge token for the second step
+        if (user.twoFactor?.enabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: TokenService.signChallengeToken(user._id)
+            });
+        }
+
+        await completeLogin(user, req, res);
+    } catch (err) {
+        console.error('Login error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during login'
+        });
+    }
+});
+
+// Second login step: exchange a challenge token plus a TOTP or recovery code for real tokens
+router.post('/login/2fa', rateLimit('login'), [
+    body('challengeToken', 'Challenge token is required').notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = TokenService.verifyChallengeToken(challengeToken);
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                msg: 'Login challenge is invalid or has expired'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                msg: 'An authentication code or recovery code is required'
+            });
+        }
+
+        const lockoutKey = `2fa:${userId}`;
+        const lockout = await RateLimiter.checkLoginLockout(lockoutKey);
+        if (lockout.locked) {
+            res.set('Retry-After', String(lockout.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                msg: 'Too many failed attempts, please try again later',
+                retryAfter: lockout.retryAfterSeconds
+            });
+        }
+
+        const method = await verifySecondFactor(userId, { code, recoveryCode });
+        if (!method) {
+            await RateLimiter.recordLoginFailure(lockoutKey);
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid authentication code'
+            });
+        }
+
+        await RateLimiter.clearLoginFailures(lockoutKey);
+
+        const user = await User.findById(userId);
+        await completeLogin(user, req, res);
+    } catch (err) {
+        console.error('Two-factor login error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during login'
+        });
+    }
+});
+
+// Start 2FA enrollment - returns a secret and otpauth:// URI for an authenticator app
+router.post('/2fa/enroll', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('email twoFactor.enabled');
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = TotpService.generateSecret();
+        await User.updateOne(
+            { _id: req.user.id },
+            { $set: { 'twoFactor.pendingSecret': secret } }
+        );
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUri: TotpService.buildOtpauthUri(secret, user.email),
+            msg: 'Scan the code in your authenticator app, then confirm with a generated code'
+        });
+    } catch (err) {
+        console.error('2FA enroll error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error starting two-factor enrollment'
+        });
+    }
+});
+
+// Confirm enrollment with a code from the app - turns 2FA on and returns recovery codes
+router.post('/2fa/confirm', [
+    body('code', 'Authentication code is required').notEmpty(),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret twoFactor.enabled');
+
+        if (user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const pendingSecret = user.twoFactor?.pendingSecret;
+        const step = pendingSecret ? TotpService.verifyCode(pendingSecret, req.body.code) : null;
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid authentication code'
+            });
+        }
+
+        const { codes, hashed } = TotpService.generateRecoveryCodes();
+        await User.updateOne(
+            { _id: req.user.id },
+            {
+                $set: {
+                    'twoFactor.enabled': true,
+                    'twoFactor.secret': pendingSecret,
+                    'twoFactor.lastUsedStep': step,
+                    'twoFactor.recoveryCodes': hashed,
+                    'twoFactor.enabledAt': new Date()
+                },
+                $unset: { 'twoFactor.pendingSecret': '' }
+            }
+        );
+
+        res.json({
+            success: true,
+            recoveryCodes: codes,
+            msg: 'Two-factor authentication enabled - store these recovery codes somewhere safe'
+        });
+    } catch (err) {
+        console.error('2FA confirm error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error confirming two-factor authentication'
+        });
+    }
+});
+
+// Turn 2FA off - requires the password and a current code or recovery code
+router.post('/2fa/disable', rateLimit('login'), [
+    body('password', 'Password is required').notEmpty(),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { password, code, recoveryCode } = req.body;
+        const user = await User.findById(req.user.id).select('password twoFactor.enabled');
+
+        if (!user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const lockoutKey = `2fa:${req.user.id}`;
+        const lockout = await RateLimiter.checkLoginLockout(lockoutKey);
+        if (lockout.locked) {
+            res.set('Retry-After', String(lockout.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                msg: 'Too many failed attempts, please try again later',
+                retryAfter: lockout.retryAfterSeconds
+            });
+        }
+
         const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
+        const method = isMatch ? await verifySecondFactor(req.user.id, { code, recoveryCode }) : null;
+        if (!method) {
+            await RateLimiter.recordLoginFailure(lockoutKey);
             return res.status(400).json({
                 success: false,
                 msg: 'Invalid credentials'
             });
         }
 
-        // Update last active
-        user.lastActive = new Date();
-        await user.save();
+        await RateLimiter.clearLoginFailures(lockoutKey);
 
-        // Automatically sync YouTube subscriptions if connected
-        if (user.youtubeAuth && user.youtubeAuth.isConnected) {
-            try {
-                const YouTubeService = require('../services/YouTubeService');
-                // Sync in the background - don't wait for it to complete
-                YouTubeService.syncUserSubscriptions(user._id.toString()).catch(error => {
-                    console.error('Background subscription sync failed:', error);
-                });
-            } catch (error) {
-                console.error('Error initiating background subscription sync:', error);
+        await User.updateOne(
+            { _id: req.user.id },
+            {
+                $set: { 'twoFactor.enabled': false },
+                $unset: {
+                    'twoFactor.secret': '',
+                    'twoFactor.pendingSecret': '',
+                    'twoFactor.lastUsedStep': '',
+                    'twoFactor.recoveryCodes': '',
+                    'twoFactor.enabledAt': ''
+                }
             }
+        );
+
+        res.json({
+            success: true,
+            msg: 'Two-factor authentication disabled'
+        });
+    } catch (err) {
+        console.error('2FA disable error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error disabling two-factor authentication'
+        });
+    }
+});
+
+// Replace all recovery codes - requires a current authentication code
+router.post('/2fa/recovery-codes', rateLimit('login'), [
+    body('code', 'Authentication code is required').notEmpty(),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
         }
 
-        // Return JWT
-        const payload = {
-            user: {
-                id: user.id,
-            },
-        };
-
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET || 'relevant_fallback_secret_key',
-            { expiresIn: '7d' },
-            (err, token) => {
-                if (err) throw err;
-                res.json({
-                    success: true,
-                    token,
-                    user: {
-                        id: user.id,
-                        email: user.email,
-                        name: user.name,
-                        interests: user.interests,
-                        youtubeSources: user.youtubeSources,
-                        youtubeConnected: user.youtubeAuth?.isConnected || false,
-                        youtubeLastSync: user.youtubeAuth?.lastSyncAt
-                    }
-                });
-            }
+        const lockoutKey = `2fa:${req.user.id}`;
+        const lockout = await RateLimiter.checkLoginLockout(lockoutKey);
+        if (lockout.locked) {
+            res.set('Retry-After', String(lockout.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                msg: 'Too many failed attempts, please try again later',
+                retryAfter: lockout.retryAfterSeconds
+            });
+        }
+
+        const method = await verifySecondFactor(req.user.id, { code: req.body.code });
+        if (!method) {
+            await RateLimiter.recordLoginFailure(lockoutKey);
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid authentication code'
+            });
+        }
+
+        await RateLimiter.clearLoginFailures(lockoutKey);
+
+        const { codes, hashed } = TotpService.generateRecoveryCodes();
+        await User.updateOne(
+            { _id: req.user.id },
+            { $set: { 'twoFactor.recoveryCodes': hashed } }
         );
+
+        res.json({
+            success: true,
+            recoveryCodes: codes,
+            msg: 'New recovery codes generated - the old ones no longer work'
+        });
     } catch (err) {
-        console.error('Login error:', err.message);
+        console.error('Recovery codes error:', err.message);
         res.status(500).json({
             success: false,
-            msg: 'Server error during login'
+            msg: 'Error generating recovery codes'
         });
     }
 });
@@ -183,12 +537,284 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
-// Logout (client-side will remove token)
+// Confirm email address with a verification token
+router.post('/verify-email', [
+    body('token', 'Verification token is required').notEmpty(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const authToken = await TokenService.consumeOneTimeToken(req.body.token, 'email_verification');
+        if (!authToken) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Verification link is invalid or has expired'
+            });
+        }
+
+        await User.updateOne(
+            { _id: authToken.userId },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            msg: 'Email verified successfully'
+        });
+    } catch (err) {
+        console.error('Verify email error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during email verification'
+        });
+    }
+});
+
+// Send a fresh verification email to the current user
+router.post('/resend-verification', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('email name emailVerified');
+
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Email is already verified'
+            });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({
+            success: true,
+            msg: 'Verification email sent'
+        });
+    } catch (err) {
+        console.error('Resend verification error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error'
+        });
+    }
+});
+
+// Request a password reset email
+router.post('/forgot-password', rateLimit('passwordReset'), [
+    body('email', 'Please include a valid email').isEmail(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email }).select('email name');
+
+        // Sent in the background: waiting on it (or failing with it) would tell which emails have accounts
+        if (user) {
+            sendPasswordResetEmail(user);
+        }
+
+        // Same response whether or not the account exists, so emails can't be enumerated
+        res.json({
+            success: true,
+            msg: 'If an account exists for that email, a reset link has been sent'
+        });
+    } catch (err) {
+        console.error('Forgot password error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error'
+        });
+    }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', rateLimit('passwordReset'), [
+    body('token', 'Reset token is required').notEmpty(),
+    body('password', 'Password must be 6 or more characters').isLength({ min: 6 }),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const authToken = await TokenService.consumeOneTimeToken(req.body.token, 'password_reset');
+        if (!authToken) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Reset link is invalid or has expired'
+            });
+        }
+
+        const user = await User.findById(authToken.userId);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Reset link is invalid or has expired'
+            });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(req.body.password, salt);
+        // Receiving the reset mail proves ownership of the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        // Log out every device that used the old password
+        await TokenService.revokeAllSessions(user._id, 'logout_all');
+
+        MailService.sendPasswordChangedEmail(user).catch(error => {
+            console.error('Error sending password changed email:', error.message);
+        });
+
+        res.json({
+            success: true,
+            msg: 'Password has been reset, please log in again'
+        });
+    } catch (err) {
+        console.error('Reset password error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during password reset'
+        });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', rateLimit('tokenRefresh'), [
+    body('refreshToken', 'Refresh token is required').notEmpty(),
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await TokenService.rotateRefreshToken(req.body.refreshToken, req);
+
+        if (!result.success) {
+            return res.status(401).json({
+                success: false,
+                msg: result.reason === 'reuse_detected'
+                    ? 'Refresh token reuse detected, session revoked'
+                    : 'Refresh token is not valid',
+                reason: result.reason
+            });
+        }
+
+        res.json({
+            success: true,
+            token: result.token,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+    } catch (err) {
+        console.error('Token refresh error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during token refresh'
+        });
+    }
+});
+
+// Logout - revokes the current session
 router.post('/logout', auth, async (req, res) => {
-    res.json({
-        success: true,
-        msg: 'Logged out successfully'
-    });
+    try {
+        await TokenService.revokeSession(req.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            msg: 'Logged out successfully'
+        });
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during logout'
+        });
+    }
+});
+
+// Logout everywhere - revokes every session for the user
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revokedCount = await TokenService.revokeAllSessions(req.user.id, 'logout_all');
+
+        res.json({
+            success: true,
+            revokedCount,
+            msg: 'Logged out of all sessions'
+        });
+    } catch (err) {
+        console.error('Logout all error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Server error during logout'
+        });
+    }
+});
+
+// List active sessions (logged-in devices) for the current user
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await TokenService.listSessions(req.user.id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => session.toPublic(req.sessionId))
+        });
+    } catch (err) {
+        console.error('List sessions error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching sessions'
+        });
+    }
+});
+
+// Revoke a single session, e.g. a lost device. Its refresh token and access tokens stop working immediately.
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+    try {
+        const revoked = await TokenService.revokeUserSession(req.user.id, req.params.sessionId);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            current: req.params.sessionId === req.sessionId,
+            msg: 'Session revoked'
+        });
+    } catch (err) {
+        console.error('Revoke session error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error revoking session'
+        });
+    }
 });
 
 module.exports = router;
@@ -1,17 +1,146 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Content = require('../models/Content');
 const UserContent = require('../models/UserContent');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const requireVerified = require('../middleware/requireVerified');
+const rateLimit = require('../middleware/rateLimit');
 const YouTubeService = require('../services/YouTubeService');
 const AIAnalysisService = require('../services/AIAnalysisServiceRefactored');
 const JobQueue = require('../services/SimpleJobQueue');
+const NegativeInterests = require('../services/interests/NegativeInterests');
+const CursorPagination = require('../services/pagination/CursorPagination');
+const FeedRanker = require('../services/ranking/FeedRanker');
+const FeedBudgetService = require('../services/feed/FeedBudgetService');
+const InterestTree = require('../services/interests/InterestTree');
+const InterestQuotaService = require('../services/interests/InterestQuotaService');
+const FeedFilters = require('../services/feed/FeedFilters');
+const ScoringTrace = require('../services/explain/ScoringTrace');
 
 const router = express.Router();
 
+// Content filter hiding everything the user's negative interests block (null when there are none)
+async function getNegativeInterestsQuery(userId) {
+    const user = await User.findById(userId).select('negativeInterests');
+    return NegativeInterests.buildContentQuery(user?.negativeInterests);
+}
+
+// Total UserContent entries matching filter whose content isn't blocked, or null on later pages
+// unless ?withTotal=true (see CursorPagination.parse)
+async function countVisibleUserContent(filter, contentMatch, paging) {
+    if (!paging.withTotal) return null;
+
+    if (!contentMatch || Object.keys(contentMatch).length === 0) {
+        return UserContent.countDocuments(filter);
+    }
+
+    const [result] = await UserContent.aggregate([
+        { $match: { ...filter, userId: new mongoose.Types.ObjectId(filter.userId) } },
+        {
+            $lookup: {
+                from: Content.collection.name,
+                let: { contentId: '$contentId' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$contentId'] } } },
+                    { $match: contentMatch },
+                    { $project: { _id: 1 } }
+                ],
+                as: 'content'
+            }
+        },
+        { $match: { 'content.0': { $exists: true } } },
+        { $count: 'total' }
+    ]);
+
+    return result ? result.total : 0;
+}
+
+// Sort orders for the paginated lists. Each ends with _id so cursor positions are unique.
+const FEED_SORT = [['relevanceScore', -1], ['createdAt', -1], ['_id', -1]];
+const DATE_SORT = [['createdAt', -1], ['_id', -1]];
+const POPULARITY_SORT = [['popularity', -1], ['_id', -1]];
+
+// One page of the ranked feed. Ranking covers the newest candidates as of the first page; the
+// cursor carries that moment and an offset, so later pages rank the same set the same way.
+// Blocked and deleted content is left out before the candidates are cut off.
+async function findRankedFeed(filter, contentMatch, paging, weights) {
+    const [asOf, offset] = paging.after || [new Date(), paging.skip];
+
+    const candidates = await UserContent.aggregate([
+        { $match: { ...filter, userId: new mongoose.Types.ObjectId(filter.userId), createdAt: { $lte: asOf } } },
+        { $sort: { createdAt: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: Content.collection.name,
+                let: { contentId: '$contentId' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$contentId'] } } },
+                    ...(contentMatch ? [{ $match: contentMatch }] : []),
+                    { $project: { publishedAt: 1, sourceChannel: 1, 'analysis.categories': 1 } }
+                ],
+                as: 'contentId'
+            }
+        },
+        { $unwind: '$contentId' },
+        { $limit: FeedRanker.RANKING.maxCandidates },
+        { $project: { relevanceScore: 1, createdAt: 1, contentId: 1 } }
+    ]);
+
+    const ranked = FeedRanker.rank(candidates, { weights, now: asOf });
+    const entries = ranked.slice(offset, offset + paging.limit);
+
+    // Full documents for just this page
+    const documents = await UserContent.find({ _id: { $in: entries.map(entry => entry.userContent._id) } })
+        .populate({ path: 'contentId', match: contentMatch || {} });
+    const byId = new Map(documents.map(doc => [doc._id.toString(), doc]));
+
+    const hasMore = offset + paging.limit < ranked.length;
+
+    return {
+        userContent: entries.map(entry => byId.get(entry.userContent._id.toString())).filter(Boolean),
+        scores: new Map(entries.map(entry => [entry.userContent._id.toString(), entry.score])),
+        // Pages only reach the ranked set, which can be smaller than the whole feed
+        rankedTotal: ranked.length,
+        hasMore,
+        nextCursor: hasMore ? CursorPagination.encodeValues('feed:ranked', [asOf, offset + paging.limit]) : null
+    };
+}
+
+function isRankedCursor(values) {
+    return values.length === 2 && values[0] instanceof Date && Number.isInteger(values[1]) && values[1] >= 0;
+}
+
+// UserContent sorted by how often the content was opened (Content.views), with content joined
+// in place of contentId like populate() would. Blocked and deleted content is left out.
+async function findByPopularity(filter, contentMatch, paging) {
+    const match = { ...filter, userId: new mongoose.Types.ObjectId(filter.userId) };
+
+    return UserContent.aggregate([
+        { $match: match },
+        {
+            $lookup: {
+                from: Content.collection.name,
+                let: { contentId: '$contentId' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$contentId'] } } },
+                    ...(contentMatch ? [{ $match: contentMatch }] : [])
+                ],
+                as: 'contentId'
+            }
+        },
+        { $unwind: '$contentId' },
+        { $addFields: { popularity: { $size: { $ifNull: ['$contentId.views', []] } } } },
+        ...(paging.after ? [{ $match: CursorPagination.buildSeekQuery(POPULARITY_SORT, paging.after) }] : []),
+        { $sort: CursorPagination.toMongoSort(POPULARITY_SORT) },
+        { $skip: paging.skip },
+        { $limit: paging.limit + 1 }
+    ]);
+}
+
 // Process a specific YouTube video
-router.post('/process-video', auth, [
+router.post('/process-video', auth.scope('content:write'), requireVerified, rateLimit('processVideo'), [
     body('videoId').notEmpty().withMessage('Video ID is required'),
 ], async (req, res) => {
     try {
@@ -55,7 +184,7 @@ router.post('/process-video', auth, [
 });
 
 // Process user's YouTube subscriptions
-router.post('/process-subscriptions', auth, async (req, res) => {
+router.post('/process-subscriptions', auth.scope('content:write'), requireVerified, rateLimit('processBatch'), async (req, res) => {
     try {
         const user = await User.findById(req.user.id);
         if (!user || !user.youtubeSources || user.youtubeSources.length === 0) {
@@ -84,7 +213,7 @@ router.post('/process-subscriptions', auth, async (req, res) => {
 });
 
 // Process today's content only (avoid re-analyzing old content)
-router.post('/process-today', auth, async (req, res) => {
+router.post('/process-today', auth.scope('content:write'), requireVerified, rateLimit('processBatch'), async (req, res) => {
     try {
         const user = await User.findById(req.user.id);
         if (!user || !user.youtubeSources || user.youtubeSources.length === 0) {
@@ -112,8 +241,72 @@ router.post('/process-today', auth, async (req, res) => {
     }
 });
 
+// "Why am I seeing this?" - the scoring trace kept when the item was added to the user's feed
+router.get('/:id/explain', auth.scope('feed:read'), async (req, res) => {
+    try {
+        const userContent = mongoose.isValidObjectId(req.params.id)
+            ? await UserContent.findOne({
+                userId: req.user.id,
+                contentId: req.params.id
+            }).populate('contentId')
+            : null;
+
+        if (!userContent || !userContent.contentId) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Content not found for user'
+            });
+        }
+
+        let trace = userContent.scoringTrace;
+
+        // Items added before traces were kept are scored again with today's interests and settings
+        const recomputed = !trace;
+        if (recomputed) {
+            const user = await User.findById(req.user.id).select('interests synonyms preferences');
+            const { relevanceThreshold, maxPerDay } = FeedBudgetService.getSettings(user?.preferences);
+            const personalization = AIAnalysisService.personalize(userContent.contentId, user);
+
+            trace = ScoringTrace.build({
+                content: userContent.contentId,
+                personalization,
+                relevanceThreshold,
+                interests: user?.interests,
+                acceptedBy: InterestQuotaService.getAcceptingInterests(
+                    personalization.relevanceScore,
+                    personalization.matchedInterests,
+                    InterestTree.getQuotas(user?.interests),
+                    {},
+                    relevanceThreshold
+                ),
+                releasedAt: userContent.releasedAt,
+                maxPerDay
+            });
+        }
+
+        res.json({
+            success: true,
+            content: {
+                id: userContent.contentId._id,
+                title: userContent.contentId.title
+            },
+            relevanceScore: userContent.relevanceScore,
+            matchedInterests: userContent.matchedInterests,
+            explanation: ScoringTrace.explain(trace),
+            trace,
+            recomputed
+        });
+    } catch (error) {
+        console.error('Explain content error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error explaining content'
+        });
+    }
+});
+
 // Get video highlights and segments
-router.get('/:id/highlights', auth, async (req, res) => {
+router.get('/:id/highlights', auth.scope('feed:read'), async (req, res) => {
     try {
         const content = await Content.findById(req.params.id);
         if (!content) {
@@ -172,32 +365,49 @@ router.get('/:id/highlights', auth, async (req, res) => {
 });
 
 // Search content by topic or keyword
-router.get('/search/:query', auth, async (req, res) => {
+router.get('/search/:query', auth.scope('feed:read'), async (req, res) => {
     try {
         const { query } = req.params;
-        const { page = 1, limit = 10, minRelevance = 0.5 } = req.query;
-        const skip = (page - 1) * limit;
+        const { minRelevance = 0.5 } = req.query;
+
+        const paging = CursorPagination.parse(req.query, 'search');
+        if (paging.error) {
+            return res.status(400).json({
+                success: false,
+                msg: paging.error
+            });
+        }
+
+        const negativeInterestsQuery = await getNegativeInterestsQuery(req.user.id);
 
         // Search in content titles, descriptions, topics, and transcript
-        const searchResults = await Content.find({
+        const searchFilter = {
             $or: [
                 { title: { $regex: query, $options: 'i' } },
                 { description: { $regex: query, $options: 'i' } },
                 { topics: { $regex: query, $options: 'i' } },
                 { categories: { $regex: query, $options: 'i' } },
                 { 'transcriptSegments.text': { $regex: query, $options: 'i' } }
-            ]
-        })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+            ],
+            ...negativeInterestsQuery
+        };
+
+        const rows = await Content.find(CursorPagination.applyCursor(searchFilter, paging, DATE_SORT))
+            .sort(CursorPagination.toMongoSort(DATE_SORT))
+            .skip(paging.skip)
+            .limit(paging.limit + 1);
+
+        // Counting would repeat the regex scan over every transcript, so search reports no total
+        const { items: searchResults, pagination } = CursorPagination.buildPage(rows, paging, DATE_SORT, 'search');
 
         // Get user's personalized content entries
         const contentIds = searchResults.map(c => c._id);
         const userContent = await UserContent.find({
             userId: req.user.id,
             contentId: { $in: contentIds },
-            relevanceScore: { $gte: minRelevance }
+            relevanceScore: { $gte: minRelevance },
+            // Items beyond an interest's daily cap aren't part of the feed
+            ...InterestQuotaService.withinQuotaQuery()
         });
 
         // Merge content with user data
@@ -216,11 +426,7 @@ router.get('/search/:query', auth, async (req, res) => {
             success: true,
             query,
             results,
-            pagination: {
-                currentPage: parseInt(page),
-                totalItems: results.length,
-                hasMore: results.length === parseInt(limit)
-            }
+            pagination
         });
 
     } catch (error) {
@@ -233,7 +439,7 @@ router.get('/search/:query', auth, async (req, res) => {
 });
 
 // Get processing status and queue information
-router.get('/processing/status', auth, async (req, res) => {
+router.get('/processing/status', auth.scope('feed:read'), async (req, res) => {
     try {
         const queueStats = await JobQueue.getQueueStats();
         const activeJobs = await JobQueue.getActiveJobs();
@@ -254,23 +460,97 @@ router.get('/processing/status', auth, async (req, res) => {
 });
 
 // Get personalized content feed for user
-router.get('/feed', auth, async (req, res) => {
+router.get('/feed', auth.scope('feed:read'), [
+    query('minRelevance').optional().isFloat({ min: 0, max: 1 }).withMessage('minRelevance must be a number between 0 and 1'),
+], async (req, res) => {
     try {
-        const { page = 1, limit = 10, minRelevance = 0.5 } = req.query;
-        const skip = (page - 1) * limit;
+        const validationErrors = validationResult(req);
+        if (!validationErrors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors.array()
+            });
+        }
 
-        // Get user's personalized content
-        const userContent = await UserContent.find({
+        // 'ranked' blends relevance, recency and diversity; 'relevance' is the plain score order
+        const { minRelevance, sort = 'ranked' } = req.query;
+        const ranked = sort !== 'relevance';
+        // "Show me more anyway": include items held back by the daily budget
+        const showMore = req.query.showMore === 'true';
+
+        const paging = CursorPagination.parse(req.query, ranked ? 'feed:ranked' : 'feed');
+        if (!paging.error && ranked && paging.after && !isRankedCursor(paging.after)) {
+            paging.error = 'Invalid cursor';
+        }
+        if (paging.error) {
+            return res.status(400).json({
+                success: false,
+                msg: paging.error
+            });
+        }
+
+        // Channel, category, complexity, duration, published date, interest and viewed/liked/saved
+        const { valid, errors, filters } = FeedFilters.parse(req.query);
+        if (!valid) {
+            return res.status(400).json({ success: false, errors });
+        }
+
+        // Blocked content is populated as null and dropped below
+        const negativeInterestsQuery = await getNegativeInterestsQuery(req.user.id);
+
+        const user = await User.findById(req.user.id).select('interests preferences');
+
+        // The user's relevanceThreshold is the default; held items from earlier days take up today's budget first
+        const { relevanceThreshold } = FeedBudgetService.getSettings(user?.preferences);
+        const threshold = minRelevance !== undefined ? parseFloat(minRelevance) : relevanceThreshold;
+        await FeedBudgetService.releaseHeld(req.user.id, user?.preferences);
+
+        // Interests can set their own minRelevance and cap how many items a day they contribute
+        const quotas = InterestTree.getQuotas(user?.interests);
+        const feedFilter = {
             userId: req.user.id,
-            relevanceScore: { $gte: minRelevance },
             dismissed: false,
-        })
-            .populate('contentId')
-            .sort({ relevanceScore: -1, createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+            ...(!showMore && FeedBudgetService.releasedQuery()),
+            ...InterestQuotaService.withinQuotaQuery(),
+            ...InterestQuotaService.buildRelevanceQuery(quotas, threshold)
+        };
+
+        // Facets are counted from the feed before the user's filters; the page and totals after them
+        const baseFilter = { ...feedFilter };
+        Object.assign(feedFilter, await FeedFilters.buildUserContentQuery(req.user.id, filters, negativeInterestsQuery));
+
+        const weights = FeedRanker.getWeights(user?.preferences);
 
-        // Filter out null content (in case of deleted content)
+        // Get user's personalized content
+        let userContent;
+        let pagination;
+        let scores = new Map();
+        let rankedTotal = null;
+        let availableTotal = null;
+
+        if (ranked) {
+            const [page, total] = await Promise.all([
+                findRankedFeed(feedFilter, negativeInterestsQuery, paging, weights),
+                countVisibleUserContent(feedFilter, negativeInterestsQuery, paging)
+            ]);
+            userContent = page.userContent;
+            scores = page.scores;
+            rankedTotal = page.rankedTotal;
+            availableTotal = total;
+            pagination = CursorPagination.createPagination(paging, { total: page.rankedTotal, hasMore: page.hasMore, nextCursor: page.nextCursor });
+        } else {
+            const [rows, total] = await Promise.all([
+                UserContent.find(CursorPagination.applyCursor(feedFilter, paging, FEED_SORT))
+                    .populate({ path: 'contentId', match: negativeInterestsQuery || {} })
+                    .sort(CursorPagination.toMongoSort(FEED_SORT))
+                    .skip(paging.skip)
+                    .limit(paging.limit + 1),
+                countVisibleUserContent(feedFilter, negativeInterestsQuery, paging)
+            ]);
+            ({ items: userContent, pagination } = CursorPagination.buildPage(rows, paging, FEED_SORT, 'feed', total));
+        }
+
+        // Filter out null content (deleted, or blocked by negative interests)
         const validContent = userContent.filter(uc => uc.contentId);
 
         // Transform the data to a frontend-friendly structure
@@ -291,14 +571,14 @@ router.get('/feed', auth, async (req, res) => {
 
             // Include comprehensive AI analysis data
             analysis: uc.contentId.analysis,
-            relevanceScore: uc.contentId.analysis?.relevanceScore || uc.relevanceScore,
+            relevanceScore: uc.relevanceScore,
             summary: uc.contentId.analysis?.summary || uc.personalizedSummary,
             highlights: uc.contentId.analysis?.highlights || uc.personalizedHighlights || [],
             keyPoints: uc.contentId.analysis?.keyPoints || [],
             categories: uc.contentId.analysis?.categories || [uc.contentId.category],
             complexity: uc.contentId.analysis?.complexity || 'intermediate',
             estimatedWatchTime: uc.contentId.analysis?.estimatedWatchTime || uc.contentId.duration,
-            recommendationReason: uc.contentId.analysis?.recommendationReason || 'Matches your interests',
+            recommendationReason: uc.recommendationReason || uc.contentId.analysis?.recommendationReason || 'Matches your interests',
 
             // Include user-specific data
             userContent: {
@@ -312,18 +592,33 @@ router.get('/feed', auth, async (req, res) => {
                 liked: uc.liked,
                 saved: uc.saved,
                 dismissed: uc.dismissed,
+                // Over the daily budget - only listed with showMore
+                held: uc.releasedAt === null,
                 createdAt: uc.createdAt
-            }
+            },
+
+            // How the item was placed: { value, components: { relevance, recency }, blended, diversityPenalty }
+            ranking: scores.get(uc._id.toString()) || null
         }));
 
         res.json({
             success: true,
             content: transformedContent,
-            pagination: {
-                currentPage: parseInt(page),
-                totalItems: transformedContent.length,
-                hasMore: transformedContent.length === parseInt(limit)
-            }
+            pagination,
+            ranking: {
+                sort: ranked ? 'ranked' : 'relevance',
+                weights: ranked ? weights : null,
+                // The ranked feed covers the newest items only; ?sort=relevance pages through all of them
+                rankedTotal,
+                availableTotal
+            },
+            budget: {
+                ...await FeedBudgetService.getStatus(req.user.id, user?.preferences),
+                relevanceThreshold: threshold,
+                showMore
+            },
+            filters,
+            facets: await FeedFilters.getFacets(baseFilter, filters, negativeInterestsQuery)
         });
     } catch (err) {
         console.error('Feed fetch error:', err.message);
@@ -334,39 +629,8 @@ router.get('/feed', auth, async (req, res) => {
     }
 });
 
-// Get specific content by ID
-router.get('/:id', auth, async (req, res) => {
-    try {
-        const content = await Content.findById(req.params.id);
-        if (!content) {
-            return res.status(404).json({
-                success: false,
-                msg: 'Content not found'
-            });
-        }
-
-        // Check if user has personalized version
-        const userContent = await UserContent.findOne({
-            userId: req.user.id,
-            contentId: req.params.id
-        });
-
-        res.json({
-            success: true,
-            content,
-            userContent
-        });
-    } catch (err) {
-        console.error('Content fetch error:', err.message);
-        res.status(500).json({
-            success: false,
-            msg: 'Error fetching content'
-        });
-    }
-});
-
 // Mark content as viewed
-router.post('/:id/view', auth, async (req, res) => {
+router.post('/:id/view', auth.scope('content:write'), async (req, res) => {
     try {
         const userContent = await UserContent.findOneAndUpdate(
             {
@@ -401,7 +665,7 @@ router.post('/:id/view', auth, async (req, res) => {
 });
 
 // Like/unlike content
-router.post('/:id/like', auth, async (req, res) => {
+router.post('/:id/like', auth.scope('content:write'), async (req, res) => {
     try {
         const { liked = true } = req.body;
 
@@ -435,7 +699,7 @@ router.post('/:id/like', auth, async (req, res) => {
 });
 
 // Save/unsave content
-router.post('/:id/save', auth, async (req, res) => {
+router.post('/:id/save', auth.scope('content:write'), async (req, res) => {
     try {
         const { saved = true } = req.body;
 
@@ -469,7 +733,7 @@ router.post('/:id/save', auth, async (req, res) => {
 });
 
 // Dismiss content
-router.post('/:id/dismiss', auth, async (req, res) => {
+router.post('/:id/dismiss', auth.scope('content:write'), async (req, res) => {
     try {
         const userContent = await UserContent.findOneAndUpdate(
             {
@@ -501,19 +765,30 @@ router.post('/:id/dismiss', auth, async (req, res) => {
 });
 
 // Get user's saved content
-router.get('/saved/list', auth, async (req, res) => {
+router.get('/saved/list', auth.scope('feed:read'), async (req, res) => {
     try {
-        const { page = 1, limit = 10 } = req.query;
-        const skip = (page - 1) * limit;
+        const paging = CursorPagination.parse(req.query, 'saved');
+        if (paging.error) {
+            return res.status(400).json({
+                success: false,
+                msg: paging.error
+            });
+        }
 
-        const savedContent = await UserContent.find({
+        const savedFilter = {
             userId: req.user.id,
             saved: true
-        })
-            .populate('contentId')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+        };
+
+        const [rows, total] = await Promise.all([
+            UserContent.find(CursorPagination.applyCursor(savedFilter, paging, DATE_SORT))
+                .populate('contentId')
+                .sort(CursorPagination.toMongoSort(DATE_SORT))
+                .skip(paging.skip)
+                .limit(paging.limit + 1),
+            countVisibleUserContent(savedFilter, {}, paging)
+        ]);
+        const { items: savedContent, pagination } = CursorPagination.buildPage(rows, paging, DATE_SORT, 'saved', total);
 
         // Filter out null content and transform to frontend-friendly structure
         const validContent = savedContent.filter(uc => uc.contentId);
@@ -554,11 +829,7 @@ router.get('/saved/list', auth, async (req, res) => {
         res.json({
             success: true,
             content: transformedContent,
-            pagination: {
-                currentPage: parseInt(page),
-                totalItems: transformedContent.length,
-                hasMore: transformedContent.length === parseInt(limit)
-            }
+            pagination
         });
     } catch (err) {
         console.error('Saved content fetch error:', err.message);
@@ -570,44 +841,88 @@ router.get('/saved/list', auth, async (req, res) => {
 });
 
 // Get content filtered by relevance score
-router.get('/by-relevance', auth, async (req, res) => {
+router.get('/by-relevance', auth.scope('feed:read'), [
+    query('minRelevance').optional().isFloat({ min: 0, max: 1 }).withMessage('minRelevance must be a number between 0 and 1'),
+    query('maxRelevance').optional().isFloat({ min: 0, max: 1 }).withMessage('maxRelevance must be a number between 0 and 1')
+        .custom((value, { req }) => req.query.minRelevance === undefined || parseFloat(value) >= parseFloat(req.query.minRelevance))
+        .withMessage('maxRelevance must not be below minRelevance'),
+], async (req, res) => {
     try {
+        const validationErrors = validationResult(req);
+        if (!validationErrors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: validationErrors.array()
+            });
+        }
+
         const {
-            minRelevance = 0.0,
             maxRelevance = 1.0,
-            page = 1,
-            limit = 20,
             sortBy = 'relevance' // 'relevance' | 'date' | 'popularity'
         } = req.query;
+        // "Show me more anyway": include items held back by the daily budget
+        const showMore = req.query.showMore === 'true';
 
-        const skip = (page - 1) * limit;
-
-        // Build sort criteria
-        let sortCriteria;
+        // Build sort criteria. A cursor only works with the sort it was issued for.
+        let sort;
         switch (sortBy) {
             case 'date':
-                sortCriteria = { createdAt: -1 };
+                sort = DATE_SORT;
                 break;
             case 'popularity':
-                sortCriteria = { 'contentId.viewCount': -1 };
+                sort = POPULARITY_SORT;
                 break;
             default:
-                sortCriteria = { relevanceScore: -1 };
+                sort = FEED_SORT;
         }
 
+        const paging = CursorPagination.parse(req.query, `by-relevance:${sortBy}`, { defaultLimit: 20 });
+        if (paging.error) {
+            return res.status(400).json({
+                success: false,
+                msg: paging.error
+            });
+        }
+
+        const { valid, errors, filters } = FeedFilters.parse(req.query);
+        if (!valid) {
+            return res.status(400).json({ success: false, errors });
+        }
+
+        const negativeInterestsQuery = await getNegativeInterestsQuery(req.user.id);
+
+        // Same budget as the feed: the user's relevanceThreshold is the default lower bound and
+        // held items from earlier days take up today's budget first
+        const user = await User.findById(req.user.id).select('preferences');
+        const { relevanceThreshold } = FeedBudgetService.getSettings(user?.preferences);
+        const minRelevance = req.query.minRelevance !== undefined ? parseFloat(req.query.minRelevance) : relevanceThreshold;
+        await FeedBudgetService.releaseHeld(req.user.id, user?.preferences);
+
         // Get user's content with relevance filtering
-        const userContent = await UserContent.find({
+        const relevanceFilter = {
             userId: req.user.id,
             relevanceScore: {
-                $gte: parseFloat(minRelevance),
+                $gte: minRelevance,
                 $lte: parseFloat(maxRelevance)
             },
-            dismissed: false
-        })
-            .populate('contentId')
-            .sort(sortCriteria)
-            .skip(skip)
-            .limit(parseInt(limit));
+            dismissed: false,
+            ...(!showMore && FeedBudgetService.releasedQuery()),
+            ...InterestQuotaService.withinQuotaQuery()
+        };
+        const baseFilter = { ...relevanceFilter };
+        Object.assign(relevanceFilter, await FeedFilters.buildUserContentQuery(req.user.id, filters, negativeInterestsQuery));
+
+        const [rows, total] = await Promise.all([
+            sortBy === 'popularity'
+                ? findByPopularity(relevanceFilter, negativeInterestsQuery, paging)
+                : UserContent.find(CursorPagination.applyCursor(relevanceFilter, paging, sort))
+                    .populate({ path: 'contentId', match: negativeInterestsQuery || {} })
+                    .sort(CursorPagination.toMongoSort(sort))
+                    .skip(paging.skip)
+                    .limit(paging.limit + 1),
+            countVisibleUserContent(relevanceFilter, negativeInterestsQuery, paging)
+        ]);
+        const { items: userContent, pagination } = CursorPagination.buildPage(rows, paging, sort, `by-relevance:${sortBy}`, total);
 
         // Filter out null content and transform
         const validContent = userContent.filter(uc => uc.contentId);
@@ -623,14 +938,14 @@ router.get('/by-relevance', auth, async (req, res) => {
             publishedAt: uc.contentId.publishedAt,
 
             // AI Analysis data
-            relevanceScore: uc.contentId.analysis?.relevanceScore || uc.relevanceScore,
+            relevanceScore: uc.relevanceScore,
             summary: uc.contentId.analysis?.summary || uc.personalizedSummary,
             highlights: uc.contentId.analysis?.highlights || [],
             keyPoints: uc.contentId.analysis?.keyPoints || [],
             categories: uc.contentId.analysis?.categories || [],
             complexity: uc.contentId.analysis?.complexity || 'intermediate',
             estimatedWatchTime: uc.contentId.analysis?.estimatedWatchTime,
-            recommendationReason: uc.contentId.analysis?.recommendationReason,
+            recommendationReason: uc.recommendationReason || uc.contentId.analysis?.recommendationReason,
 
             // User interaction data
             userContent: {
@@ -647,7 +962,7 @@ router.get('/by-relevance', auth, async (req, res) => {
         const relevanceStats = await UserContent.aggregate([
             {
                 $match: {
-                    userId: req.user.id,
+                    userId: new mongoose.Types.ObjectId(req.user.id),
                     dismissed: false
                 }
             },
@@ -670,16 +985,15 @@ router.get('/by-relevance', auth, async (req, res) => {
         res.json({
             success: true,
             content: transformedContent,
-            pagination: {
-                currentPage: parseInt(page),
-                totalItems: transformedContent.length,
-                hasMore: transformedContent.length === parseInt(limit)
-            },
+            pagination,
             filters: {
-                minRelevance: parseFloat(minRelevance),
+                minRelevance,
                 maxRelevance: parseFloat(maxRelevance),
-                sortBy
+                sortBy,
+                showMore,
+                ...filters
             },
+            facets: await FeedFilters.getFacets(baseFilter, filters, negativeInterestsQuery),
             stats: relevanceStats[0] || {
                 avgRelevance: 0,
                 minRelevance: 0,
@@ -697,4 +1011,35 @@ router.get('/by-relevance', auth, async (req, res) => {
     }
 });
 
+// Get specific content by ID - declared last so it doesn't shadow /by-relevance and friends
+router.get('/:id', auth.scope('feed:read'), async (req, res) => {
+    try {
+        const content = await Content.findById(req.params.id);
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Content not found'
+            });
+        }
+
+        // Check if user has personalized version
+        const userContent = await UserContent.findOne({
+            userId: req.user.id,
+            contentId: req.params.id
+        });
+
+        res.json({
+            success: true,
+            content,
+            userContent
+        });
+    } catch (err) {
+        console.error('Content fetch error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching content'
+        });
+    }
+});
+
 module.exports = router;
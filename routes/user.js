@@ -1,11 +1,29 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const { body, query, param, validationResult } = require('express-validator');
 const axios = require('axios');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 const auth = require('../middleware/auth');
+const TokenService = require('../services/TokenService');
+const AccountService = require('../services/AccountService');
+const InterestTree = require('../services/interests/InterestTree');
+const InterestPresetService = require('../services/interests/InterestPresetService');
+const InterestTransferService = require('../services/interests/InterestTransferService');
+const NegativeInterests = require('../services/interests/NegativeInterests');
+const InterestHistoryService = require('../services/interests/InterestHistoryService');
+const InterestLearningService = require('../services/interests/InterestLearningService');
+const InterestEditService = require('../services/interests/InterestEditService');
+const JobQueue = require('../services/SimpleJobQueue');
+const MatchingEngine = require('../services/ai-analysis/matching/MatchingEngine');
 
 const router = express.Router();
 
+// Who made an interest change, as recorded in the interest history
+function interestAuthor(req) {
+    return { userId: req.user.id, via: req.authMethod || 'session' };
+}
+
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
     try {
@@ -24,11 +42,11 @@ router.get('/profile', auth, async (req, res) => {
 });
 
 // Update user interests
+// Accepts the hierarchical interest tree, or a legacy array of interest names
 router.put('/interests', auth, async (req, res) => {
     try {
         const { interests } = req.body;
 
-        // Validate input - support both array (legacy) and object (hierarchical) formats
         if (!interests) {
             return res.status(400).json({
                 success: false,
@@ -36,49 +54,24 @@ router.put('/interests', auth, async (req, res) => {
             });
         }
 
-        let processedInterests;
-
-        if (Array.isArray(interests)) {
-            // Legacy array format - convert to simple categories
-            processedInterests = {};
-            interests.forEach(interest => {
-                if (typeof interest === 'string' && interest.trim()) {
-                    processedInterests[interest.trim()] = {
-                        priority: 5,
-                        subcategories: {},
-                        keywords: []
-                    };
-                }
-            });
-        } else if (typeof interests === 'object' && interests !== null) {
-            // Hierarchical object format
-            processedInterests = {};
-            for (const [category, data] of Object.entries(interests)) {
-                if (typeof data === 'object' && data !== null) {
-                    processedInterests[category] = {
-                        priority: Math.max(1, Math.min(10, data.priority || 5)),
-                        subcategories: data.subcategories || {},
-                        keywords: Array.isArray(data.keywords) ? data.keywords : []
-                    };
-                }
-            }
-        } else {
+        const { valid, errors, tree } = InterestTree.validate(interests, { allowLegacyArray: true });
+        if (!valid) {
             return res.status(400).json({
                 success: false,
-                msg: 'Interests must be an array or object'
+                errors
             });
         }
 
-        const user = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: processedInterests } },
-            { new: true }
-        ).select('-password');
+        const { user, version } = await InterestHistoryService.saveInterests(req.user.id, tree, {
+            source: 'replace',
+            author: interestAuthor(req)
+        });
 
         res.json({
             success: true,
             user,
             interests: user.interests,
+            version: version.version,
             msg: 'Interests updated successfully'
         });
     } catch (err) {
@@ -288,6 +281,11 @@ router.put('/preferences', [
     body('contentFrequency').optional().isIn(['realtime', 'daily', 'weekly']),
     body('maxContentPerDay').optional().isInt({ min: 1, max: 50 }),
     body('relevanceThreshold').optional().isFloat({ min: 0, max: 1 }),
+    body('autoApplySuggestions').optional().isBoolean(),
+    body('ranking.relevanceWeight').optional().isFloat({ min: 0, max: 1 }),
+    body('ranking.recencyWeight').optional().isFloat({ min: 0, max: 1 }),
+    body('ranking.diversityWeight').optional().isFloat({ min: 0, max: 1 }),
+    body('ranking.recencyHalfLifeDays').optional().isFloat({ min: 0.5, max: 365 }),
 ], auth, async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -298,12 +296,17 @@ router.put('/preferences', [
             });
         }
 
-        const { contentFrequency, maxContentPerDay, relevanceThreshold } = req.body;
+        const { contentFrequency, maxContentPerDay, relevanceThreshold, autoApplySuggestions } = req.body;
+        const ranking = req.body.ranking || {};
 
         const updateData = {};
         if (contentFrequency) updateData['preferences.contentFrequency'] = contentFrequency;
         if (maxContentPerDay) updateData['preferences.maxContentPerDay'] = maxContentPerDay;
         if (relevanceThreshold !== undefined) updateData['preferences.relevanceThreshold'] = relevanceThreshold;
+        if (autoApplySuggestions !== undefined) updateData['preferences.autoApplySuggestions'] = autoApplySuggestions === true || autoApplySuggestions === 'true';
+        for (const field of ['relevanceWeight', 'recencyWeight', 'diversityWeight', 'recencyHalfLifeDays']) {
+            if (ranking[field] !== undefined) updateData[`preferences.ranking.${field}`] = parseFloat(ranking[field]);
+        }
 
         const user = await User.findByIdAndUpdate(
             req.user.id,
@@ -329,13 +332,17 @@ router.put('/preferences', [
 router.get('/stats', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user.id).select('-password');
+        // Last activity comes from the most recently used session
+        const [latestSession] = await TokenService.listSessions(req.user.id);
 
         // You can add more statistics here later
         const stats = {
-            totalInterests: user.interests.length,
+            totalInterests: InterestTree.countNodes(user.interests),
+            // Interests inside their active window right now
+            activeInterests: InterestTree.countNodes(InterestTree.effectiveTree(user.interests)),
             totalYoutubeSources: user.youtubeSources.length,
             memberSince: user.createdAt,
-            lastActive: user.lastActive,
+            lastActive: latestSession?.lastSeenAt || null,
         };
 
         res.json({
@@ -351,7 +358,58 @@ router.get('/stats', auth, async (req, res) => {
     }
 });
 
-// Update hierarchical interests (categories, subcategories, keywords)
+// Edit one thing in the interest tree without resending it:
+// { op: "rename", path, name } | { op: "move", path, to } | { op: "add_keyword" | "remove_keyword", path, keyword }
+// | { op: "set_priority", path, priority }. `path` and `to` are "AI > LLMs" or ["AI", "LLMs"].
+router.patch('/interests', [
+    body('op').isIn(InterestEditService.OPERATIONS)
+        .withMessage(`op must be one of: ${InterestEditService.OPERATIONS.join(', ')}`),
+    body('path').notEmpty().withMessage('Interest path is required'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await InterestEditService.apply(req.user.id, req.body, interestAuthor(req));
+
+        if (!result.success) {
+            const responses = {
+                interest_not_found: [404, 'Interest not found'],
+                target_not_found: [404, 'Target interest not found'],
+                keyword_not_found: [404, 'Keyword not found'],
+                user_not_found: [404, 'User not found'],
+                name_conflict: [409, 'An interest with that name already exists there'],
+                conflict: [409, 'Interests were changed elsewhere - reload and try again']
+            };
+            const [status, msg] = responses[result.reason] || [400, 'Invalid interest edit'];
+
+            return res.status(status).json({
+                success: false,
+                msg,
+                ...(result.errors && { errors: result.errors })
+            });
+        }
+
+        res.json({
+            ...result,
+            path: InterestTree.formatPath(result.path),
+            msg: result.changed ? 'Interest updated' : 'Nothing to change'
+        });
+    } catch (error) {
+        console.error('Edit interest error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error editing interest'
+        });
+    }
+});
+
+// Update hierarchical interests (categories, subcategories, keywords - nested to any depth)
 router.put('/interests/hierarchical', [
     body('interests').isObject().withMessage('Interests must be an object with categories')
 ], auth, async (req, res) => {
@@ -364,27 +422,23 @@ router.put('/interests/hierarchical', [
             });
         }
 
-        const { interests } = req.body;
+        const validation = InterestTree.validate(req.body.interests);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
 
-        // Validate interests structure
-        const validatedInterests = {};
-        for (const [category, data] of Object.entries(interests)) {
-            if (typeof data === 'object' && data !== null) {
-                validatedInterests[category] = {
-                    priority: Math.max(1, Math.min(10, data.priority || 5)),
-                    subcategories: data.subcategories || {},
-                    keywords: Array.isArray(data.keywords) ? data.keywords : []
-                };
-            }
-        } const user = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: validatedInterests } },
-            { new: true }
-        ).select('-password');
+        const { user, version } = await InterestHistoryService.saveInterests(req.user.id, validation.tree, {
+            source: 'hierarchical',
+            author: interestAuthor(req)
+        });
 
         res.json({
             success: true,
             user,
+            version: version.version,
             msg: 'Hierarchical interests updated successfully'
         });
 
@@ -411,38 +465,51 @@ router.post('/interests/category', [
             });
         }
 
-        const { category, priority, subcategories = {}, keywords = [] } = req.body; const user = await User.findById(req.user.id);
+        const { category, priority, subcategories = {}, keywords = [], minRelevance, dailyLimit } = req.body;
 
-        console.log(`[DEBUG] Adding category "${category}" for user ${req.user.id}`);
-        console.log('[DEBUG] User interests before:', typeof user.interests, user.interests);
-
-        // Initialize interests as object if not exists or if it's still array format
-        if (!user.interests || Array.isArray(user.interests) || typeof user.interests !== 'object') {
-            console.log('[DEBUG] Initializing interests as empty object');
-            user.interests = {};
+        const validation = InterestTree.validateNode(category, { priority, subcategories, keywords, minRelevance, dailyLimit });
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
         }
 
-        // Add or update category
-        user.interests[category] = {
-            priority: parseInt(priority),
-            subcategories: subcategories || {},
-            keywords: Array.isArray(keywords) ? keywords : []
-        }; console.log('[DEBUG] User interests after adding category:', user.interests);
+        const user = await User.findById(req.user.id);
+        const interests = InterestTree.normalize(user.interests);
 
-        // Use findByIdAndUpdate with $set to ensure the save works
-        const updatedUser = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: user.interests } },
-            { new: true }
-        );
+        // Replace an existing category even if the name differs in case
+        const existingKey = InterestTree.findKey(interests, category);
+        if (existingKey) {
+            delete interests[existingKey];
+        }
+        interests[category.trim()] = validation.node;
+
+        const treeValidation = InterestTree.validate(interests);
+        if (!treeValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: treeValidation.errors
+            });
+        }
 
-        console.log('[DEBUG] User interests after update:', updatedUser.interests);
-        console.log('[DEBUG] Interests keys after update:', Object.keys(updatedUser.interests || {}));
+        const { user: updatedUser, version } = await InterestHistoryService.saveInterests(req.user.id, treeValidation.tree, {
+            source: 'category',
+            author: interestAuthor(req),
+            expected: user.interests
+        });
+        if (!updatedUser) {
+            return res.status(409).json({
+                success: false,
+                msg: 'Interests were changed elsewhere - reload and try again'
+            });
+        }
 
         res.json({
             success: true,
             category,
             interests: updatedUser.interests,
+            version: version.version,
             msg: 'Interest category updated successfully'
         });
 
@@ -455,7 +522,8 @@ router.post('/interests/category', [
     }
 });
 
-// Add subcategory to an existing category
+// Add a subcategory under an existing interest.
+// `category` is a top-level name or a path to any node ("AI > LLMs" or ["AI", "LLMs"]).
 router.post('/interests/subcategory', [
     body('category').notEmpty().withMessage('Category name is required'),
     body('subcategory').notEmpty().withMessage('Subcategory name is required'),
@@ -470,41 +538,67 @@ router.post('/interests/subcategory', [
             });
         }
 
-        const { category, subcategory, priority, keywords = [] } = req.body; const user = await User.findById(req.user.id);
+        const { category, subcategory, priority, keywords = [], subcategories } = req.body;
+        const user = await User.findById(req.user.id);
+        const interests = InterestTree.normalize(user.interests);
 
-        // Initialize interests as object if not exists or if it's still array format
-        if (!user.interests || Array.isArray(user.interests) || typeof user.interests !== 'object') {
-            user.interests = {};
+        const parentPath = InterestTree.parsePath(category);
+        const parent = InterestTree.getNode(interests, parentPath);
+        if (!parent) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Category does not exist'
+            });
         }
 
-        // Check if category exists
-        if (!user.interests[category]) {
+        const existingKey = InterestTree.findKey(parent.subcategories, subcategory);
+        const existing = existingKey ? parent.subcategories[existingKey] : null;
+
+        // Keep anything already nested below the subcategory unless new children are given
+        const validation = InterestTree.validateNode(subcategory, {
+            priority,
+            keywords,
+            subcategories: subcategories || existing?.subcategories || {}
+        }, parentPath);
+
+        if (!validation.valid) {
             return res.status(400).json({
                 success: false,
-                msg: 'Category does not exist'
+                errors: validation.errors
             });
         }
 
-        // Initialize subcategories if not exists
-        if (!user.interests[category].subcategories) {
-            user.interests[category].subcategories = {};
-        }        // Add subcategory
-        user.interests[category].subcategories[subcategory] = {
-            priority: parseInt(priority),
-            keywords: Array.isArray(keywords) ? keywords : []
-        };
+        if (existingKey) {
+            delete parent.subcategories[existingKey];
+        }
+        parent.subcategories[subcategory.trim()] = validation.node;
 
-        const updatedUser = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: user.interests } },
-            { new: true }
-        );
+        const treeValidation = InterestTree.validate(interests);
+        if (!treeValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: treeValidation.errors
+            });
+        }
+
+        const { user: updatedUser, version } = await InterestHistoryService.saveInterests(req.user.id, treeValidation.tree, {
+            source: 'subcategory',
+            author: interestAuthor(req),
+            expected: user.interests
+        });
+        if (!updatedUser) {
+            return res.status(409).json({
+                success: false,
+                msg: 'Interests were changed elsewhere - reload and try again'
+            });
+        }
 
         res.json({
             success: true,
             category,
             subcategory,
             interests: updatedUser.interests,
+            version: version.version,
             msg: 'Subcategory added successfully'
         });
 
@@ -520,34 +614,36 @@ router.post('/interests/subcategory', [
 // Delete interest category
 router.delete('/interests/category/:category', auth, async (req, res) => {
     try {
-        const { category } = req.params; const user = await User.findById(req.user.id);
-
-
-        // Initialize interests as object if not exists or if it's still array format
-        if (!user.interests || Array.isArray(user.interests) || typeof user.interests !== 'object') {
-
-            user.interests = {};
-        }
-
-        if (!user.interests[category]) {
+        const { category } = req.params;
+        const user = await User.findById(req.user.id);
+        const interests = InterestTree.normalize(user.interests);
 
+        const categoryKey = InterestTree.findKey(interests, category);
+        if (!categoryKey) {
             return res.status(404).json({
                 success: false,
                 msg: 'Category not found'
             });
-        } delete user.interests[category];
-
+        }
+        delete interests[categoryKey];
 
-        const updatedUser = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: user.interests } },
-            { new: true }
-        );
+        const { user: updatedUser, version } = await InterestHistoryService.saveInterests(req.user.id, interests, {
+            source: 'delete_category',
+            author: interestAuthor(req),
+            expected: user.interests
+        });
+        if (!updatedUser) {
+            return res.status(409).json({
+                success: false,
+                msg: 'Interests were changed elsewhere - reload and try again'
+            });
+        }
 
         res.json({
             success: true,
-            deletedCategory: category,
+            deletedCategory: categoryKey,
             interests: updatedUser.interests,
+            version: version.version,
             msg: 'Category deleted successfully'
         });
 
@@ -560,34 +656,41 @@ router.delete('/interests/category/:category', auth, async (req, res) => {
     }
 });
 
-// Delete subcategory
+// Delete subcategory. `:category` may be a path to a nested interest ("AI > LLMs", URL-encoded)
 router.delete('/interests/subcategory/:category/:subcategory', auth, async (req, res) => {
     try {
-        const { category, subcategory } = req.params; const user = await User.findById(req.user.id);
-
-        // Initialize interests as object if not exists or if it's still array format
-        if (!user.interests || Array.isArray(user.interests) || typeof user.interests !== 'object') {
-            user.interests = {};
-        }
+        const { category, subcategory } = req.params;
+        const user = await User.findById(req.user.id);
+        const interests = InterestTree.normalize(user.interests);
 
-        if (!user.interests[category] || !user.interests[category].subcategories || !user.interests[category].subcategories[subcategory]) {
+        const parent = InterestTree.getNode(interests, category);
+        const subcategoryKey = parent && InterestTree.findKey(parent.subcategories, subcategory);
+        if (!subcategoryKey) {
             return res.status(404).json({
                 success: false,
                 msg: 'Subcategory not found'
             });
-        } delete user.interests[category].subcategories[subcategory];
+        }
+        delete parent.subcategories[subcategoryKey];
 
-        const updatedUser = await User.findByIdAndUpdate(
-            req.user.id,
-            { $set: { interests: user.interests } },
-            { new: true }
-        );
+        const { user: updatedUser, version } = await InterestHistoryService.saveInterests(req.user.id, interests, {
+            source: 'delete_subcategory',
+            author: interestAuthor(req),
+            expected: user.interests
+        });
+        if (!updatedUser) {
+            return res.status(409).json({
+                success: false,
+                msg: 'Interests were changed elsewhere - reload and try again'
+            });
+        }
 
         res.json({
             success: true,
             deletedSubcategory: subcategory,
             category,
             interests: updatedUser.interests,
+            version: version.version,
             msg: 'Subcategory deleted successfully'
         });
 
@@ -600,4 +703,822 @@ router.delete('/interests/subcategory/:category/:subcategory', auth, async (req,
     }
 });
 
+// Interest change history, newest first. Page back with ?before=<version>
+router.get('/interests/history', [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('before').optional().isInt({ min: 1 }).withMessage('before must be a version number'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { versions, total } = await InterestHistoryService.listVersions(req.user.id, {
+            limit: parseInt(req.query.limit) || 20,
+            before: parseInt(req.query.before) || null
+        });
+
+        res.json({
+            success: true,
+            versions: versions.map(version => version.toSummary()),
+            total
+        });
+    } catch (error) {
+        console.error('Get interest history error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest history'
+        });
+    }
+});
+
+// Diff between two versions (?from=3&to=5). `to` defaults to the current version.
+router.get('/interests/history/diff', [
+    query('from').isInt({ min: 1 }).withMessage('from must be a version number'),
+    query('to').optional().isInt({ min: 1 }).withMessage('to must be a version number'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await InterestHistoryService.diffVersions(
+            req.user.id,
+            parseInt(req.query.from),
+            parseInt(req.query.to) || null
+        );
+
+        if (!result.success) {
+            return res.status(404).json({
+                success: false,
+                msg: `Version ${result.version || 'current'} not found`
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Diff interest versions error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error comparing interest versions'
+        });
+    }
+});
+
+// A single version with its full interest tree
+router.get('/interests/history/:version', [
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const version = await InterestHistoryService.getVersion(req.user.id, parseInt(req.params.version));
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version: {
+                ...version.toSummary(),
+                interests: version.interests
+            }
+        });
+    } catch (error) {
+        console.error('Get interest version error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest version'
+        });
+    }
+});
+
+// Roll interests back to an earlier version. The rollback is recorded as a new version.
+router.post('/interests/history/:version/restore', [
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await InterestHistoryService.restore(
+            req.user.id,
+            parseInt(req.params.version),
+            interestAuthor(req)
+        );
+
+        if (!result.success) {
+            if (result.reason === 'conflict') {
+                return res.status(409).json({
+                    success: false,
+                    msg: 'Interests were changed elsewhere - reload and try again'
+                });
+            }
+            if (result.reason === 'invalid_interests') {
+                return res.status(400).json({
+                    success: false,
+                    msg: 'This version no longer passes interest validation',
+                    errors: result.errors
+                });
+            }
+            return res.status(404).json({
+                success: false,
+                msg: result.reason === 'user_not_found' ? 'User not found' : 'Version not found'
+            });
+        }
+
+        res.json({
+            ...result,
+            msg: `Interests restored to version ${result.restoredFrom}`
+        });
+    } catch (error) {
+        console.error('Restore interest version error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error restoring interest version'
+        });
+    }
+});
+
+// Keyword and priority suggestions learned from likes, saves and dismissals
+router.get('/interests/suggestions', [
+    query('status').optional().isIn(['pending', 'accepted', 'rejected', 'expired', 'all'])
+        .withMessage('Status must be one of: pending, accepted, rejected, expired, all'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const suggestions = await InterestLearningService.listSuggestions(req.user.id, {
+            status: req.query.status || 'pending'
+        });
+
+        res.json({
+            success: true,
+            suggestions: suggestions.map(suggestion => suggestion.toPublic())
+        });
+    } catch (error) {
+        console.error('Get interest suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest suggestions'
+        });
+    }
+});
+
+// Recompute suggestions now instead of waiting for the daily job
+router.post('/interests/suggestions/refresh', auth, async (req, res) => {
+    try {
+        const job = await JobQueue.queueInterestLearning(req.user.id);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            msg: 'Suggestion refresh queued'
+        });
+    } catch (error) {
+        console.error('Refresh interest suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error queueing suggestion refresh'
+        });
+    }
+});
+
+// Apply a suggestion to the interest tree (recorded in the interest history)
+router.post('/interests/suggestions/:suggestionId/accept', auth, async (req, res) => {
+    try {
+        const result = await InterestLearningService.accept(req.user.id, req.params.suggestionId, interestAuthor(req));
+
+        if (!result.success) {
+            const responses = {
+                suggestion_not_found: [404, 'Suggestion not found'],
+                interest_not_found: [409, 'The interest this suggestion targets no longer exists'],
+                user_not_found: [404, 'User not found'],
+                invalid_result: [400, 'Applying this suggestion would exceed the interest limits']
+            };
+            const [status, msg] = responses[result.reason] || [400, 'Could not apply suggestion'];
+
+            return res.status(status).json({
+                success: false,
+                msg,
+                ...(result.errors && { errors: result.errors })
+            });
+        }
+
+        res.json({
+            success: true,
+            suggestion: { ...result.suggestion.toPublic(), status: 'accepted' },
+            interests: result.interests,
+            version: result.version,
+            msg: 'Suggestion applied'
+        });
+    } catch (error) {
+        console.error('Accept interest suggestion error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error applying suggestion'
+        });
+    }
+});
+
+router.post('/interests/suggestions/:suggestionId/reject', auth, async (req, res) => {
+    try {
+        const rejected = await InterestLearningService.reject(req.user.id, req.params.suggestionId);
+
+        if (!rejected) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Suggestion not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            msg: 'Suggestion rejected'
+        });
+    } catch (error) {
+        console.error('Reject interest suggestion error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error rejecting suggestion'
+        });
+    }
+});
+
+// Get personal synonyms used when matching interests against content
+router.get('/synonyms', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('synonyms');
+
+        res.json({
+            success: true,
+            synonyms: user?.synonyms || []
+        });
+    } catch (error) {
+        console.error('Get synonyms error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching synonyms'
+        });
+    }
+});
+
+// Replace all personal synonyms
+router.put('/synonyms', auth, async (req, res) => {
+    try {
+        const validation = MatchingEngine.validateSynonyms(req.body.synonyms);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $set: { synonyms: validation.synonyms } },
+            { new: true }
+        ).select('synonyms');
+
+        res.json({
+            success: true,
+            synonyms: user.synonyms,
+            msg: 'Synonyms updated'
+        });
+    } catch (error) {
+        console.error('Update synonyms error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error updating synonyms'
+        });
+    }
+});
+
+// Get "never show me" rules (blocked keywords, blocked categories, muted channels)
+router.get('/negative-interests', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('negativeInterests');
+
+        res.json({
+            success: true,
+            negativeInterests: NegativeInterests.normalize(user?.negativeInterests)
+        });
+    } catch (error) {
+        console.error('Get negative interests error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching negative interests'
+        });
+    }
+});
+
+// Replace all negative interests
+router.put('/negative-interests', auth, async (req, res) => {
+    try {
+        const validation = NegativeInterests.validate(req.body);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                errors: validation.errors
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $set: { negativeInterests: validation.negativeInterests } },
+            { new: true }
+        ).select('negativeInterests');
+
+        res.json({
+            success: true,
+            negativeInterests: NegativeInterests.normalize(user.negativeInterests),
+            msg: 'Negative interests updated'
+        });
+    } catch (error) {
+        console.error('Update negative interests error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error updating negative interests'
+        });
+    }
+});
+
+// Mute a channel
+router.post('/negative-interests/channels', [
+    body('channelId').notEmpty().withMessage('Channel ID is required'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { channelId, channelTitle = '' } = req.body;
+
+        // Only add the channel if it isn't muted already
+        await User.updateOne(
+            { _id: req.user.id, 'negativeInterests.channels.channelId': { $ne: channelId } },
+            { $push: { 'negativeInterests.channels': { channelId, channelTitle, mutedAt: new Date() } } }
+        );
+
+        const user = await User.findById(req.user.id).select('negativeInterests');
+
+        res.json({
+            success: true,
+            negativeInterests: NegativeInterests.normalize(user.negativeInterests),
+            msg: 'Channel muted'
+        });
+    } catch (error) {
+        console.error('Mute channel error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error muting channel'
+        });
+    }
+});
+
+// Unmute a channel
+router.delete('/negative-interests/channels/:channelId', auth, async (req, res) => {
+    try {
+        const result = await User.updateOne(
+            { _id: req.user.id },
+            { $pull: { 'negativeInterests.channels': { channelId: req.params.channelId } } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Channel is not muted'
+            });
+        }
+
+        res.json({
+            success: true,
+            msg: 'Channel unmuted'
+        });
+    } catch (error) {
+        console.error('Unmute channel error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error unmuting channel'
+        });
+    }
+});
+
+// Download interests as a file (json, yaml or opml) for sharing or keeping in git
+router.get('/interests/export', auth, async (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!InterestTransferService.getFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                msg: `Format must be one of: ${InterestTransferService.FORMATS.join(', ')}`
+            });
+        }
+
+        const file = await InterestTransferService.exportInterests(req.user.id, format);
+        if (!file) {
+            return res.status(404).json({
+                success: false,
+                msg: 'User not found'
+            });
+        }
+
+        res.set('Content-Type', `${file.contentType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.send(file.content);
+    } catch (error) {
+        console.error('Export interests error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error exporting interests'
+        });
+    }
+});
+
+// Import interests from a json, yaml or opml file. Always returns a diff; dryRun skips saving.
+router.post('/interests/import', [
+    body('format').isIn([...InterestTransferService.FORMATS, 'yml'])
+        .withMessage(`Format must be one of: ${InterestTransferService.FORMATS.join(', ')}`),
+    body('content').isString().notEmpty().withMessage('File content is required'),
+    body('mode').optional().isIn(InterestTransferService.IMPORT_MODES)
+        .withMessage(`Mode must be one of: ${InterestTransferService.IMPORT_MODES.join(', ')}`),
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { format, content, mode = 'merge', dryRun = false } = req.body;
+        const result = await InterestTransferService.importInterests(req.user.id, {
+            format,
+            content,
+            mode,
+            dryRun: dryRun === true || dryRun === 'true',
+            author: interestAuthor(req)
+        });
+
+        if (!result.success) {
+            return res.status(result.reason === 'user_not_found' ? 404 : 400).json({
+                success: false,
+                msg: result.reason === 'parse_error' ? 'Could not parse the file' : 'Invalid interests file',
+                reason: result.reason,
+                errors: result.errors || []
+            });
+        }
+
+        res.json({
+            success: true,
+            ...result,
+            msg: result.applied ? 'Interests imported' : 'Dry run - nothing was saved'
+        });
+    } catch (error) {
+        console.error('Import interests error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error importing interests'
+        });
+    }
+});
+
+// List interest presets (curated starting points like "Backend engineer")
+router.get('/interests/presets', auth, async (req, res) => {
+    try {
+        const presets = await InterestPresetService.listPresets();
+
+        res.json({
+            success: true,
+            presets: presets.map(preset => preset.toSummary())
+        });
+    } catch (error) {
+        console.error('List interest presets error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest presets'
+        });
+    }
+});
+
+// Get a single preset with its full interest tree
+router.get('/interests/presets/:slug', auth, async (req, res) => {
+    try {
+        const preset = await InterestPresetService.getPreset(req.params.slug);
+
+        if (!preset) {
+            return res.status(404).json({
+                success: false,
+                msg: 'Preset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            preset: {
+                ...preset.toSummary(),
+                interests: preset.interests
+            }
+        });
+    } catch (error) {
+        console.error('Get interest preset error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching interest preset'
+        });
+    }
+});
+
+const presetModeValidation = [
+    body('mode').optional().isIn(InterestPresetService.APPLY_MODES)
+        .withMessage(`Mode must be one of: ${InterestPresetService.APPLY_MODES.join(', ')}`),
+];
+
+function sendPresetFailure(res, result) {
+    const responses = {
+        preset_not_found: [404, 'Preset not found'],
+        user_not_found: [404, 'User not found'],
+        invalid_mode: [400, 'Invalid mode'],
+        invalid_result: [400, 'Applying this preset would exceed the interest limits']
+    };
+    const [status, msg] = responses[result.reason] || [400, 'Could not apply preset'];
+
+    return res.status(status).json({
+        success: false,
+        msg,
+        ...(result.errors && { errors: result.errors })
+    });
+}
+
+// Show what merging/replacing with a preset would change, without saving
+router.post('/interests/presets/:slug/preview', presetModeValidation, auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await InterestPresetService.preview(req.user.id, req.params.slug, req.body.mode || 'merge');
+        if (!result.success) {
+            return sendPresetFailure(res, result);
+        }
+
+        res.json({
+            success: true,
+            preset: result.preset.toSummary(),
+            mode: result.mode,
+            interests: result.interests,
+            diff: result.diff
+        });
+    } catch (error) {
+        console.error('Preview interest preset error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error previewing interest preset'
+        });
+    }
+});
+
+// Merge a preset into the user's interests, or replace them with it
+router.post('/interests/presets/:slug/apply', presetModeValidation, auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await InterestPresetService.apply(
+            req.user.id,
+            req.params.slug,
+            req.body.mode || 'merge',
+            interestAuthor(req)
+        );
+        if (!result.success) {
+            return sendPresetFailure(res, result);
+        }
+
+        res.json({
+            success: true,
+            preset: result.preset.toSummary(),
+            mode: result.mode,
+            interests: result.user.interests,
+            diff: result.diff,
+            version: result.version.version,
+            msg: `Preset "${result.preset.name}" applied`
+        });
+    } catch (error) {
+        console.error('Apply interest preset error:', error);
+        res.status(500).json({
+            success: false,
+            msg: 'Error applying interest preset'
+        });
+    }
+});
+
+// List personal API keys
+router.get('/api-keys', auth, async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ userId: req.user.id, revokedAt: null }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            apiKeys: apiKeys.map(apiKey => apiKey.toPublic()),
+            availableScopes: ApiKey.SCOPES
+        });
+    } catch (err) {
+        console.error('List API keys error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error fetching API keys'
+        });
+    }
+});
+
+// Create a personal API key - the key itself is only returned in this response
+router.post('/api-keys', [
+    body('name').trim().notEmpty().withMessage('Key name is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be from: ${ApiKey.SCOPES.join(', ')}`),
+    body('expiresInDays').optional().isInt({ min: 1, max: 365 }),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { name, scopes, expiresInDays } = req.body;
+
+        // Admin scopes can only be granted by users who already have admin access
+        if (scopes.some(scope => scope.startsWith('admin:'))) {
+            const user = await User.findById(req.user.id).select('role');
+            if (!User.hasRole(user.role, 'viewer')) {
+                return res.status(403).json({
+                    success: false,
+                    msg: 'Admin scopes require admin access'
+                });
+            }
+        }
+
+        const expiresAt = expiresInDays
+            ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+            : null;
+
+        const { key, apiKey } = await TokenService.createApiKey(req.user.id, { name, scopes, expiresAt });
+
+        res.status(201).json({
+            success: true,
+            key,
+            apiKey: apiKey.toPublic(),
+            msg: 'API key created - copy it now, it will not be shown again'
+        });
+    } catch (err) {
+        console.error('Create API key error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error creating API key'
+        });
+    }
+});
+
+// Revoke a personal API key
+router.delete('/api-keys/:keyId', auth, async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.keyId, userId: req.user.id, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                msg: 'API key not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            msg: 'API key revoked'
+        });
+    } catch (err) {
+        console.error('Revoke API key error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error revoking API key'
+        });
+    }
+});
+
+// Download all personal data as a JSON archive
+router.get('/export', auth, async (req, res) => {
+    try {
+        const archive = await AccountService.exportUserData(req.user.id);
+        if (!archive) {
+            return res.status(404).json({
+                success: false,
+                msg: 'User not found'
+            });
+        }
+
+        const fileName = `relevant-export-${new Date().toISOString().slice(0, 10)}.json`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.json(archive);
+    } catch (err) {
+        console.error('Data export error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error exporting user data'
+        });
+    }
+});
+
+// Permanently delete the account and all associated data
+router.delete('/account', [
+    body('password').notEmpty().withMessage('Password is required to delete your account'),
+], auth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('password');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                msg: 'User not found'
+            });
+        }
+
+        const isMatch = await bcrypt.compare(req.body.password, user.password);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                msg: 'Invalid credentials'
+            });
+        }
+
+        const result = await AccountService.deleteAccount(req.user.id);
+
+        res.json({
+            success: true,
+            ...result,
+            msg: 'Account deleted'
+        });
+    } catch (err) {
+        console.error('Account deletion error:', err.message);
+        res.status(500).json({
+            success: false,
+            msg: 'Error deleting account'
+        });
+    }
+});
+
 module.exports = router;
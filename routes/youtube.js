@@ -84,7 +84,7 @@ router.post('/youtube/callback', auth, async (req, res) => {
 // Disconnect YouTube account
 router.post('/youtube/disconnect', auth, async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.user.id).select('+youtubeAuth.accessToken +youtubeAuth.refreshToken');
 
         // Clear YouTube OAuth information
         user.youtubeAuth = {
@@ -0,0 +1,24 @@
+/**
+ * Quick Test Runner
+ * Runs the unit tests in test/ with the built-in node:test runner.
+ * No database, Redis or API keys needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const testDir = path.join(__dirname, '..', 'test');
+
+const files = fs.readdirSync(testDir)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .map(file => path.join(testDir, file));
+
+if (files.length === 0) {
+    console.error('❌ No tests found in test/');
+    process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+process.exit(result.status === null ? 1 : result.status);
@@ -7,10 +7,17 @@ require('dotenv').config();
 const CronService = require('./services/CronService');
 // Use SimpleJobQueue for development (no Redis required)
 const JobQueue = require('./services/SimpleJobQueue');
+const InterestPresetService = require('./services/interests/InterestPresetService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer req.ip must come from X-Forwarded-For for per-IP rate limits
+if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY);
+    app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -25,6 +32,11 @@ mongoose.connection.on('connected', () => {
     console.log('Starting background services...');
     CronService.startAll();
     console.log('✅ Background services started');
+
+    // Make sure the built-in interest presets exist
+    InterestPresetService.seedDefaults()
+        .then(inserted => inserted > 0 && console.log(`Seeded ${inserted} interest presets`))
+        .catch(err => console.error('Error seeding interest presets:', err.message));
 });
 
 mongoose.connection.on('error', (err) => {
@@ -36,140 +48,8 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/user', require('./routes/user'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/oauth', require('./routes/youtube'));
+app.use('/api/admin', require('./routes/admin'));
 
-// Admin routes for monitoring
-app.get('/api/admin/jobs/status', async (req, res) => {
-    try {
-        const queueStats = await JobQueue.getQueueStats();
-        const activeJobs = await JobQueue.getActiveJobs();
-        const cronStatus = CronService.getStatus();
-
-        res.json({
-            success: true,
-            queueStats,
-            activeJobs,
-            cronStatus
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            msg: 'Error fetching job status',
-            error: error.message
-        });
-    }
-});
-
-// Manual trigger endpoints for testing
-app.post('/api/admin/trigger/channel-monitoring', async (req, res) => {
-    try {
-        const result = await CronService.triggerChannelMonitoring();
-        res.json({
-            success: true,
-            msg: 'Channel monitoring triggered',
-            jobId: result.id
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            msg: 'Error triggering channel monitoring',
-            error: error.message
-        });
-    }
-});
-
-// AI Analysis cost monitoring endpoint
-app.get('/api/admin/ai/stats', async (req, res) => {
-    try {
-        const AIAnalysisService = require('./services/AIAnalysisServiceRefactored');
-        const stats = AIAnalysisService.getAnalysisStats();
-
-        // Get cost data from recent content
-        const Content = require('./models/Content');
-        const recentContent = await Content.find({
-            'aiAnalysis.processingCost': { $exists: true },
-            processedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Last 24 hours
-        }).limit(100);
-
-        const costAnalysis = recentContent.reduce((acc, content) => {
-            const cost = content.aiAnalysis.processingCost || 0;
-            const stage = content.aiAnalysis.processingStage || 'unknown';
-
-            acc.totalCost += cost;
-            acc.stageBreakdown[stage] = (acc.stageBreakdown[stage] || 0) + cost;
-            acc.contentProcessed++;
-
-            if (content.costEffectiveAnalysis) {
-                if (content.costEffectiveAnalysis.aiProcessed) {
-                    acc.fullyAnalyzed++;
-                } else if (content.costEffectiveAnalysis.filtered) {
-                    acc.filtered++;
-                } else {
-                    acc.keywordOnly++;
-                }
-            }
-
-            return acc;
-        }, {
-            totalCost: 0,
-            contentProcessed: 0,
-            fullyAnalyzed: 0,
-            keywordOnly: 0,
-            filtered: 0,
-            stageBreakdown: {}
-        });
-
-        res.json({
-            success: true,
-            aiStats: stats,
-            costAnalysis,
-            last24Hours: {
-                totalCost: costAnalysis.totalCost,
-                avgCostPerItem: costAnalysis.contentProcessed > 0 ?
-                    costAnalysis.totalCost / costAnalysis.contentProcessed : 0,
-                processingBreakdown: {
-                    fullyAnalyzed: costAnalysis.fullyAnalyzed,
-                    keywordOnly: costAnalysis.keywordOnly,
-                    filtered: costAnalysis.filtered
-                }
-            }
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            msg: 'Error fetching AI stats',
-            error: error.message
-        });
-    }
-});
-
-// AI Analysis configuration update endpoint
-app.put('/api/admin/ai/config', async (req, res) => {
-    try {
-        const AIAnalysisService = require('./services/AIAnalysisServiceRefactored');
-        const { config } = req.body;
-
-        if (!config) {
-            return res.status(400).json({
-                success: false,
-                msg: 'Configuration data required'
-            });
-        }
-
-        AIAnalysisService.updateConfig(config);
-
-        res.json({
-            success: true,
-            msg: 'AI analysis configuration updated',
-            newConfig: AIAnalysisService.getAnalysisStats().config
-        });
-    } catch (error) {
-        res.status(500).json({
-            success: false,
-            msg: 'Error updating AI config',
-            error: error.message
-        });
-    }
-});
 
 app.get('/', (req, res) => {
     res.json({
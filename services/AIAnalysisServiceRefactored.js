@@ -6,18 +6,29 @@
 const AnalysisPipeline = require('./ai-analysis/AnalysisPipeline');
 const OpenRouterService = require('./ai-analysis/OpenRouterService');
 const AnalysisConfig = require('./ai-analysis/config/AnalysisConfig');
+const ContentAnalyzer = require('./ai-analysis/ContentAnalyzer');
+const Personalizer = require('./ai-analysis/Personalizer');
+const BasicContentFilter = require('./ai-analysis/filters/BasicContentFilter');
+const KeywordRelevanceFilter = require('./ai-analysis/filters/KeywordRelevanceFilter');
+const MatchingEngine = require('./ai-analysis/matching/MatchingEngine');
+const InterestTree = require('./interests/InterestTree');
 
 class AIAnalysisServiceRefactored {
     constructor() {
         this.pipeline = new AnalysisPipeline();
         this.openRouter = new OpenRouterService();
         this.config = AnalysisConfig;
+        this.contentAnalyzer = new ContentAnalyzer();
+        this.personalizer = new Personalizer();
+        this.basicFilter = new BasicContentFilter();
+        this.keywordFilter = new KeywordRelevanceFilter();
     }
 
     /**
      * Main analysis method - simplified interface
+     * @param {Object} options - { negativeInterests, synonyms } passed to every pipeline stage
      */
-    async analyzeContent(contentBatch, userInterests) {
+    async analyzeContent(contentBatch, userInterests, options = {}) {
         if (!Array.isArray(contentBatch) || contentBatch.length === 0) {
             return this.createEmptyResult();
         }
@@ -27,13 +38,69 @@ class AIAnalysisServiceRefactored {
         }
 
         try {
-            return await this.pipeline.process(contentBatch, userInterests);
+            return await this.pipeline.process(contentBatch, userInterests, options);
         } catch (error) {
             console.error('Analysis pipeline failed:', error);
             return this.createErrorResult(error, contentBatch.length);
         }
     }
 
+    /**
+     * The free, interest-independent checks of the pipeline's first stage (structure, duration,
+     * quality indicators, blocked channels and keywords), run before paying for an analysis
+     */
+    passesContentScreen(video, negativeInterests = null) {
+        return this.basicFilter.passesNegativeInterests(video, negativeInterests) &&
+            this.basicFilter.passesBasicFilter(video);
+    }
+
+    /**
+     * The per-user check before a video is queued from a user's subscriptions: the content
+     * screen with their blocks, then the pipeline's keyword stage against their interests.
+     * No AI call - the analysis itself is shared (see analyzeSharedContent).
+     * Returns { passed, keywordRelevance, keywordMatches, processingStage }.
+     */
+    screenForUser(video, user) {
+        if (!this.passesContentScreen(video, user.negativeInterests)) {
+            return { passed: false, keywordRelevance: 0, keywordMatches: [], processingStage: 'content_screen' };
+        }
+
+        const interests = InterestTree.effectiveTree(user.interests);
+        const matcher = MatchingEngine.createMatcher({ synonyms: user.synonyms });
+        const keywordMatches = this.keywordFilter.getKeywordMatches(video, interests, matcher);
+        const keywordRelevance = this.keywordFilter.scoreMatches(keywordMatches);
+
+        return {
+            passed: keywordRelevance >= this.config.thresholds.minTitleRelevance,
+            keywordRelevance,
+            keywordMatches,
+            processingStage: 'keyword_screen'
+        };
+    }
+
+    /**
+     * Interest-independent analysis of one video, to be cached on Content.analysis.
+     * Returns { analysis, cost }.
+     */
+    async analyzeSharedContent(video) {
+        return this.contentAnalyzer.analyze(video);
+    }
+
+    /**
+     * Whether a Content's cached analysis is up to date
+     */
+    hasCurrentAnalysis(content) {
+        return this.contentAnalyzer.isCurrent(content);
+    }
+
+    /**
+     * A user's relevance score, matched interests, reason and highlights for an analysed
+     * Content - no AI call
+     */
+    personalize(content, user) {
+        return this.personalizer.personalize(content, user);
+    }
+
     /**
      * Analyze single video for relevance (backward compatibility)
      */
@@ -0,0 +1,123 @@
+/**
+ * Account Service
+ * Personal data export and account deletion
+ */
+
+const User = require('../models/User');
+const Content = require('../models/Content');
+const UserContent = require('../models/UserContent');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuthToken = require('../models/AuthToken');
+const InterestVersion = require('../models/InterestVersion');
+const InterestSuggestion = require('../models/InterestSuggestion');
+const YouTubeService = require('./YouTubeService');
+
+class AccountService {
+    /**
+     * Bundle everything we store about a user into a JSON-serializable archive
+     */
+    async exportUserData(userId) {
+        const user = await User.findById(userId).select('-password');
+        if (!user) return null;
+
+        const profile = user.toObject();
+        // Never put OAuth credentials in a downloadable file
+        if (profile.youtubeAuth) {
+            delete profile.youtubeAuth.accessToken;
+            delete profile.youtubeAuth.refreshToken;
+        }
+
+        const interactions = await UserContent.find({ userId })
+            .populate('contentId', 'title url source sourceId sourceChannel publishedAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const sessions = await Session.find({ userId })
+            .select('userAgent ip lastSeenIp createdAt lastSeenAt expiresAt revokedAt revokedReason')
+            .lean();
+
+        const apiKeys = await ApiKey.find({ userId });
+
+        const interestHistory = await InterestVersion.find({ userId })
+            .select('-_id version interests source author restoredFrom summary createdAt')
+            .sort({ version: 1 })
+            .lean();
+
+        const views = await Content.find({ 'views.userId': userId })
+            .select('title url views')
+            .lean();
+
+        return {
+            exportedAt: new Date().toISOString(),
+            formatVersion: 1,
+            profile: {
+                id: profile._id,
+                email: profile.email,
+                name: profile.name,
+                emailVerified: profile.emailVerified,
+                role: profile.role,
+                preferences: profile.preferences,
+                youtubeAuth: profile.youtubeAuth,
+                createdAt: profile.createdAt
+            },
+            interests: profile.interests || {},
+            negativeInterests: profile.negativeInterests || {},
+            synonyms: profile.synonyms || [],
+            interestHistory,
+            youtubeSources: profile.youtubeSources || [],
+            interactions: interactions.map(({ contentId, ...interaction }) => ({
+                ...interaction,
+                content: contentId || null
+            })),
+            contentViews: views.map(content => ({
+                contentId: content._id,
+                title: content.title,
+                url: content.url,
+                views: content.views.filter(view => view.userId?.toString() === userId.toString())
+            })),
+            sessions,
+            apiKeys: apiKeys.map(apiKey => apiKey.toPublic())
+        };
+    }
+
+    /**
+     * Permanently delete a user and everything that references them
+     */
+    async deleteAccount(userId) {
+        const user = await User.findById(userId).select('+youtubeAuth.accessToken +youtubeAuth.refreshToken');
+        if (!user) return null;
+
+        // Revoke YouTube access first so a failure later doesn't leave a live grant behind
+        let youtubeRevoked = false;
+        const youtubeToken = user.youtubeAuth?.refreshToken || user.youtubeAuth?.accessToken;
+        if (youtubeToken) {
+            youtubeRevoked = await YouTubeService.revokeToken(youtubeToken);
+        }
+
+        const userContentResult = await UserContent.deleteMany({ userId });
+        const viewsResult = await Content.updateMany(
+            { 'views.userId': user._id },
+            { $pull: { views: { userId: user._id } } }
+        );
+        const sessionsResult = await Session.deleteMany({ userId });
+        const apiKeysResult = await ApiKey.deleteMany({ userId });
+        await AuthToken.deleteMany({ userId });
+        await InterestVersion.deleteMany({ userId });
+        await InterestSuggestion.deleteMany({ userId });
+
+        await User.deleteOne({ _id: userId });
+
+        console.log(`Deleted account ${userId}: ${userContentResult.deletedCount} interactions, ${viewsResult.modifiedCount} content views`);
+
+        return {
+            deletedInteractions: userContentResult.deletedCount,
+            strippedContentViews: viewsResult.modifiedCount,
+            deletedSessions: sessionsResult.deletedCount,
+            deletedApiKeys: apiKeysResult.deletedCount,
+            youtubeRevoked
+        };
+    }
+}
+
+module.exports = new AccountService();
@@ -67,6 +67,22 @@ class CronService {
 
         this.jobs.set('youtube-subscription-sync', youtubeSubscriptionSyncJob);
 
+        // Learn interest suggestions from likes, saves and dismissals daily at 4 AM UTC
+        const interestLearningJob = cron.schedule('0 4 * * *', async () => {
+            console.log('Starting interest learning...');
+            try {
+                await this.queueInterestLearningForAllUsers();
+                console.log('Interest learning jobs queued successfully');
+            } catch (error) {
+                console.error('Error queueing interest learning:', error);
+            }
+        }, {
+            scheduled: false,
+            timezone: "UTC"
+        });
+
+        this.jobs.set('interest-learning', interestLearningJob);
+
         // Cleanup old content weekly on Sunday at 2 AM UTC
         const cleanupJob = cron.schedule('0 2 * * 0', async () => {
             console.log('Starting weekly cleanup...');
@@ -87,6 +103,7 @@ class CronService {
         console.log('- Channel monitoring: Every 2 hours');
         console.log('- Today\'s content processing: Daily at 6 AM UTC (no duplicate analysis)');
         console.log('- YouTube subscription sync: Every 12 hours');
+        console.log('- Interest learning: Daily at 4 AM UTC');
         console.log('- Weekly cleanup: Sunday at 2 AM UTC');
     }
 
@@ -186,6 +203,22 @@ class CronService {
         }
     }
 
+    /**
+     * Queue a learning job for every user who liked, saved or dismissed something recently
+     */
+    async queueInterestLearningForAllUsers() {
+        const InterestLearningService = require('./interests/InterestLearningService');
+
+        const userIds = await InterestLearningService.findUsersToLearnFrom();
+        console.log(`Queueing interest learning for ${userIds.length} users`);
+
+        for (const userId of userIds) {
+            await JobQueue.queueInterestLearning(userId.toString());
+        }
+
+        return { queuedUsers: userIds.length };
+    }
+
     startAll() {
         console.log('Starting all cron jobs...');
         this.jobs.forEach((job, name) => {
@@ -229,6 +262,11 @@ class CronService {
         return await JobQueue.queueTodaysContentProcessing(userId);
     }
 
+    async triggerInterestLearning() {
+        console.log('Manually triggering interest learning...');
+        return await this.queueInterestLearningForAllUsers();
+    }
+
     async triggerCleanup() {
         console.log('Manually triggering cleanup...');
         return await this.performCleanup();
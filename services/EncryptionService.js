@@ -0,0 +1,109 @@
+/**
+ * Encryption Service
+ * AES-256-GCM field-level encryption with key IDs so keys can be rotated
+ *
+ * Keys come from FIELD_ENCRYPTION_KEYS as "keyId:base64Key" pairs separated by commas
+ * (each key 32 bytes). FIELD_ENCRYPTION_KEY_ID picks the key used for new writes; the
+ * others are kept only to decrypt older values until they are re-encrypted.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+
+class EncryptionService {
+    constructor() {
+        this.keys = this.loadKeys();
+        this.currentKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || Object.keys(this.keys)[0];
+
+        if (!this.keys[this.currentKeyId]) {
+            throw new Error(`FIELD_ENCRYPTION_KEY_ID "${this.currentKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+        }
+    }
+
+    loadKeys() {
+        const keys = {};
+        const configured = process.env.FIELD_ENCRYPTION_KEYS;
+
+        if (!configured) {
+            // Development fallback, mirrors the JWT secret fallback - never rely on this in production
+            console.warn('FIELD_ENCRYPTION_KEYS not set, deriving a development key from JWT_SECRET');
+            const secret = process.env.JWT_SECRET || 'relevant_fallback_secret_key';
+            keys.dev = crypto.createHash('sha256').update(`field-encryption:${secret}`).digest();
+            return keys;
+        }
+
+        for (const entry of configured.split(',')) {
+            const [keyId, encodedKey] = entry.trim().split(':');
+            const key = Buffer.from(encodedKey || '', 'base64');
+
+            if (!keyId || key.length !== 32) {
+                throw new Error(`Invalid FIELD_ENCRYPTION_KEYS entry "${keyId}" (expected keyId:base64 32-byte key)`);
+            }
+            keys[keyId] = key;
+        }
+
+        return keys;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+    }
+
+    /**
+     * Key ID a stored value was encrypted with, or null for plaintext
+     */
+    getKeyId(value) {
+        return this.isEncrypted(value) ? value.split(':')[2] : null;
+    }
+
+    /**
+     * True when a stored value is plaintext or was encrypted with a retired key
+     */
+    needsReencryption(value) {
+        if (value === null || value === undefined || value === '') return false;
+        return this.getKeyId(value) !== this.currentKeyId;
+    }
+
+    encrypt(plaintext) {
+        if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+        if (this.isEncrypted(plaintext)) return plaintext;
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.keys[this.currentKeyId], iv);
+        const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+        const tag = cipher.getAuthTag();
+
+        return [PREFIX, this.currentKeyId, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+    }
+
+    /**
+     * Decrypt a stored value. Plaintext (values written before encryption existed) passes through.
+     */
+    decrypt(value) {
+        if (!this.isEncrypted(value)) return value;
+
+        const [, , keyId, iv, tag, ciphertext] = value.split(':');
+        const key = this.keys[keyId];
+        if (!key) {
+            throw new Error(`No encryption key configured for key ID "${keyId}"`);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+    }
+
+    /**
+     * Bring a stored value up to the current key
+     */
+    reencrypt(value) {
+        return this.encrypt(this.decrypt(value));
+    }
+}
+
+module.exports = new EncryptionService();
@@ -8,6 +8,11 @@ const AIAnalysisService = require('./AIAnalysisServiceRefactored');
 const User = require('../models/User');
 const Content = require('../models/Content');
 const UserContent = require('../models/UserContent');
+const NegativeInterests = require('./interests/NegativeInterests');
+const InterestLearningService = require('./interests/InterestLearningService');
+const InterestQuotaService = require('./interests/InterestQuotaService');
+const FeedBudgetService = require('./feed/FeedBudgetService');
+const ScoringTrace = require('./explain/ScoringTrace');
 
 class SimpleJobQueueRefactored {
     constructor() {
@@ -42,7 +47,7 @@ class SimpleJobQueueRefactored {
 
             switch (job.type) {
                 case 'process-video':
-                    await this.processVideo(job.data.videoId, job.data.videoData, job.data.userIds);
+                    await this.processVideo(job.data.videoId, job.data.videoData, job.data.userIds, job.data.screenings);
                     break;
                 case 'monitor-channels':
                     await this.monitorAllChannels();
@@ -56,6 +61,9 @@ class SimpleJobQueueRefactored {
                 case 'AI_ANALYSIS':
                     await this.processAIAnalysisJob(job.data);
                     break;
+                case 'learn-interests':
+                    await this.processInterestLearning(job.data.userId);
+                    break;
             }
 
             this.activeJobs.delete(jobId);
@@ -73,12 +81,12 @@ class SimpleJobQueueRefactored {
      * Process AI Analysis job using refactored AI system
      */
     async processAIAnalysisJob(data) {
-        const { videos, userInterests } = data;
+        const { videos, userInterests, negativeInterests, synonyms } = data;
 
         console.log(`🤖 Processing AI analysis for ${videos.length} videos`);
 
         // Use the refactored AI analysis system
-        const result = await AIAnalysisService.analyzeContent(videos, userInterests);
+        const result = await AIAnalysisService.analyzeContent(videos, userInterests, { negativeInterests, synonyms });
 
         console.log(`✅ AI analysis complete: ${result.analyzedContent.length} relevant videos found`);
         console.log(`💰 Total cost: $${result.cost.total.toFixed(6)}`);
@@ -86,7 +94,11 @@ class SimpleJobQueueRefactored {
         return result;
     }
 
-    async processVideo(videoId, videoData, userIds = []) {
+    /**
+     * @param {Object} screenings - per-user pipeline results from a subscription scan, by user id,
+     * kept in the scoring trace
+     */
+    async processVideo(videoId, videoData, userIds = [], screenings = {}) {
         try {
             console.log(`Processing video: ${videoId}`);
 
@@ -109,39 +121,33 @@ class SimpleJobQueueRefactored {
                 ...videoData
             };
 
-            // Check if content already exists
+            // The users the job is for, or everyone subscribed to the channel
+            const users = userIds && userIds.length > 0
+                ? await User.find({ _id: { $in: userIds } })
+                : await User.find({ 'youtubeSources.channelId': videoData.channelId });
+
+            if (users.length === 0) {
+                console.log(`No target users found for video: ${videoId}`);
+                return { success: true, reason: 'No target users' };
+            }
+
+            // Tier 1: what the video is about, analysed once and cached on Content for every user
             let content = await Content.findOne({
                 sourceId: videoId,
                 source: 'youtube'
             });
+            let analysisCost = 0;
 
-            if (!content) {
-                // Get transcript
-                let transcript = [];
-                try {
-                    transcript = await YouTubeService.getVideoTranscript(videoId);
-                    if (!transcript || !Array.isArray(transcript)) {
-                        transcript = [];
-                    }
-                } catch (error) {
-                    console.log(`No transcript available for video: ${videoId} - ${error.message}`);
-                    transcript = [];
-                }
-
-                if (transcript.length === 0) {
-                    // Create fallback transcript
-                    transcript = [{
-                        text: `${videoData.title}. ${videoData.description ? videoData.description.substring(0, 200) : ''}`,
-                        start: 0,
-                        duration: 10
-                    }];
-                }
+            if (!content || !AIAnalysisService.hasCurrentAnalysis(content)) {
+                const transcript = content
+                    ? content.transcript?.segments || []
+                    : await this.getTranscript(videoId, videoData);
 
-                // Prepare video for AI analysis
                 const videoForAnalysis = {
                     id: videoId,
                     title: videoData.title,
                     description: videoData.description || '',
+                    channelId: videoData.channelId,
                     channelTitle: videoData.channelTitle,
                     duration: videoData.duration,
                     viewCount: videoData.viewCount || 0,
@@ -149,105 +155,57 @@ class SimpleJobQueueRefactored {
                     transcript: transcript.map(t => t.text).join(' ')
                 };
 
-                // Get user interests for analysis
-                const users = await User.find({
-                    'youtubeSources.channelId': videoData.channelId
-                });
-                const aggregatedInterests = this.aggregateUserInterests(users);
-
-                // Use refactored AI analysis system
-                console.log(`🤖 Starting AI analysis for video: ${videoId}`);
-                const analysisResult = await AIAnalysisService.analyzeContent([videoForAnalysis], aggregatedInterests);
-
-                let analysis;
-                if (analysisResult.analyzedContent.length > 0) {
-                    const analyzedVideo = analysisResult.analyzedContent[0];
-                    analysis = {
-                        segments: transcript.map(t => ({
-                            ...t,
-                            relevanceScore: analyzedVideo.finalRelevanceScore || 0.5,
-                            topics: analyzedVideo.categories || ['general']
-                        })),
-                        analysis: {
-                            summary: analyzedVideo.fullAnalysis?.summary || `Analysis of ${videoData.title}`,
-                            sentiment: analyzedVideo.fullAnalysis?.sentiment || 'neutral',
-                            keyPoints: analyzedVideo.fullAnalysis?.keyPoints || [],
-                            relevanceScore: analyzedVideo.finalRelevanceScore || 0.5,
-                            processingCost: analysisResult.cost.total,
-                            processingStage: analyzedVideo.processingStage || 'ai_analysis'
+                // Only blocks every target user has stop the shared analysis; the rest apply per user below
+                const sharedNegativeInterests = NegativeInterests.intersect(users.map(user => user.negativeInterests));
+                if (!content && !AIAnalysisService.passesContentScreen(videoForAnalysis, sharedNegativeInterests)) {
+                    console.log(`Video filtered before analysis: ${videoId}`);
+                    return { success: true, reason: 'Video filtered before analysis' };
+                }
+
+                console.log(`🤖 Starting content analysis for video: ${videoId}`);
+                const { analysis, cost } = await AIAnalysisService.analyzeSharedContent(videoForAnalysis);
+                analysisCost = cost;
+
+                if (!content) {
+                    content = new Content({
+                        title: videoData.title,
+                        description: videoData.description || '',
+                        url: `https://www.youtube.com/watch?v=${videoId}`,
+                        source: 'youtube',
+                        sourceId: videoId,
+                        sourceChannel: {
+                            id: videoData.channelId,
+                            name: videoData.channelTitle
                         },
-                        highlights: analyzedVideo.highlights || transcript.slice(0, 2).map(t => ({
-                            ...t,
-                            reason: 'AI-identified relevance',
-                            relevance: analyzedVideo.finalRelevanceScore || 0.5
-                        })),
-                        topics: analyzedVideo.categories || ['general'],
-                        categories: analyzedVideo.categories || ['General']
-                    };
-                } else {
-                    // Video not relevant
-                    console.log(`Video not relevant: ${videoId}`);
-                    return { success: true, reason: 'Video not relevant' };
+                        thumbnail: videoData.thumbnails?.medium?.url || videoData.thumbnails?.default?.url,
+                        publishedAt: new Date(videoData.publishedAt),
+                        duration: this.parseDuration(videoData.duration),
+                        transcript: {
+                            text: transcript.map(t => t.text).join(' '),
+                            segments: transcript.map(t => ({
+                                start: t.start || 0,
+                                end: t.end || (t.start || 0) + (t.duration || 0),
+                                text: t.text,
+                                topics: analysis.mainTopics,
+                                relevanceScore: t.relevanceScore || 0
+                            }))
+                        }
+                    });
                 }
 
-                // Create content record
-                content = new Content({
-                    title: videoData.title,
-                    description: videoData.description || '',
-                    url: `https://www.youtube.com/watch?v=${videoId}`,
-                    source: 'youtube',
-                    sourceId: videoId,
-                    sourceChannel: {
-                        id: videoData.channelId,
-                        name: videoData.channelTitle
-                    },
-                    thumbnail: videoData.thumbnails?.medium?.url || videoData.thumbnails?.default?.url,
-                    publishedAt: new Date(videoData.publishedAt),
-                    duration: this.parseDuration(videoData.duration),
-                    transcript: {
-                        text: transcript.map(t => t.text).join(' '),
-                        segments: transcript.map(t => ({
-                            start: t.start || 0,
-                            end: t.end || (t.start || 0) + (t.duration || 0),
-                            text: t.text,
-                            topics: t.topics || [],
-                            relevanceScore: t.relevanceScore || 0
-                        }))
-                    },
-                    analysis: {
-                        mainTopics: analysis.topics || [],
-                        summary: analysis.analysis?.summary || '',
-                        highlights: analysis.highlights || [],
-                        keyPoints: analysis.analysis?.keyPoints || [],
-                        sentiment: analysis.analysis?.sentiment || 'neutral',
-                        complexity: analysis.analysis?.complexity || 5,
-                        overallRelevanceScore: (analysis.analysis?.relevanceScore || 0) * 100
-                    },
-                    processed: true,
-                    processedAt: new Date(),
-                    processingError: null
-                });
+                content.analysis = analysis;
+                content.processed = true;
+                content.processedAt = new Date();
+                content.processingError = null;
 
                 await content.save();
-                console.log(`Content created for video: ${videoId}`);
+                console.log(`Content analysed for video: ${videoId}`);
             }
 
-            // Create UserContent entries for relevant users
-            let targetUsers = userIds;
-            if (!targetUsers || targetUsers.length === 0) {
-                const users = await User.find({
-                    'youtubeSources.channelId': videoData.channelId
-                });
-                targetUsers = users.map(u => u._id.toString());
-            }
-
-            if (targetUsers.length === 0) {
-                console.log(`No target users found for video: ${videoId}`);
-                return { success: true, reason: 'No target users' };
-            }
+            // Tier 2: each user's own relevance, matched interests and reason - no AI call
+            const userContentPromises = users.map(async (user) => {
+                const userId = user._id.toString();
 
-            // Create UserContent entries
-            const userContentPromises = targetUsers.map(async (userId) => {
                 const existingUserContent = await UserContent.findOne({
                     userId,
                     contentId: content._id
@@ -257,28 +215,57 @@ class SimpleJobQueueRefactored {
                     return existingUserContent;
                 }
 
-                const user = await User.findById(userId);
-                if (!user) return null;
-
-                const relevanceScore = content.analysis?.overallRelevanceScore
-                    ? content.analysis.overallRelevanceScore / 100
-                    : 0.8;
-
-                const threshold = parseFloat(process.env.RELEVANCE_THRESHOLD) || 0.6;
-                if (relevanceScore >= threshold) {
-                    const matchedInterests = this.calculateMatchedInterests(user.interests, content);
-                    const personalizedHighlights = this.generatePersonalizedHighlights(content, user.interests);
-
-                    const userContent = new UserContent({
-                        userId,
-                        contentId: content._id,
-                        relevanceScore,
-                        matchedInterests,
-                        personalizedHighlights,
-                        createdAt: new Date()
-                    });
-                    await userContent.save();
-                    return userContent;
+                const blocked = NegativeInterests.findMatch(content, user.negativeInterests);
+                if (blocked) {
+                    console.log(`Skipping ${videoId} for user ${userId}: blocked ${blocked.type} "${blocked.value}"`);
+                    return null;
+                }
+
+                const personalization = AIAnalysisService.personalize(content, user);
+                const { relevanceThreshold: threshold, maxPerDay } = FeedBudgetService.getSettings(user.preferences);
+
+                // Interests may set their own minimum relevance and daily cap
+                const quotaCheck = await InterestQuotaService.checkNewItem(
+                    userId, user.interests, personalization.relevanceScore, personalization.matchedInterests, threshold
+                );
+
+                if (quotaCheck.allowed) {
+                    let releasedAt = null;
+
+                    try {
+                        // Over today's maxContentPerDay the item is kept but held for a later day
+                        releasedAt = await FeedBudgetService.getReleaseDate(userId, user.preferences);
+
+                        const userContent = new UserContent({
+                            userId,
+                            contentId: content._id,
+                            relevanceScore: personalization.relevanceScore,
+                            matchedInterests: personalization.matchedInterests,
+                            recommendationReason: personalization.recommendationReason,
+                            personalizedHighlights: personalization.personalizedHighlights,
+                            releasedAt,
+                            scoringTrace: ScoringTrace.build({
+                                content,
+                                personalization,
+                                relevanceThreshold: threshold,
+                                interests: user.interests,
+                                acceptedBy: quotaCheck.acceptedBy,
+                                releasedAt,
+                                maxPerDay,
+                                screening: screenings[userId] || null
+                            }),
+                            createdAt: new Date()
+                        });
+                        await userContent.save();
+                        return userContent;
+                    } catch (error) {
+                        // The slots are only taken for items that end up in the feed
+                        await Promise.all([
+                            InterestQuotaService.releaseSlots(quotaCheck.counterKeys),
+                            FeedBudgetService.releaseSlot(userId, releasedAt)
+                        ]);
+                        throw error;
+                    }
                 }
 
                 return null;
@@ -292,7 +279,8 @@ class SimpleJobQueueRefactored {
             return {
                 success: true,
                 contentId: content._id,
-                userContentCount: createdUserContent.length
+                userContentCount: createdUserContent.length,
+                analysisCost
             };
 
         } catch (error) {
@@ -325,15 +313,11 @@ class SimpleJobQueueRefactored {
                         videos = [];
                     }
 
-                    // Filter out videos that already exist and have been processed
+                    // Skip videos already in this user's feed. A video analysed for someone else is
+                    // kept: processVideo reuses its cached analysis and only personalizes it.
                     const newVideos = [];
                     for (const video of videos) {
-                        const existingContent = await Content.findOne({
-                            sourceId: video.id,
-                            source: 'youtube'
-                        });
-
-                        if (!existingContent) {
+                        if (!await this.hasUserContent(userId, video.id)) {
                             newVideos.push(video);
                         }
                     }
@@ -367,47 +351,31 @@ class SimpleJobQueueRefactored {
 
             console.log(`Found ${allVideos.length} new videos across ${user.youtubeSources.length} channels`);
 
-            // Step 2: Use AI analysis system for batch processing
-            const aggregatedInterests = this.aggregateUserInterests([user]);
-
-            // Prepare videos for analysis
-            const videosForAnalysis = allVideos.map(video => ({
-                id: video.id,
-                title: video.title,
-                description: video.description || '',
-                channelTitle: video.channelTitle,
-                duration: video.duration,
-                viewCount: video.viewCount || 0,
-                publishedAt: video.publishedAt
-            }));
-
-            console.log('\n=== BATCH AI ANALYSIS ===');
-            const analysisResult = await AIAnalysisService.analyzeContent(videosForAnalysis, aggregatedInterests);
-
-            // Step 3: Queue relevant videos for processing
-            console.log('\n=== PROCESSING RELEVANT VIDEOS ===');
+            // Step 2: Only the cheap keyword screen runs per user; the AI analysis is shared
+            // between users and cached, and happens when the queued job runs (processVideo)
+            console.log('\n=== KEYWORD SCREENING ===');
             let processedCount = 0;
 
-            for (const analyzedVideo of analysisResult.analyzedContent) {
-                const originalVideo = allVideos.find(v => v.id === analyzedVideo.id);
-                if (originalVideo) {
-                    console.log(`✅ Processing relevant video: ${originalVideo.title}`);
-                    await this.queueVideoProcessing(originalVideo.id, originalVideo, [userId]);
+            for (const video of allVideos) {
+                const screening = AIAnalysisService.screenForUser(this.toScreeningInput(video), user);
+                if (screening.passed) {
+                    console.log(`✅ Queueing relevant video: ${video.title}`);
+                    await this.queueVideoProcessing(video.id, video, [userId], {
+                        [userId]: ScoringTrace.summarizeScreening(screening)
+                    });
                     processedCount++;
                 }
             }
 
             console.log(`\n=== BATCH PROCESSING COMPLETE ===`);
-            console.log(`Total videos analyzed: ${allVideos.length}`);
+            console.log(`Total videos screened: ${allVideos.length}`);
             console.log(`Relevant videos queued: ${processedCount}`);
-            console.log(`Total cost: $${analysisResult.cost.total.toFixed(6)}`);
 
             return {
                 success: true,
                 userId,
                 totalVideosAnalyzed: allVideos.length,
                 totalVideosQueued: processedCount,
-                analysisCost: analysisResult.cost.total,
                 channelResults
             };
 
@@ -418,12 +386,12 @@ class SimpleJobQueueRefactored {
     }
 
     // ... (keep existing queue management methods)
-    async queueVideoProcessing(videoId, videoData, userIds = []) {
+    async queueVideoProcessing(videoId, videoData, userIds = [], screenings = {}) {
         const jobId = ++this.jobId;
         const job = {
             id: jobId,
             type: 'process-video',
-            data: { videoId, videoData, userIds },
+            data: { videoId, videoData, userIds, screenings },
             createdAt: new Date(),
             status: 'queued'
         };
@@ -536,15 +504,10 @@ class SimpleJobQueueRefactored {
 
             console.log(`Found ${todaysVideos.length} videos from today across all channels`);
 
-            // Filter out already processed videos
+            // Skip videos already in this user's feed; ones analysed for other users are only personalized
             const newVideos = [];
             for (const video of todaysVideos) {
-                const existingContent = await Content.findOne({
-                    sourceId: video.id,
-                    source: 'youtube'
-                });
-
-                if (!existingContent) {
+                if (!await this.hasUserContent(userId, video.id)) {
                     newVideos.push(video);
                 }
             }
@@ -562,30 +525,17 @@ class SimpleJobQueueRefactored {
 
             console.log(`Processing ${newVideos.length} new videos from today`);
 
-            // Use AI analysis system for batch processing
-            const aggregatedInterests = this.aggregateUserInterests([user]);
-
-            // Prepare videos for analysis
-            const videosForAnalysis = newVideos.map(video => ({
-                id: video.id,
-                title: video.title,
-                description: video.description || '',
-                channelTitle: video.channelTitle,
-                duration: video.duration,
-                viewCount: video.viewCount || 0,
-                publishedAt: video.publishedAt
-            }));
-
-            console.log('Running AI analysis on today\'s videos...');
-            const analysisResult = await AIAnalysisService.analyzeContent(videosForAnalysis, aggregatedInterests);
-
-            // Process relevant videos
+            // Cheap keyword screen per user; processVideo analyses each video once, shared and cached
             let processedCount = 0;
-            for (const analyzedVideo of analysisResult.analyzedContent) {
-                const originalVideo = newVideos.find(v => v.id === analyzedVideo.id);
-                if (originalVideo) {
-                    console.log(`✅ Processing relevant video from today: ${originalVideo.title}`);
-                    await this.processVideo(originalVideo.id, originalVideo, [userId]);
+            let analysisCost = 0;
+            for (const video of newVideos) {
+                const screening = AIAnalysisService.screenForUser(this.toScreeningInput(video), user);
+                if (screening.passed) {
+                    console.log(`✅ Processing relevant video from today: ${video.title}`);
+                    const result = await this.processVideo(video.id, video, [userId], {
+                        [userId]: ScoringTrace.summarizeScreening(screening)
+                    });
+                    analysisCost += result.analysisCost || 0;
                     processedCount++;
                 }
             }
@@ -598,7 +548,7 @@ class SimpleJobQueueRefactored {
                 totalVideosFound: todaysVideos.length,
                 newVideosFound: newVideos.length,
                 relevantVideosProcessed: processedCount,
-                analysisCost: analysisResult.cost.total,
+                analysisCost,
                 channelResults
             };
 
@@ -608,6 +558,20 @@ class SimpleJobQueueRefactored {
         }
     }
 
+    /**
+     * Turn a user's likes, saves and dismissals into interest suggestions
+     */
+    async processInterestLearning(userId) {
+        const result = await InterestLearningService.generateSuggestions(userId);
+        if (!result) {
+            console.log(`Interest learning skipped, user ${userId} not found`);
+            return null;
+        }
+
+        console.log(`🧠 Interest learning for user ${userId}: ${result.created} new, ${result.updated} updated, ${result.expired} expired, ${result.autoApplied} auto-applied`);
+        return result;
+    }
+
     async queueUserSubscriptionProcessing(userId) {
         return this.addJob('process-user-subscriptions', { userId });
     }
@@ -616,6 +580,10 @@ class SimpleJobQueueRefactored {
         return this.addJob('process-todays-content', { userId });
     }
 
+    async queueInterestLearning(userId) {
+        return this.addJob('learn-interests', { userId });
+    }
+
     // Missing methods that CronService expects
     async queueChannelMonitoring() {
         return this.addJob('monitor-channels', {});
@@ -631,38 +599,54 @@ class SimpleJobQueueRefactored {
     }
 
     // Helper methods (keep minimal ones needed for job processing)
-    aggregateUserInterests(users) {
-        const aggregated = {};
 
-        if (!users || !Array.isArray(users) || users.length === 0) {
-            return {
-                'programming': { priority: 5, keywords: ['coding', 'development', 'software'] },
-                'technology': { priority: 5, keywords: ['tech', 'innovation'] }
-            };
-        }
+    // Whether the user already has the video in their feed
+    async hasUserContent(userId, videoId) {
+        const content = await Content.findOne({ sourceId: videoId, source: 'youtube' }).select('_id');
+        if (!content) return false;
 
-        for (const user of users) {
-            if (!user.interests) continue;
+        return Boolean(await UserContent.exists({ userId, contentId: content._id }));
+    }
 
-            if (Array.isArray(user.interests)) {
-                for (const interest of user.interests) {
-                    if (!aggregated[interest]) {
-                        aggregated[interest] = { priority: 5, keywords: [] };
-                    }
-                    aggregated[interest].priority = Math.max(aggregated[interest].priority, 5);
-                }
-            } else if (typeof user.interests === 'object') {
-                for (const [category, data] of Object.entries(user.interests)) {
-                    aggregated[category] = {
-                        priority: Math.max(aggregated[category]?.priority || 0, data.priority || 5),
-                        keywords: [...(aggregated[category]?.keywords || []), ...(data.keywords || [])],
-                        subcategories: { ...(aggregated[category]?.subcategories || {}), ...(data.subcategories || {}) }
-                    };
-                }
+    // The fields the screening looks at, with the defaults the analysis expects
+    toScreeningInput(video) {
+        return {
+            id: video.id,
+            title: video.title,
+            description: video.description || '',
+            channelId: video.channelId,
+            channelTitle: video.channelTitle,
+            duration: video.duration,
+            viewCount: video.viewCount || 0,
+            publishedAt: video.publishedAt
+        };
+    }
+
+    /**
+     * Transcript segments for a video, or a single segment made from the title and description
+     * when YouTube has none
+     */
+    async getTranscript(videoId, videoData) {
+        let transcript = [];
+        try {
+            transcript = await YouTubeService.getVideoTranscript(videoId);
+            if (!transcript || !Array.isArray(transcript)) {
+                transcript = [];
             }
+        } catch (error) {
+            console.log(`No transcript available for video: ${videoId} - ${error.message}`);
+            transcript = [];
         }
 
-        return aggregated;
+        if (transcript.length === 0) {
+            transcript = [{
+                text: `${videoData.title}. ${videoData.description ? videoData.description.substring(0, 200) : ''}`,
+                start: 0,
+                duration: 10
+            }];
+        }
+
+        return transcript;
     }
 
     parseDuration(duration) {
@@ -675,40 +659,6 @@ class SimpleJobQueueRefactored {
         return hours * 3600 + minutes * 60 + seconds;
     }
 
-    calculateMatchedInterests(userInterests, content) {
-        // Simplified version - delegate complex logic to AI analysis system
-        if (!userInterests || !content) return [];
-
-        const matchedInterests = [];
-        const contentText = (content.title + ' ' + (content.description || '')).toLowerCase();
-
-        if (Array.isArray(userInterests)) {
-            for (const interest of userInterests) {
-                if (contentText.includes(interest.toLowerCase())) {
-                    matchedInterests.push(interest);
-                }
-            }
-        } else if (typeof userInterests === 'object') {
-            for (const [category, data] of Object.entries(userInterests)) {
-                if (contentText.includes(category.toLowerCase())) {
-                    matchedInterests.push(category);
-                }
-            }
-        }
-
-        return [...new Set(matchedInterests)];
-    }
-
-    generatePersonalizedHighlights(content, userInterests) {
-        // Simplified version - could be enhanced to use AI analysis system
-        if (!content.transcript?.segments) return [];
-
-        const segments = content.transcript.segments || [];
-        return segments.slice(0, 2).map(segment =>
-            segment.text?.substring(0, 150) + '...'
-        ).filter(h => h && h.length > 10);
-    }
-
     async cleanup() {
         console.log('SimpleJobQueue: Performing cleanup...');
         this.isProcessing = false;
@@ -0,0 +1,328 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating refresh tokens backed by the Session collection,
+ * single-use tokens for email verification and password reset, and personal API keys
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const ApiKey = require('../models/ApiKey');
+
+class TokenService {
+    constructor() {
+        this.secret = process.env.JWT_SECRET || 'relevant_fallback_secret_key';
+        this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+        // Minimum time between lastSeenAt writes for the same session
+        this.sessionTouchIntervalMs = (parseInt(process.env.SESSION_TOUCH_INTERVAL_SECONDS) || 60) * 1000;
+
+        // Lifetimes for single-use tokens, in minutes
+        this.oneTimeTokenTtl = {
+            email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+            password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+        };
+    }
+
+    /**
+     * Hash a token for storage and lookup
+     */
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Sign an access token bound to a session
+     */
+    signAccessToken(userId, sessionId) {
+        const payload = {
+            user: {
+                id: userId.toString(),
+            },
+            sid: sessionId.toString(),
+        };
+
+        return jwt.sign(payload, this.secret, { expiresIn: this.accessTokenTtl });
+    }
+
+    /**
+     * Verify an access token signature and expiry (session state is checked by the auth middleware)
+     */
+    verifyAccessToken(token) {
+        return jwt.verify(token, this.secret);
+    }
+
+    /**
+     * Short-lived token proving the password step of a two-factor login succeeded.
+     * It carries no session, so the auth middleware never accepts it as an access token.
+     */
+    signChallengeToken(userId) {
+        return jwt.sign(
+            { sub: userId.toString(), purpose: '2fa_challenge' },
+            this.secret,
+            { expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m' }
+        );
+    }
+
+    /**
+     * Returns the user ID from a valid challenge token, or null
+     */
+    verifyChallengeToken(token) {
+        try {
+            const decoded = jwt.verify(token, this.secret);
+            return decoded.purpose === '2fa_challenge' ? decoded.sub : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Refresh tokens are "<sessionId>.<random>" so the session can be found without scanning hashes
+     */
+    generateRefreshToken(sessionId) {
+        return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+    }
+
+    parseRefreshToken(refreshToken) {
+        if (typeof refreshToken !== 'string') return null;
+
+        const [sessionId, secret] = refreshToken.split('.');
+        if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) {
+            return null;
+        }
+
+        return { sessionId };
+    }
+
+    /**
+     * Start a new session for a user and issue its first token pair
+     */
+    async createSession(user, req = {}) {
+        const session = new Session({
+            userId: user._id,
+            refreshTokenHash: 'pending',
+            userAgent: req.get ? req.get('user-agent') : undefined,
+            ip: req.ip,
+            lastSeenIp: req.ip,
+            expiresAt: this.getRefreshExpiry()
+        });
+
+        const refreshToken = this.generateRefreshToken(session._id);
+        session.refreshTokenHash = this.hashToken(refreshToken);
+        await session.save();
+
+        return {
+            session,
+            ...this.buildTokenPair(user._id, session._id, refreshToken)
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair.
+     * Presenting a token that was already rotated out revokes the whole session,
+     * since it means the token has been copied.
+     */
+    async rotateRefreshToken(refreshToken, req = {}) {
+        const parsed = this.parseRefreshToken(refreshToken);
+        if (!parsed) {
+            return { success: false, reason: 'invalid_token' };
+        }
+
+        const session = await Session.findById(parsed.sessionId);
+        if (!session || !session.isActive()) {
+            return { success: false, reason: 'session_inactive' };
+        }
+
+        const presentedHash = this.hashToken(refreshToken);
+        const newRefreshToken = this.generateRefreshToken(session._id);
+
+        // Compare-and-swap so two concurrent refreshes with the same token can't both succeed
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+            {
+                $set: {
+                    refreshTokenHash: this.hashToken(newRefreshToken),
+                    expiresAt: this.getRefreshExpiry(),
+                    lastSeenAt: new Date(),
+                    ...(req.ip && { lastSeenIp: req.ip })
+                },
+                $inc: { rotationCount: 1 }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            console.warn(`Refresh token reuse detected for session ${session._id}, revoking`);
+            await this.revokeSession(session._id, 'refresh_reuse');
+            return { success: false, reason: 'reuse_detected' };
+        }
+
+        return {
+            success: true,
+            session: rotated,
+            ...this.buildTokenPair(rotated.userId, rotated._id, newRefreshToken)
+        };
+    }
+
+    /**
+     * Check that a session referenced by an access token is still usable
+     */
+    async isSessionActive(sessionId) {
+        if (!sessionId) return false;
+
+        const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+        return !!session && session.isActive();
+    }
+
+    /**
+     * Record that a session was just used. Writes at most once per sessionTouchIntervalMs
+     * so busy clients don't turn every request into a database write.
+     */
+    async touchSession(sessionId, ip) {
+        const now = new Date();
+
+        return Session.updateOne(
+            {
+                _id: sessionId,
+                revokedAt: null,
+                // Sessions from before lastSeenAt was tracked have none yet
+                $or: [
+                    { lastSeenAt: { $lt: new Date(now.getTime() - this.sessionTouchIntervalMs) } },
+                    { lastSeenAt: null }
+                ]
+            },
+            { $set: { lastSeenAt: now, ...(ip && { lastSeenIp: ip }) } }
+        );
+    }
+
+    /**
+     * Active sessions for a user, most recently used first
+     */
+    async listSessions(userId) {
+        return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+            .select('-refreshTokenHash')
+            .sort({ lastSeenAt: -1 });
+    }
+
+    /**
+     * Revoke one of a user's own sessions. Returns false if it doesn't exist,
+     * belongs to someone else or was already revoked.
+     */
+    async revokeUserSession(userId, sessionId, reason = 'revoked_by_user') {
+        if (!mongoose.isValidObjectId(sessionId)) return false;
+
+        const result = await Session.updateOne(
+            { _id: sessionId, userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        return result.modifiedCount === 1;
+    }
+
+    async revokeSession(sessionId, reason = 'logout') {
+        return Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+
+    async revokeAllSessions(userId, reason = 'logout_all') {
+        const result = await Session.updateMany(
+            { userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        return result.modifiedCount || 0;
+    }
+
+    /**
+     * Issue a single-use token (email verification, password reset).
+     * Any earlier unused token of the same type for the user stops working.
+     */
+    async createOneTimeToken(userId, type) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const ttlMinutes = this.oneTimeTokenTtl[type];
+
+        await AuthToken.deleteMany({ userId, type, usedAt: null });
+        await AuthToken.create({
+            userId,
+            type,
+            tokenHash: this.hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        });
+
+        return token;
+    }
+
+    /**
+     * Atomically mark a single-use token as used.
+     * Returns the token record, or null if it is unknown, expired or already used.
+     */
+    async consumeOneTimeToken(token, type) {
+        if (typeof token !== 'string' || !token) return null;
+
+        return AuthToken.findOneAndUpdate(
+            {
+                tokenHash: this.hashToken(token),
+                type,
+                usedAt: null,
+                expiresAt: { $gt: new Date() }
+            },
+            { $set: { usedAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Create a personal API key. The raw key is returned once and only its hash is kept.
+     */
+    async createApiKey(userId, { name, scopes, expiresAt = null }) {
+        const prefix = `rlv_${crypto.randomBytes(4).toString('hex')}`;
+        const key = `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+        const apiKey = await ApiKey.create({
+            userId,
+            name,
+            prefix,
+            keyHash: this.hashToken(key),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
+
+        return { key, apiKey };
+    }
+
+    /**
+     * Resolve an API key from a request header.
+     * Returns the key record, or null if it is unknown, revoked or expired.
+     */
+    async authenticateApiKey(key) {
+        if (typeof key !== 'string' || !key.startsWith('rlv_')) return null;
+
+        const apiKey = await ApiKey.findOne({ keyHash: this.hashToken(key) });
+        if (!apiKey || !apiKey.isActive()) return null;
+
+        // Record usage without holding up the request
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch(error => {
+            console.error('Error updating API key last used time:', error.message);
+        });
+
+        return apiKey;
+    }
+
+    buildTokenPair(userId, sessionId, refreshToken) {
+        return {
+            token: this.signAccessToken(userId, sessionId),
+            refreshToken,
+            expiresIn: this.accessTokenTtl
+        };
+    }
+
+    getRefreshExpiry() {
+        return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+    }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,157 @@
+/**
+ * TOTP Service
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 30s step, 6 digits) and recovery codes.
+ * Implemented locally so it works and can be tested offline.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TotpService {
+    constructor() {
+        this.issuer = process.env.TOTP_ISSUER || 'Relevant';
+        this.stepSeconds = 30;
+        this.digits = 6;
+        // Accept codes from one step either side to absorb clock drift
+        this.window = 1;
+        this.recoveryCodeCount = 10;
+    }
+
+    /**
+     * Generate a random 160-bit secret, base32 encoded for authenticator apps
+     */
+    generateSecret() {
+        return this.base32Encode(crypto.randomBytes(20));
+    }
+
+    buildOtpauthUri(secret, accountName) {
+        const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(this.digits),
+            period: String(this.stepSeconds)
+        });
+
+        return `otpauth://totp/${label}?${params.toString()}`;
+    }
+
+    getTimeStep(timestampMs = Date.now()) {
+        return Math.floor(timestampMs / 1000 / this.stepSeconds);
+    }
+
+    /**
+     * HOTP value (RFC 4226) for a given counter
+     */
+    generateCode(secret, step = this.getTimeStep()) {
+        const key = this.base32Decode(secret);
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) |
+            (hmac[offset + 1] << 16) |
+            (hmac[offset + 2] << 8) |
+            hmac[offset + 3];
+
+        return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+    }
+
+    /**
+     * Check a code against the current time window.
+     * Returns the matching time step (so callers can reject replays), or null.
+     */
+    verifyCode(secret, code, lastUsedStep = null, timestampMs = Date.now()) {
+        const normalized = String(code || '').replace(/\s+/g, '');
+        if (!secret || !/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+            return null;
+        }
+
+        const currentStep = this.getTimeStep(timestampMs);
+        for (let offset = -this.window; offset <= this.window; offset++) {
+            const step = currentStep + offset;
+            if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+                continue;
+            }
+
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate one-time recovery codes; returns raw codes for the user and hashes for storage
+     */
+    generateRecoveryCodes() {
+        const codes = [];
+        for (let i = 0; i < this.recoveryCodeCount; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+        }
+
+        return {
+            codes,
+            hashed: codes.map(code => ({ hash: this.hashRecoveryCode(code), usedAt: null }))
+        };
+    }
+
+    hashRecoveryCode(code) {
+        const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    base32Encode(buffer) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        for (const byte of buffer) {
+            value = (value << 8) | byte;
+            bits += 8;
+
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    base32Decode(input) {
+        const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+        let bits = 0;
+        let value = 0;
+        const bytes = [];
+
+        for (const char of cleaned) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character "${char}"`);
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return Buffer.from(bytes);
+    }
+}
+
+module.exports = new TotpService();
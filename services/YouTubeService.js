@@ -68,6 +68,19 @@ class YouTubeService {
         }
     }
 
+    /**
+     * Revoke an OAuth token with Google (revoking the refresh token also revokes its access tokens)
+     */
+    async revokeToken(token) {
+        try {
+            await this.oauth2Client.revokeToken(token);
+            return true;
+        } catch (error) {
+            console.error('Error revoking YouTube token:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Get user's YouTube subscriptions
      */
@@ -504,7 +517,7 @@ class YouTubeService {
     async syncUserSubscriptions(userId) {
         try {
             const User = require('../models/User');
-            const user = await User.findById(userId);
+            const user = await User.findById(userId).select('+youtubeAuth.accessToken +youtubeAuth.refreshToken');
 
             if (!user || !user.youtubeAuth || !user.youtubeAuth.isConnected) {
                 throw new Error('User does not have YouTube account connected');
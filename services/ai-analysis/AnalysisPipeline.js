@@ -8,6 +8,7 @@ const KeywordRelevanceFilter = require('./filters/KeywordRelevanceFilter');
 const QualityScorer = require('./filters/QualityScorer');
 const ComprehensiveAIAnalyzer = require('./filters/ComprehensiveAIAnalyzer');
 const AnalysisConfig = require('./config/AnalysisConfig');
+const NegativeInterests = require('../interests/NegativeInterests');
 
 class AnalysisPipeline {
     constructor() {
@@ -26,7 +27,7 @@ class AnalysisPipeline {
         };
     }
 
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         console.log(`🚀 Starting analysis pipeline for ${contentBatch.length} items`);
         console.log('='.repeat(60));
 
@@ -43,7 +44,7 @@ class AnalysisPipeline {
             try {
                 console.log(`\n📍 Stage ${i + 1}: ${filter.name}`);
 
-                const result = await filter.process(currentContent, userInterests);
+                const result = await filter.process(currentContent, userInterests, context);
 
                 // Update content for next stage
                 currentContent = result.content;
@@ -88,7 +89,7 @@ class AnalysisPipeline {
         }
 
         // Apply final filtering based on minimum relevance
-        const finalResults = this.applyFinalFilter(currentContent);
+        const finalResults = this.applyFinalFilter(currentContent, context);
 
         const totalTime = Date.now() - startTime;
         this.updateStats(totalTime, stageResults, totalCost);
@@ -96,8 +97,13 @@ class AnalysisPipeline {
         return this.createFinalResult(finalResults, contentBatch.length, totalTime, totalCost, stageResults);
     }
 
-    applyFinalFilter(content) {
-        const filtered = content.filter(item =>
+    applyFinalFilter(content, context = {}) {
+        // Blocked categories can only be checked once the AI has assigned categories
+        const allowed = context.negativeInterests
+            ? content.filter(item => !NegativeInterests.findMatch(item, context.negativeInterests))
+            : content;
+
+        const filtered = allowed.filter(item =>
             (item.relevanceScore || item.finalRelevanceScore || item.quickAiScore || item.combinedScore || 0) >= this.config.minTitleRelevance
         );
 
@@ -0,0 +1,142 @@
+/**
+ * Content Analyzer
+ * First tier of the two-tier analysis: what a video is about (summary, topics, highlights,
+ * complexity, quality), independent of who is watching. It runs once per video and is cached
+ * on Content.analysis; each user's relevance is worked out from it by Personalizer.
+ */
+
+const OpenRouterService = require('./OpenRouterService');
+const PromptsConfig = require('./config/PromptsConfig');
+const AnalysisConfig = require('./config/AnalysisConfig');
+const QualityScorer = require('./filters/QualityScorer');
+
+// Bump when the prompt or the stored shape changes, so cached analyses are redone
+const ANALYSIS_VERSION = 1;
+
+const COMPLEXITIES = ['beginner', 'intermediate', 'advanced'];
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+class ContentAnalyzer {
+    constructor() {
+        this.openRouter = new OpenRouterService();
+        this.qualityScorer = new QualityScorer();
+        this.config = AnalysisConfig.processing;
+        this.ANALYSIS_VERSION = ANALYSIS_VERSION;
+    }
+
+    /**
+     * Whether a stored analysis can be reused. Fallbacks from a failed AI call are redone.
+     */
+    isCurrent(content) {
+        const analysis = content?.analysis;
+        return Boolean(analysis) && (analysis.version || 0) >= ANALYSIS_VERSION && !analysis.fallback;
+    }
+
+    /**
+     * Analyze a video ({ title, description, channelTitle, duration, viewCount, transcript }).
+     * Returns { analysis, cost } where analysis is shaped for Content.analysis. Never throws:
+     * when the AI call fails the analysis is a fallback built from the metadata.
+     */
+    async analyze(video) {
+        const qualityScore = this.round(this.qualityScorer.calculateQualityScore(video));
+        // Kept for the scoring trace behind GET /api/content/:id/explain
+        const qualityBreakdown = this.qualityScorer.getQualityBreakdown(video);
+
+        try {
+            const prompt = PromptsConfig.contentAnalysis(video);
+
+            console.log(`🔍 Analyzing content: "${video.title.substring(0, 40)}..."`);
+
+            const response = await this.openRouter.makeRequest(
+                [{ role: 'user', content: prompt }],
+                this.config.maxTokensFull,
+                this.config.temperature
+            );
+            const analysis = this.validate(this.openRouter.parseResponse(response.choices[0].message.content.trim()), video);
+
+            const estimatedTokens = prompt.length / 4 + this.config.maxTokensFull;
+
+            return {
+                analysis: {
+                    ...analysis,
+                    qualityScore,
+                    qualityBreakdown,
+                    aiModel: this.openRouter.model,
+                    processingStage: 'content_analysis',
+                    processedAt: new Date(),
+                    fallback: false,
+                    version: ANALYSIS_VERSION
+                },
+                cost: this.openRouter.calculateCost(estimatedTokens, this.openRouter.model)
+            };
+        } catch (error) {
+            console.error(`Content analysis failed for "${video.title.substring(0, 30)}...":`, error.message);
+
+            return {
+                analysis: this.createFallback(video, qualityScore, qualityBreakdown),
+                cost: 0
+            };
+        }
+    }
+
+    validate(analysis, video) {
+        if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+            throw new Error('Invalid analysis object');
+        }
+
+        const strings = (value, max) => (Array.isArray(value) ? value : [])
+            .filter(entry => typeof entry === 'string' && entry.trim())
+            .map(entry => entry.trim())
+            .slice(0, max);
+
+        const highlights = (Array.isArray(analysis.highlights) ? analysis.highlights : [])
+            .map(highlight => (typeof highlight === 'string' ? { text: highlight } : highlight))
+            .filter(highlight => highlight && typeof highlight.text === 'string' && highlight.text.trim())
+            .map(highlight => ({
+                text: highlight.text.trim(),
+                relevance: Math.max(0, Math.min(1, Number(highlight.importance ?? highlight.relevance) || 0.5)),
+                reason: highlight.reason || 'Key point identified'
+            }))
+            .slice(0, 5);
+
+        const categories = strings(analysis.categories, 3);
+
+        return {
+            summary: analysis.summary || `Analysis of "${video.title.substring(0, 50)}..."`,
+            mainTopics: strings(analysis.topics, 10),
+            highlights,
+            keyPoints: strings(analysis.keyPoints, 10),
+            categories: categories.length > 0 ? categories : ['General'],
+            tags: strings(analysis.tags, 15),
+            complexity: COMPLEXITIES.includes(analysis.complexity) ? analysis.complexity : 'intermediate',
+            sentiment: SENTIMENTS.includes(analysis.sentiment) ? analysis.sentiment : 'neutral',
+            estimatedWatchTime: analysis.estimated_watch_time || 'Unknown'
+        };
+    }
+
+    createFallback(video, qualityScore, qualityBreakdown) {
+        return {
+            summary: `Analysis of "${video.title.substring(0, 50)}..."`,
+            mainTopics: [],
+            highlights: [],
+            keyPoints: [],
+            categories: ['General'],
+            tags: [],
+            complexity: 'intermediate',
+            sentiment: 'neutral',
+            estimatedWatchTime: 'Unknown',
+            qualityScore,
+            qualityBreakdown,
+            processingStage: 'fallback',
+            processedAt: new Date(),
+            fallback: true,
+            version: ANALYSIS_VERSION
+        };
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = ContentAnalyzer;
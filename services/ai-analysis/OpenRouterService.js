@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const AnalysisConfig = require('./config/AnalysisConfig');
+const InterestTree = require('../interests/InterestTree');
 
 class OpenRouterService {
     constructor() {
@@ -170,44 +171,29 @@ class OpenRouterService {
     }
 
     /**
-     * Format user interests for AI prompts
+     * Format user interests for AI prompts.
+     * Each interest is written with its full path so nesting of any depth survives,
+     * e.g. "AI > LLMs > Agents (priority: 7) [keywords: tool use]".
      */
     formatUserInterests(userInterests) {
         if (Array.isArray(userInterests)) {
             return userInterests.join(', ');
         }
 
-        if (typeof userInterests === 'object') {
-            return Object.keys(userInterests).map(interest => {
-                const data = userInterests[interest];
-                const priority = data?.priority || 5;
-                let interestText = `${interest} (priority: ${priority})`;
+        if (typeof userInterests === 'object' && userInterests !== null) {
+            const lines = InterestTree.flatten(InterestTree.effectiveTree(userInterests)).map(({ node, path, depth }) => {
+                let interestText = `${InterestTree.formatPath(path)} (priority: ${node.priority})`;
 
-                // Include subcategories and their keywords
-                if (data.subcategories && Object.keys(data.subcategories).length > 0) {
-                    const subcategoryTexts = Object.keys(data.subcategories).map(subcat => {
-                        const subcatData = data.subcategories[subcat];
-                        const subcatPriority = subcatData?.priority || 5;
-                        let subcatText = `${subcat} (priority: ${subcatPriority})`;
-
-                        // Include keywords for this subcategory
-                        if (subcatData.keywords && subcatData.keywords.length > 0) {
-                            subcatText += ` [keywords: ${subcatData.keywords.join(', ')}]`;
-                        }
-
-                        return subcatText;
-                    });
-
-                    interestText += ` → subcategories: ${subcategoryTexts.join('; ')}`;
-                }
-
-                // Include main category keywords
-                if (data.keywords && data.keywords.length > 0) {
-                    interestText += ` [main keywords: ${data.keywords.join(', ')}]`;
+                if (node.keywords.length > 0) {
+                    interestText += ` [${depth === 0 ? 'main keywords' : 'keywords'}: ${node.keywords.join(', ')}]`;
                 }
 
                 return interestText;
-            }).join(' | ');
+            });
+
+            if (lines.length > 0) {
+                return lines.join(' | ');
+            }
         }
 
         return 'general technology and learning';
@@ -0,0 +1,175 @@
+/**
+ * Personalizer
+ * Second tier of the two-tier analysis: a user's own relevance score, matched interests,
+ * reason and highlights for a video, computed from the cached ContentAnalyzer result without
+ * any AI call. Every name and keyword in the user's interest tree is looked up (through the
+ * matching engine, so stems and synonyms count) in the title, the description and the
+ * analysis. Where a term is found sets how much it counts: the title and the analysed topics
+ * say what a video is about, a passing mention in the description says much less.
+ */
+
+const InterestTree = require('../interests/InterestTree');
+const MatchingEngine = require('./matching/MatchingEngine');
+const KeywordRelevanceFilter = require('./filters/KeywordRelevanceFilter');
+
+const FIELD_WEIGHTS = {
+    title: 1,
+    topics: 1,
+    summary: 0.7,
+    description: 0.5
+};
+
+// Share of the score that comes from the interest-independent quality score
+const QUALITY_WEIGHT = 0.2;
+// Used for content analysed before quality scores were stored
+const DEFAULT_QUALITY = 0.5;
+
+const MAX_HIGHLIGHTS = 3;
+
+class Personalizer {
+    constructor() {
+        this.keywordFilter = new KeywordRelevanceFilter();
+        this.FIELD_WEIGHTS = FIELD_WEIGHTS;
+        this.QUALITY_WEIGHT = QUALITY_WEIGHT;
+    }
+
+    /**
+     * Personalize a Content for a user ({ interests, synonyms }). Returns
+     * { relevanceScore, matchedInterests, recommendationReason, personalizedHighlights, breakdown }
+     * where breakdown lists every interest that matched, with the terms and where they were found.
+     */
+    personalize(content, user, now = new Date()) {
+        const interests = InterestTree.effectiveTree(user?.interests, now);
+        const matcher = MatchingEngine.createMatcher({ synonyms: user?.synonyms });
+
+        const scored = this.scoreInterests(this.findMatches(content, interests, matcher));
+        const interestScore = Math.min(1, scored.reduce((sum, interest) => sum + interest.score, 0));
+        const qualityScore = content.analysis?.qualityScore ?? DEFAULT_QUALITY;
+        const relevanceScore = this.round(interestScore * (1 - QUALITY_WEIGHT) + qualityScore * QUALITY_WEIGHT);
+
+        return {
+            relevanceScore,
+            matchedInterests: scored.map(interest => interest.name),
+            recommendationReason: this.formatReason(scored),
+            personalizedHighlights: this.selectHighlights(content, interests, scored, matcher),
+            breakdown: {
+                interestScore: this.round(interestScore),
+                qualityScore,
+                qualityWeight: QUALITY_WEIGHT,
+                interests: scored
+            }
+        };
+    }
+
+    /**
+     * The text of each field a term can be found in
+     */
+    getFields(content) {
+        const analysis = content.analysis || {};
+
+        return {
+            title: content.title || '',
+            description: content.description || '',
+            topics: [...(analysis.mainTopics || []), ...(analysis.categories || []), ...(analysis.tags || [])].join(' | '),
+            summary: [analysis.summary || '', ...(analysis.keyPoints || []), ...(analysis.highlights || []).map(highlight => highlight.text)].join(' | ')
+        };
+    }
+
+    /**
+     * Every interest-tree match, kept once per term in the field where it counts the most
+     */
+    findMatches(content, interests, matcher) {
+        const best = new Map();
+
+        for (const [field, text] of Object.entries(this.getFields(content))) {
+            if (!text) continue;
+
+            const document = matcher.prepare(text);
+            for (const match of this.keywordFilter.getKeywordMatches(content, interests, matcher, document)) {
+                const value = match.priority * this.keywordFilter.getMatchWeight(match) * FIELD_WEIGHTS[field];
+                const key = `${match.path}|${match.type}|${match.term}`;
+
+                if (!best.has(key) || best.get(key).value < value) {
+                    best.set(key, { ...match, field, value });
+                }
+            }
+        }
+
+        return [...best.values()];
+    }
+
+    /**
+     * Group matches by top-level interest, strongest interest first
+     */
+    scoreInterests(matches) {
+        const byInterest = new Map();
+
+        for (const match of matches) {
+            const name = match.category || match.term;
+            const interest = byInterest.get(name) || { name, score: 0, matches: [] };
+            interest.score += match.value;
+            interest.matches.push({
+                term: match.term,
+                type: match.type,
+                path: match.path,
+                field: match.field,
+                value: this.round(match.value)
+            });
+            byInterest.set(name, interest);
+        }
+
+        return [...byInterest.values()]
+            .map(interest => ({
+                ...interest,
+                score: this.round(Math.min(1, interest.score)),
+                matches: interest.matches.sort((a, b) => b.value - a.value)
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    formatReason(scored) {
+        if (scored.length === 0) {
+            return 'No direct match with your interests';
+        }
+
+        const parts = scored.slice(0, 2).map(interest => {
+            const terms = [...new Set(interest.matches.map(match => match.term))]
+                .filter(term => term !== interest.name)
+                .slice(0, 2);
+            return terms.length > 0 ? `${interest.name} (${terms.join(', ')})` : interest.name;
+        });
+
+        return `Matches your interest${scored.length > 1 ? 's' : ''} in ${parts.join(' and ')}`;
+    }
+
+    /**
+     * Cached highlights that mention a matched interest, most important first; the top
+     * highlights when none do, or the start of the transcript for content without any
+     */
+    selectHighlights(content, interests, scored, matcher) {
+        const highlights = [...(content.analysis?.highlights || [])]
+            .sort((a, b) => (b.relevance || 0) - (a.relevance || 0));
+
+        if (highlights.length === 0) {
+            return (content.transcript?.segments || [])
+                .slice(0, 2)
+                .map(segment => segment.text?.substring(0, 150) + '...')
+                .filter(text => text && text.length > 10);
+        }
+
+        const terms = scored.flatMap(interest => InterestTree.collectTerms(interests[interest.name], interest.name));
+        const relevant = terms.length > 0
+            ? highlights.filter(highlight => matcher.matchesAny(matcher.prepare(`${highlight.text} ${highlight.reason || ''}`), terms))
+            : [];
+
+        return (relevant.length > 0 ? relevant : highlights)
+            .slice(0, MAX_HIGHLIGHTS)
+            .map(highlight => highlight.text);
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = Personalizer;
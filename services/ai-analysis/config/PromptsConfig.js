@@ -81,6 +81,36 @@ Return JSON:
   "keyTopics": ["main", "topics"]
 }`,
 
+    // Interest-independent: the result is cached on Content and shared by every user (see ContentAnalyzer)
+    contentAnalysis: (content) => `Analyze this YouTube video. Describe what it covers - do not judge who it is for.
+
+Content Details:
+Title: ${content.title}
+Description: ${content.description.substring(0, 800)}${content.description.length > 800 ? '...' : ''}
+Channel: ${content.channelTitle}
+Duration: ${content.duration || 'Unknown'}
+${content.transcript ? `Transcript excerpt: ${content.transcript.substring(0, 1500)}\n` : ''}
+Provide the analysis in JSON format:
+{
+    "summary": "2-3 sentence summary of what the video covers",
+    "topics": ["specific topic", "technology or concept", "..."],
+    "highlights": [
+        {
+            "text": "specific highlight or key moment",
+            "importance": 0.0-1.0,
+            "reason": "why this part stands out"
+        }
+    ],
+    "keyPoints": ["main point 1", "main point 2", "main point 3"],
+    "categories": ["primary category", "secondary category"],
+    "tags": ["relevant", "tags", "for", "filtering"],
+    "complexity": "beginner|intermediate|advanced",
+    "sentiment": "positive|neutral|negative",
+    "estimated_watch_time": "time to get value (e.g., '10 minutes')"
+}
+
+Topics should name the concrete subjects (e.g. "Kubernetes", "prompt engineering"), not generic labels.`,
+
     segmentScoring: (interestsText, segments) => `Score these video transcript segments (0.0-1.0) based on relevance to user interests: ${interestsText}
 
 Segments:
@@ -0,0 +1,37 @@
+/**
+ * Global Synonyms Configuration
+ * Each group lists terms that mean the same thing. Matching any one of them counts as
+ * matching all of them. Users can add their own groups on top (User.synonyms).
+ */
+
+module.exports = {
+    groups: [
+        ['ai', 'artificial intelligence'],
+        ['ml', 'machine learning'],
+        ['llm', 'large language model'],
+        ['nlp', 'natural language processing'],
+        ['rag', 'retrieval augmented generation'],
+        ['genai', 'generative ai'],
+        ['cv', 'computer vision'],
+        ['rl', 'reinforcement learning'],
+        ['k8s', 'kubernetes'],
+        ['js', 'javascript'],
+        ['ts', 'typescript'],
+        ['nodejs', 'node js'],
+        ['golang', 'go language'],
+        ['postgres', 'postgresql'],
+        ['mongo', 'mongodb'],
+        ['aws', 'amazon web services'],
+        ['gcp', 'google cloud'],
+        ['ci/cd', 'continuous integration', 'continuous delivery'],
+        ['devops', 'dev ops'],
+        ['ux', 'user experience'],
+        ['ui', 'user interface'],
+        ['pm', 'product management'],
+        ['saas', 'software as a service'],
+        ['api', 'application programming interface'],
+        ['db', 'database'],
+        ['os', 'operating system'],
+        ['infosec', 'information security', 'cybersecurity']
+    ]
+};
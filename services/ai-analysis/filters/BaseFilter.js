@@ -18,9 +18,10 @@ class BaseFilter {
      * Process content batch - must be implemented by subclasses
      * @param {Array} contentBatch - Array of content items to process
      * @param {Object} userInterests - User's interest configuration
+     * @param {Object} context - Per-run options shared by all stages ({ negativeInterests, synonyms })
      * @returns {Promise<Object>} - Processing result with content and metadata
      */
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         throw new Error(`Process method must be implemented by ${this.constructor.name}`);
     }
 
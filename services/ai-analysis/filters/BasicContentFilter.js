@@ -6,6 +6,8 @@
 const BaseFilter = require('./BaseFilter');
 const KeywordsConfig = require('../config/KeywordsConfig');
 const AnalysisConfig = require('../config/AnalysisConfig');
+const NegativeInterests = require('../../interests/NegativeInterests');
+const MatchingEngine = require('../matching/MatchingEngine');
 
 class BasicContentFilter extends BaseFilter {
     constructor() {
@@ -15,10 +17,13 @@ class BasicContentFilter extends BaseFilter {
         this.professionalDomains = KeywordsConfig.professionalDomains;
     }
 
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         console.log(`🔍 Basic filtering ${contentBatch.length} items...`);
 
-        const filtered = contentBatch.filter(content => this.passesBasicFilter(content));
+        const matcher = MatchingEngine.createMatcher({ synonyms: context.synonyms });
+        const filtered = contentBatch.filter(content =>
+            this.passesNegativeInterests(content, context.negativeInterests) && this.passesBasicFilter(content, matcher)
+        );
 
         this.stats.processed = contentBatch.length;
         this.stats.filtered = contentBatch.length - filtered.length;
@@ -36,7 +41,7 @@ class BasicContentFilter extends BaseFilter {
         });
     }
 
-    passesBasicFilter(content) {
+    passesBasicFilter(content, matcher = MatchingEngine.createMatcher()) {
         try {
             // Basic validation
             if (!this.validateContent(content)) {
@@ -56,12 +61,9 @@ class BasicContentFilter extends BaseFilter {
             }
 
             // Allow shorter descriptions if title has quality indicators
-            const title = content.title.toLowerCase();
-            const hasQualityTitle = this.qualityIndicators.some(indicator =>
-                title.includes(indicator.toLowerCase())
-            ) || this.professionalDomains.some(domain =>
-                title.includes(domain.toLowerCase())
-            );
+            const title = matcher.prepare(content.title);
+            const hasQualityTitle = matcher.matchesAny(title, this.qualityIndicators) ||
+                matcher.matchesAny(title, this.professionalDomains);
 
             const minDescLength = hasQualityTitle ? 0 : this.config.minDescriptionLength;
 
@@ -75,10 +77,10 @@ class BasicContentFilter extends BaseFilter {
                 return false;
             }
 
-            const text = (content.title + ' ' + content.description).toLowerCase();
+            const text = matcher.prepare(content.title + ' ' + content.description);
 
             // Filter out irrelevant content
-            if (this.hasIrrelevantKeywords(text)) {
+            if (this.hasIrrelevantKeywords(text, matcher)) {
                 this.logFilterReason(content, 'Contains irrelevant keywords');
                 return false;
             }
@@ -91,7 +93,7 @@ class BasicContentFilter extends BaseFilter {
             }
 
             // Must have quality indicators, professional content, or high engagement
-            if (!this.hasQualityIndicators(text, content)) {
+            if (!this.hasQualityIndicators(text, content, matcher)) {
                 this.logFilterReason(content, 'No quality indicators');
                 return false;
             }
@@ -105,10 +107,24 @@ class BasicContentFilter extends BaseFilter {
         }
     }
 
-    hasIrrelevantKeywords(text) {
-        return this.irrelevantKeywords.some(keyword =>
-            text.includes(keyword.toLowerCase())
-        );
+    /**
+     * Per-user blocked keywords and muted channels (and categories, if already known) -
+     * checked first so blocked content never reaches a paid stage
+     */
+    passesNegativeInterests(content, negativeInterests) {
+        if (!negativeInterests) return true;
+
+        const match = NegativeInterests.findMatch(content, negativeInterests);
+        if (match) {
+            this.logFilterReason(content, `Blocked ${match.type}: ${match.value}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    hasIrrelevantKeywords(text, matcher) {
+        return matcher.matchesAny(text, this.irrelevantKeywords);
     }
 
     isValidDuration(duration) {
@@ -117,16 +133,12 @@ class BasicContentFilter extends BaseFilter {
             durationSeconds <= this.config.maxDurationSeconds;
     }
 
-    hasQualityIndicators(text, content) {
+    hasQualityIndicators(text, content, matcher) {
         // Check for quality indicators
-        const hasQualityKeywords = this.qualityIndicators.some(indicator =>
-            text.includes(indicator.toLowerCase())
-        );
+        const hasQualityKeywords = matcher.matchesAny(text, this.qualityIndicators);
 
         // Check for professional domains
-        const hasProfessionalContent = this.professionalDomains.some(domain =>
-            text.includes(domain.toLowerCase())
-        );
+        const hasProfessionalContent = matcher.matchesAny(text, this.professionalDomains);
 
         // Check engagement metrics
         const hasEngagement = content.viewCount && content.viewCount > 10000;
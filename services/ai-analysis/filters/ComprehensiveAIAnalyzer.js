@@ -7,6 +7,7 @@ const BaseFilter = require('./BaseFilter');
 const OpenRouterService = require('../OpenRouterService');
 const PromptsConfig = require('../config/PromptsConfig');
 const AnalysisConfig = require('../config/AnalysisConfig');
+const NegativeInterests = require('../../interests/NegativeInterests');
 
 class ComprehensiveAIAnalyzer extends BaseFilter {
     constructor() {
@@ -15,7 +16,7 @@ class ComprehensiveAIAnalyzer extends BaseFilter {
         this.thresholds = AnalysisConfig.thresholds;
     }
 
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         console.log(`🎯 Comprehensive AI analysis for ${contentBatch.length} items...`);
 
         const results = [];
@@ -26,7 +27,7 @@ class ComprehensiveAIAnalyzer extends BaseFilter {
             const batch = contentBatch.slice(i, i + this.config.batchSize);
 
             try {
-                const batchResults = await this.analyzeBatch(batch, userInterests);
+                const batchResults = await this.analyzeBatch(batch, userInterests, context);
                 results.push(...batchResults.content);
                 totalCost += batchResults.cost;
 
@@ -72,14 +73,14 @@ class ComprehensiveAIAnalyzer extends BaseFilter {
         });
     }
 
-    async analyzeBatch(batch, userInterests) {
+    async analyzeBatch(batch, userInterests, context = {}) {
         const analysisResults = [];
         let batchCost = 0;
 
         // Analyze each item individually for comprehensive results
         for (const content of batch) {
             try {
-                const analysisResult = await this.analyzeContent(content, userInterests);
+                const analysisResult = await this.analyzeContent(content, userInterests, context);
                 analysisResults.push(analysisResult.content);
                 batchCost += analysisResult.cost;
 
@@ -107,9 +108,10 @@ class ComprehensiveAIAnalyzer extends BaseFilter {
         };
     }
 
-    async analyzeContent(content, userInterests) {
+    async analyzeContent(content, userInterests, context = {}) {
         const interestsText = this.openRouter.formatUserInterests(userInterests);
-        const prompt = this.createComprehensivePrompt(interestsText, content);
+        const avoidText = NegativeInterests.formatForPrompt(context.negativeInterests);
+        const prompt = this.createComprehensivePrompt(interestsText, content, avoidText);
 
         console.log(`🔍 Analyzing: "${content.title.substring(0, 40)}..."`);
 
@@ -164,9 +166,13 @@ class ComprehensiveAIAnalyzer extends BaseFilter {
         };
     }
 
-    createComprehensivePrompt(interestsText, content) {
-        return `Analyze this YouTube content for a user interested in: ${interestsText}
+    createComprehensivePrompt(interestsText, content, avoidText = '') {
+        const avoidSection = avoidText
+            ? `\nThe user NEVER wants to see content about the following - score it 0.0-0.1 if it is mainly about any of them:\n${avoidText}\n`
+            : '';
 
+        return `Analyze this YouTube content for a user interested in: ${interestsText}
+${avoidSection}
 Content Details:
 Title: ${content.title}
 Description: ${content.description.substring(0, 800)}${content.description.length > 800 ? '...' : ''}
@@ -5,17 +5,22 @@
 
 const BaseFilter = require('./BaseFilter');
 const AnalysisConfig = require('../config/AnalysisConfig');
+const InterestTree = require('../../interests/InterestTree');
+const MatchingEngine = require('../matching/MatchingEngine');
 
 class KeywordRelevanceFilter extends BaseFilter {
     constructor() {
         super('KeywordRelevanceFilter', AnalysisConfig.thresholds);
     }
 
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         console.log(`🔍 Keyword filtering ${contentBatch.length} items...`);
 
+        // Priorities as of now: expired interests are gone and decay is applied
+        const interests = InterestTree.effectiveTree(userInterests);
+        const matcher = MatchingEngine.createMatcher({ synonyms: context.synonyms });
         const enrichedContent = contentBatch.map(content =>
-            this.enrichWithKeywordRelevance(content, userInterests)
+            this.enrichWithKeywordRelevance(content, interests, matcher)
         );
 
         const filtered = enrichedContent.filter(content =>
@@ -35,126 +40,69 @@ class KeywordRelevanceFilter extends BaseFilter {
         });
     }
 
-    enrichWithKeywordRelevance(content, userInterests) {
-        const relevanceScore = this.calculateKeywordRelevance(content, userInterests);
+    enrichWithKeywordRelevance(content, userInterests, matcher) {
+        const keywordMatches = this.getKeywordMatches(content, userInterests, matcher);
 
         return {
             ...content,
-            keywordRelevance: relevanceScore,
-            keywordMatches: this.getKeywordMatches(content, userInterests)
+            keywordRelevance: this.scoreMatches(keywordMatches),
+            keywordMatches
         };
     }
 
-    calculateKeywordRelevance(content, userInterests) {
-        const text = (content.title + ' ' + content.description).toLowerCase();
-        let totalScore = 0;
-        let matchCount = 0;
-        let subcategoryCount = 0;
-
-        const interests = Array.isArray(userInterests) ? userInterests : Object.keys(userInterests || {});
+    calculateKeywordRelevance(content, userInterests, matcher = MatchingEngine.createMatcher()) {
+        return this.scoreMatches(this.getKeywordMatches(content, userInterests, matcher));
+    }
 
-        for (const interest of interests) {
-            const interestData = typeof userInterests === 'object' && !Array.isArray(userInterests)
-                ? userInterests[interest]
-                : { priority: 5, keywords: [] };
+    scoreMatches(matches) {
+        const totalScore = matches.reduce((sum, match) =>
+            sum + match.priority * this.getMatchWeight(match), 0);
 
-            // Main interest match
-            if (text.includes(interest.toLowerCase())) {
-                totalScore += (interestData.priority || 5) * 0.1;
-                matchCount++;
-            }
-
-            // Keyword matches
-            const keywords = interestData.keywords || [];
-            for (const keyword of keywords) {
-                if (text.includes(keyword.toLowerCase())) {
-                    totalScore += (interestData.priority || 5) * 0.05;
-                    matchCount++;
-                }
-            }
+        // Only return positive score if minimum matches are met
+        return matches.length >= this.config.keywordMatchThreshold ? Math.min(totalScore, 1.0) : 0;
+    }
 
-            // Subcategory matches
-            if (interestData.subcategories) {
-                const subcatKeys = Object.keys(interestData.subcategories);
-                subcategoryCount += subcatKeys.length;
-
-                for (const [subcat, subcatData] of Object.entries(interestData.subcategories)) {
-                    if (text.includes(subcat.toLowerCase())) {
-                        totalScore += (subcatData.priority || 5) * 0.08;
-                        matchCount++;
-                    }
-
-                    for (const keyword of subcatData.keywords || []) {
-                        if (text.includes(keyword.toLowerCase())) {
-                            totalScore += (subcatData.priority || 5) * 0.03;
-                            matchCount++;
-                        }
-                    }
-                }
-            }
+    /**
+     * Per-priority-point weight of a match. Names count more than keywords,
+     * and top-level interests more than anything nested below them.
+     */
+    getMatchWeight(match) {
+        switch (match.type) {
+            case 'main_interest': return 0.1;
+            case 'keyword': return 0.05;
+            case 'subcategory': return 0.08;
+            case 'subcategory_keyword': return 0.03;
+            default: return 0;
         }
-
-        // Only return positive score if minimum matches are met
-        return matchCount >= this.config.keywordMatchThreshold ? Math.min(totalScore, 1.0) : 0;
     }
 
-    getKeywordMatches(content, userInterests) {
-        const text = (content.title + ' ' + content.description).toLowerCase();
+    /**
+     * Walk the whole interest tree (any depth) and collect every name and keyword found in the
+     * text, as whole words or phrases, stemmed, or through one of their synonyms.
+     * `document` is an already prepared text to search instead of title and description.
+     */
+    getKeywordMatches(content, userInterests, matcher = MatchingEngine.createMatcher(), document = null) {
+        document = document || matcher.prepare(content.title + ' ' + content.description);
         const matches = [];
 
-        const interests = Array.isArray(userInterests) ? userInterests : Object.keys(userInterests || {});
+        InterestTree.walk(userInterests, ({ name, node, path, depth, root }) => {
+            const isRoot = depth === 0;
+            const pathText = InterestTree.formatPath(path);
 
-        for (const interest of interests) {
-            const interestData = typeof userInterests === 'object' && !Array.isArray(userInterests)
-                ? userInterests[interest]
-                : { priority: 5, keywords: [] };
-
-            if (text.includes(interest.toLowerCase())) {
-                matches.push({
-                    type: 'main_interest',
-                    term: interest,
-                    priority: interestData.priority || 5
-                });
+            if (matcher.matches(document, name)) {
+                matches.push(isRoot
+                    ? { type: 'main_interest', term: name, path: pathText, priority: node.priority }
+                    : { type: 'subcategory', term: name, category: root, path: pathText, priority: node.priority });
             }
 
-            // Check keywords
-            for (const keyword of interestData.keywords || []) {
-                if (text.includes(keyword.toLowerCase())) {
-                    matches.push({
-                        type: 'keyword',
-                        term: keyword,
-                        category: interest,
-                        priority: interestData.priority || 5
-                    });
+            for (const keyword of node.keywords) {
+                if (matcher.matches(document, keyword)) {
+                    matches.push(isRoot
+                        ? { type: 'keyword', term: keyword, category: root, path: pathText, priority: node.priority }
+                        : { type: 'subcategory_keyword', term: keyword, category: root, subcategory: name, path: pathText, priority: node.priority });
                 }
             }
-
-            // Check subcategories
-            if (interestData.subcategories) {
-                for (const [subcat, subcatData] of Object.entries(interestData.subcategories)) {
-                    if (text.includes(subcat.toLowerCase())) {
-                        matches.push({
-                            type: 'subcategory',
-                            term: subcat,
-                            category: interest,
-                            priority: subcatData.priority || 5
-                        });
-                    }
-
-                    for (const keyword of subcatData.keywords || []) {
-                        if (text.includes(keyword.toLowerCase())) {
-                            matches.push({
-                                type: 'subcategory_keyword',
-                                term: keyword,
-                                category: interest,
-                                subcategory: subcat,
-                                priority: subcatData.priority || 5
-                            });
-                        }
-                    }
-                }
-            }
-        }
+        });
 
         return matches;
     }
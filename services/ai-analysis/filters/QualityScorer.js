@@ -6,6 +6,8 @@
 const BaseFilter = require('./BaseFilter');
 const KeywordsConfig = require('../config/KeywordsConfig');
 const AnalysisConfig = require('../config/AnalysisConfig');
+const InterestTree = require('../../interests/InterestTree');
+const MatchingEngine = require('../matching/MatchingEngine');
 
 class QualityScorer extends BaseFilter {
     constructor() {
@@ -14,11 +16,14 @@ class QualityScorer extends BaseFilter {
         this.professionalDomains = KeywordsConfig.professionalDomains;
     }
 
-    async process(contentBatch, userInterests) {
+    async process(contentBatch, userInterests, context = {}) {
         console.log(`⭐ Quality scoring ${contentBatch.length} items...`);
 
+        // Priorities as of now: expired interests are gone and decay is applied
+        const interests = InterestTree.effectiveTree(userInterests);
+        const matcher = MatchingEngine.createMatcher({ synonyms: context.synonyms });
         const scoredContent = contentBatch.map(content =>
-            this.enrichWithQualityScores(content, userInterests)
+            this.enrichWithQualityScores(content, interests, matcher)
         );
 
         // Sort by combined score (highest first)
@@ -40,9 +45,10 @@ class QualityScorer extends BaseFilter {
         });
     }
 
-    enrichWithQualityScores(content, userInterests) {
-        const qualityScore = this.calculateQualityScore(content);
-        const interestAlignment = this.calculateInterestAlignment(content, userInterests);
+    enrichWithQualityScores(content, userInterests, matcher = MatchingEngine.createMatcher()) {
+        const document = matcher.prepare(content.title + ' ' + content.description);
+        const qualityScore = this.calculateQualityScore(content, matcher, document);
+        const interestAlignment = this.calculateInterestAlignment(content, userInterests, matcher, document);
 
         const combinedScore =
             (qualityScore * this.config.qualityWeight) +
@@ -54,24 +60,20 @@ class QualityScorer extends BaseFilter {
             qualityScore,
             interestAlignment,
             combinedScore,
-            qualityBreakdown: this.getQualityBreakdown(content)
+            qualityBreakdown: this.getQualityBreakdown(content, matcher, document)
         };
     }
 
-    calculateQualityScore(content) {
-        const text = (content.title + ' ' + content.description).toLowerCase();
+    calculateQualityScore(content, matcher = MatchingEngine.createMatcher(), document = null) {
+        document = document || matcher.prepare(content.title + ' ' + content.description);
         let score = 0;
 
         // Quality indicators score
-        const qualityMatches = this.qualityIndicators.filter(indicator =>
-            text.includes(indicator.toLowerCase())
-        ).length;
+        const qualityMatches = matcher.filterMatches(document, this.qualityIndicators).length;
         score += Math.min(qualityMatches * this.config.qualityIndicatorScore, 0.4);
 
         // Professional domain matches
-        const domainMatches = this.professionalDomains.filter(domain =>
-            text.includes(domain.toLowerCase())
-        ).length;
+        const domainMatches = matcher.filterMatches(document, this.professionalDomains).length;
         score += Math.min(domainMatches * this.config.domainMatchScore, 0.3);
 
         // Channel quality based on view count
@@ -94,42 +96,38 @@ class QualityScorer extends BaseFilter {
         return Math.min(score, 1.0);
     }
 
-    calculateInterestAlignment(content, userInterests) {
-        if (!userInterests || Object.keys(userInterests).length === 0) {
+    /**
+     * Share of top-level interest priority that the content touches. A top-level interest
+     * counts as aligned when its name, or any name or keyword anywhere below it, appears in the text.
+     */
+    calculateInterestAlignment(content, userInterests, matcher = MatchingEngine.createMatcher(), document = null) {
+        const interests = InterestTree.normalize(userInterests);
+        if (Object.keys(interests).length === 0) {
             return 0.5;
         }
 
-        const text = (content.title + ' ' + content.description).toLowerCase();
-        const interests = Array.isArray(userInterests) ? userInterests : Object.keys(userInterests);
+        document = document || matcher.prepare(content.title + ' ' + content.description);
 
         let alignment = 0;
         let totalPriority = 0;
 
-        for (const interest of interests) {
-            const priority = (typeof userInterests === 'object' && !Array.isArray(userInterests))
-                ? (userInterests[interest]?.priority || 5)
-                : 5;
+        for (const [interest, node] of Object.entries(interests)) {
+            totalPriority += node.priority;
 
-            totalPriority += priority;
-
-            if (text.includes(interest.toLowerCase())) {
-                alignment += priority;
+            const terms = InterestTree.collectTerms(node, interest);
+            if (matcher.matchesAny(document, terms)) {
+                alignment += node.priority;
             }
         }
 
         return totalPriority > 0 ? Math.min(alignment / totalPriority, 1.0) : 0;
     }
 
-    getQualityBreakdown(content) {
-        const text = (content.title + ' ' + content.description).toLowerCase();
-
-        const qualityMatches = this.qualityIndicators.filter(indicator =>
-            text.includes(indicator.toLowerCase())
-        );
+    getQualityBreakdown(content, matcher = MatchingEngine.createMatcher(), document = null) {
+        document = document || matcher.prepare(content.title + ' ' + content.description);
 
-        const domainMatches = this.professionalDomains.filter(domain =>
-            text.includes(domain.toLowerCase())
-        );
+        const qualityMatches = matcher.filterMatches(document, this.qualityIndicators);
+        const domainMatches = matcher.filterMatches(document, this.professionalDomains);
 
         const duration = content.duration ? this.parseDuration(content.duration) : 0;
 
@@ -0,0 +1,212 @@
+/**
+ * Matching Engine
+ * Shared term matching for the analysis filters. Text and terms are split into words and
+ * stemmed the same way, so "ai" no longer matches "said", "models" matches "model" and
+ * multi-word terms match as consecutive words. Every term also matches its synonyms from
+ * the global dictionary (config/SynonymsConfig) and the user's own (User.synonyms).
+ */
+
+const SynonymsConfig = require('../config/SynonymsConfig');
+const Stemmer = require('./Stemmer');
+
+const LIMITS = {
+    maxGroups: 200,
+    maxAliasesPerGroup: 20,
+    maxTermLength: 100
+};
+
+/**
+ * Matches terms against prepared text using one synonym index. Expanded terms are cached,
+ * so create one matcher per batch and reuse it for every item.
+ */
+class Matcher {
+    constructor(engine, synonymIndex) {
+        this.engine = engine;
+        this.synonymIndex = synonymIndex;
+        this.expansions = new Map();
+    }
+
+    /**
+     * Tokenize text once so it can be checked against many terms
+     */
+    prepare(text) {
+        return { normalized: ` ${this.engine.normalize(text)} ` };
+    }
+
+    /**
+     * The term and all of its synonyms, normalized
+     */
+    expand(term) {
+        const key = this.engine.normalize(term);
+
+        if (!this.expansions.has(key)) {
+            const variants = new Set([key, ...(this.synonymIndex.get(key) || [])]);
+            variants.delete('');
+            this.expansions.set(key, [...variants]);
+        }
+
+        return this.expansions.get(key);
+    }
+
+    /**
+     * The variant of the term found in the document, or null
+     */
+    findMatch(document, term) {
+        return this.expand(term).find(variant => document.normalized.includes(` ${variant} `)) || null;
+    }
+
+    matches(document, term) {
+        return this.findMatch(document, term) !== null;
+    }
+
+    matchesAny(document, terms) {
+        return terms.some(term => this.matches(document, term));
+    }
+
+    filterMatches(document, terms) {
+        return terms.filter(term => this.matches(document, term));
+    }
+}
+
+class MatchingEngine {
+    constructor() {
+        this.LIMITS = LIMITS;
+        this.globalIndex = this.buildIndex(SynonymsConfig.groups);
+        this.defaultMatcher = null;
+    }
+
+    /**
+     * Lowercase words with accents removed. "+" and "#" are kept so c++ and c# survive.
+     */
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9+#]+/)
+            .filter(Boolean);
+    }
+
+    normalize(text) {
+        return this.tokenize(text).map(token => Stemmer.stem(token)).join(' ');
+    }
+
+    /**
+     * Map of normalized term -> Set of normalized synonyms (including itself), optionally
+     * on top of an existing index
+     */
+    buildIndex(groups, base = null) {
+        const index = new Map();
+        if (base) {
+            for (const [term, variants] of base) {
+                index.set(term, new Set(variants));
+            }
+        }
+
+        for (const group of groups) {
+            const variants = [...new Set(group.map(term => this.normalize(term)).filter(Boolean))];
+            if (variants.length < 2) continue;
+
+            for (const variant of variants) {
+                const synonyms = index.get(variant) || new Set();
+                variants.forEach(other => synonyms.add(other));
+                index.set(variant, synonyms);
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Matcher for the global dictionary plus the given user synonyms ([{ term, aliases }])
+     */
+    createMatcher({ synonyms = [] } = {}) {
+        const groups = this.toGroups(synonyms);
+
+        if (groups.length === 0) {
+            // Only the global dictionary - share one matcher so its cache is reused
+            if (!this.defaultMatcher) {
+                this.defaultMatcher = new Matcher(this, this.globalIndex);
+            }
+            return this.defaultMatcher;
+        }
+
+        return new Matcher(this, this.buildIndex(groups, this.globalIndex));
+    }
+
+    /**
+     * [{ term, aliases }] -> [[term, ...aliases]], skipping anything malformed
+     */
+    toGroups(synonyms) {
+        if (!Array.isArray(synonyms)) return [];
+
+        return synonyms
+            .filter(entry => entry && typeof entry.term === 'string' && Array.isArray(entry.aliases))
+            .map(entry => [entry.term, ...entry.aliases.filter(alias => typeof alias === 'string')]);
+    }
+
+    /**
+     * Validate user synonyms for PUT /api/user/synonyms. Returns { valid, errors, synonyms }
+     * with terms trimmed and duplicate aliases removed.
+     */
+    validateSynonyms(input) {
+        const errors = [];
+
+        if (!Array.isArray(input)) {
+            return { valid: false, errors: [{ path: 'synonyms', msg: 'Synonyms must be an array' }], synonyms: [] };
+        }
+        if (input.length > LIMITS.maxGroups) {
+            errors.push({ path: 'synonyms', msg: `At most ${LIMITS.maxGroups} synonym groups are allowed` });
+        }
+
+        const checkTerm = (value, path) => {
+            if (typeof value !== 'string' || !value.trim()) {
+                errors.push({ path, msg: 'Must be a non-empty string' });
+                return null;
+            }
+            const term = value.trim();
+            if (term.length > LIMITS.maxTermLength) {
+                errors.push({ path, msg: `Must be at most ${LIMITS.maxTermLength} characters` });
+                return null;
+            }
+            if (!this.normalize(term)) {
+                errors.push({ path, msg: 'Must contain at least one letter or digit' });
+                return null;
+            }
+            return term;
+        };
+
+        const synonyms = input.map((entry, index) => {
+            const path = `synonyms[${index}]`;
+            if (!entry || typeof entry !== 'object' || !Array.isArray(entry.aliases)) {
+                errors.push({ path, msg: 'Each entry must be { term, aliases: [...] }' });
+                return null;
+            }
+
+            const term = checkTerm(entry.term, `${path}.term`);
+
+            if (entry.aliases.length === 0) {
+                errors.push({ path: `${path}.aliases`, msg: 'At least one alias is required' });
+            }
+            if (entry.aliases.length > LIMITS.maxAliasesPerGroup) {
+                errors.push({ path: `${path}.aliases`, msg: `At most ${LIMITS.maxAliasesPerGroup} aliases are allowed` });
+            }
+
+            const seen = new Set([term && term.toLowerCase()]);
+            const aliases = [];
+            entry.aliases.forEach((value, aliasIndex) => {
+                const alias = checkTerm(value, `${path}.aliases[${aliasIndex}]`);
+                if (alias && !seen.has(alias.toLowerCase())) {
+                    seen.add(alias.toLowerCase());
+                    aliases.push(alias);
+                }
+            });
+
+            return { term, aliases };
+        });
+
+        return { valid: errors.length === 0, errors, synonyms: errors.length === 0 ? synonyms : [] };
+    }
+}
+
+module.exports = new MatchingEngine();
@@ -0,0 +1,65 @@
+/**
+ * Stemmer
+ * A small, conservative suffix stripper (plurals, -ing, -ed, trailing e) so "models" matches
+ * "model" and "training" matches "trained". Text and terms always go through the same rules,
+ * so a stem only has to be consistent, not a real word.
+ */
+
+const VOWEL = /[aeiouy]/;
+
+// Words whose "plural" ending is part of the word, and that would otherwise run into a
+// different word (news -> new)
+const PROTECTED = new Set(['news', 'series', 'species', 'canvas']);
+
+class Stemmer {
+    stem(word) {
+        // Leave short words, acronyms with digits (k8s) and symbols (c++, c#) alone
+        if (word.length <= 3 || !/^[a-z]+$/.test(word) || PROTECTED.has(word)) {
+            return word;
+        }
+
+        let stem = this.stripPlural(word);
+        stem = this.stripVerbSuffix(stem);
+
+        if (stem.length > 3 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+
+    stripPlural(word) {
+        if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+        if (word.endsWith('sses')) return word.slice(0, -2);
+        if (/(?:x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        // analysis/analyses -> analys, the same stem "analyse" reaches once its e is dropped
+        if (word.endsWith('sis') && word.length > 4) return word.slice(0, -2);
+        if (word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    stripVerbSuffix(word) {
+        for (const suffix of ['ing', 'ed']) {
+            if (!word.endsWith(suffix)) continue;
+
+            const stem = word.slice(0, -suffix.length);
+            // used/using -> use: a vowel and a consonant are what is left of a short verb ending in e
+            if (/^[aeiou][^aeiouy]$/.test(stem)) return `${stem}e`;
+            if (stem.length < 3 || !VOWEL.test(stem)) return word;
+
+            // running -> run, but keep "ll"/"ss"/"zz" (installed -> install)
+            if (/([^aeiouylsz])\1$/.test(stem)) {
+                return stem.slice(0, -1);
+            }
+            // libraries -> library is handled above; studied -> study
+            if (suffix === 'ed' && stem.endsWith('i')) {
+                return `${stem.slice(0, -1)}y`;
+            }
+            return stem;
+        }
+
+        return word;
+    }
+}
+
+module.exports = new Stemmer();
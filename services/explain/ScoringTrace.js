@@ -0,0 +1,165 @@
+/**
+ * Scoring Trace
+ * What went into placing an item in a user's feed: keyword hits per interest, the quality
+ * components, the AI's reasoning, and the thresholds, quotas and budget it passed. Built when
+ * the UserContent is created and stored on it (`scoringTrace`), so GET /api/content/:id/explain
+ * shows the numbers as they were at the time, not as they would be today.
+ */
+
+const InterestTree = require('../interests/InterestTree');
+
+// Bump when the shape changes
+const TRACE_VERSION = 1;
+
+class ScoringTrace {
+    constructor() {
+        this.TRACE_VERSION = TRACE_VERSION;
+    }
+
+    /**
+     * Trace for a new UserContent. `personalization` is the Personalizer result; `screening` the
+     * per-user pipeline result from a subscription scan (see summarizeScreening), if there was one.
+     */
+    build({ content, personalization, relevanceThreshold, interests, acceptedBy, releasedAt, maxPerDay, screening = null, now = new Date() }) {
+        const analysis = content.analysis || {};
+        const breakdown = analysis.qualityBreakdown || {};
+        const quotas = InterestTree.getQuotas(interests);
+
+        return {
+            version: TRACE_VERSION,
+            computedAt: now,
+            relevance: {
+                score: personalization.relevanceScore,
+                interestScore: personalization.breakdown.interestScore,
+                qualityScore: personalization.breakdown.qualityScore,
+                qualityWeight: personalization.breakdown.qualityWeight
+            },
+            reason: personalization.recommendationReason,
+            // Keyword hits grouped by the top-level interest they align with
+            interests: personalization.breakdown.interests,
+            quality: {
+                score: analysis.qualityScore ?? null,
+                qualityKeywords: [...(breakdown.qualityKeywords || [])],
+                professionalDomains: [...(breakdown.professionalDomains || [])],
+                viewCount: breakdown.viewCount ?? null,
+                duration: breakdown.duration ?? null,
+                durationOptimal: breakdown.durationOptimal ?? null
+            },
+            ai: {
+                model: analysis.aiModel || null,
+                stage: analysis.processingStage || null,
+                fallback: Boolean(analysis.fallback),
+                summary: analysis.summary || null,
+                relevanceScore: screening?.aiRelevanceScore ?? null,
+                reasoning: screening?.recommendationReason || null
+            },
+            thresholds: {
+                relevanceThreshold,
+                // Only the matched interests' own settings matter for this item
+                interests: Object.fromEntries(personalization.matchedInterests
+                    .filter(name => quotas[name])
+                    .map(name => [name, quotas[name]])),
+                acceptedBy: acceptedBy || []
+            },
+            budget: {
+                maxPerDay: maxPerDay ?? null,
+                held: releasedAt === null
+            },
+            screening
+        };
+    }
+
+    /**
+     * The per-user screening from a subscription scan - the keyword hits and relevance that got
+     * the video queued (AIAnalysisService.screenForUser). Traces recorded before the screen
+     * replaced the full pipeline also hold its quality, interest alignment and AI verdict.
+     */
+    summarizeScreening(analyzedVideo) {
+        if (!analyzedVideo) return null;
+
+        return {
+            keywordRelevance: this.round(analyzedVideo.keywordRelevance),
+            keywordMatches: (analyzedVideo.keywordMatches || []).map(match => ({
+                type: match.type,
+                term: match.term,
+                path: match.path,
+                priority: match.priority
+            })),
+            qualityScore: this.round(analyzedVideo.qualityScore),
+            qualityBreakdown: analyzedVideo.qualityBreakdown || null,
+            interestAlignment: this.round(analyzedVideo.interestAlignment),
+            combinedScore: this.round(analyzedVideo.combinedScore),
+            aiRelevanceScore: this.round(analyzedVideo.relevanceScore),
+            recommendationReason: analyzedVideo.recommendationReason || null,
+            processingStage: analyzedVideo.processingStage || null
+        };
+    }
+
+    /**
+     * A short human-readable explanation of a trace: { summary, details }
+     */
+    explain(trace) {
+        const details = [];
+        const score = trace.relevance.score;
+        const threshold = this.getAppliedThreshold(trace);
+
+        for (const interest of trace.interests) {
+            const hits = interest.matches
+                .slice(0, 3)
+                .map(match => `"${match.term}" in the ${match.field}`);
+            details.push(`${interest.name}: ${hits.join(', ')} (interest score ${interest.score})`);
+        }
+
+        details.push(`Relevance ${score} = interest match ${trace.relevance.interestScore} × ${this.round(1 - trace.relevance.qualityWeight)} + quality ${trace.relevance.qualityScore} × ${trace.relevance.qualityWeight}`);
+
+        if (trace.quality.score !== null) {
+            const signals = [
+                ...trace.quality.qualityKeywords,
+                ...trace.quality.professionalDomains
+            ];
+            details.push(`Quality ${trace.quality.score}${signals.length > 0 ? ` from ${signals.slice(0, 5).join(', ')}` : ''}${trace.quality.durationOptimal ? ', good length' : ''}`);
+        }
+
+        if (trace.ai.reasoning) {
+            details.push(`AI (relevance ${trace.ai.relevanceScore}): ${trace.ai.reasoning}`);
+        } else if (trace.ai.summary) {
+            details.push(`AI summary: ${trace.ai.summary}`);
+        }
+
+        if (trace.budget.held) {
+            details.push(`Held back because ${trace.budget.maxPerDay ? `your daily limit of ${trace.budget.maxPerDay} items` : 'your daily limit'} was reached`);
+        }
+
+        const thresholdText = threshold.interest
+            ? `the ${threshold.value} minimum set on ${threshold.interest}`
+            : `your relevance threshold of ${threshold.value}`;
+
+        return {
+            summary: `${trace.reason}. Scored ${score}, ${score >= threshold.value ? 'above' : 'below'} ${thresholdText}.`,
+            details
+        };
+    }
+
+    /**
+     * The threshold that let the item in: the lowest among the interests that accepted it (their
+     * own minRelevance, or the user's relevanceThreshold), or relevanceThreshold when nothing matched
+     */
+    getAppliedThreshold(trace) {
+        const { acceptedBy, interests, relevanceThreshold } = trace.thresholds;
+        if (acceptedBy.length === 0) {
+            return { interest: null, value: relevanceThreshold };
+        }
+
+        return acceptedBy
+            .map(name => (interests[name]?.minRelevance !== undefined
+                ? { interest: name, value: interests[name].minRelevance }
+                : { interest: null, value: relevanceThreshold }))
+            .sort((a, b) => a.value - b.value)[0];
+    }
+
+    round(value) {
+        return typeof value === 'number' ? Math.round(value * 1000) / 1000 : null;
+    }
+}
+
+module.exports = new ScoringTrace();
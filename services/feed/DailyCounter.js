@@ -0,0 +1,83 @@
+/**
+ * Daily Counter
+ * Per-user counts for a UTC day, stored in the DailyCounter collection, so daily caps are
+ * enforced with a conditional $inc instead of counting and then creating. Backs the feed
+ * budget (maxContentPerDay) and the per-interest dailyLimit. A counter starts from the
+ * documents already there the first time it is used on a day.
+ */
+
+const DailyCounterModel = require('../../models/DailyCounter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DailyCounter {
+    /**
+     * The UTC day `date` falls on: { start, end }, end exclusive
+     */
+    getDayRange(date = new Date()) {
+        const start = new Date(date);
+        start.setUTCHours(0, 0, 0, 0);
+        const end = new Date(start.getTime() + DAY_MS);
+        return { start, end };
+    }
+
+    getKey(userId, name, date) {
+        return `${userId}:${name}:${this.getDayRange(date).start.toISOString().slice(0, 10)}`;
+    }
+
+    /**
+     * Key of the user's `name` counter for the day, created from `countExisting()` if it is new
+     */
+    async ensure(userId, name, date, countExisting) {
+        const key = this.getKey(userId, name, date);
+        if (await DailyCounterModel.exists({ key })) return key;
+
+        const count = await countExisting();
+        try {
+            // Kept a day longer than needed so a late request on the day still finds it
+            await DailyCounterModel.create({ key, count, expiresAt: new Date(this.getDayRange(date).end.getTime() + DAY_MS) });
+        } catch (error) {
+            // Another request created it first
+            if (error.code !== 11000) throw error;
+        }
+
+        return key;
+    }
+
+    /**
+     * Take `amount` slots if the count stays within `limit`. Returns whether they were taken.
+     */
+    async reserve(key, limit, amount = 1) {
+        const counter = await DailyCounterModel.findOneAndUpdate(
+            { key, count: { $lte: limit - amount } },
+            { $inc: { count: amount } },
+            { new: true }
+        ).lean();
+
+        return counter !== null;
+    }
+
+    // Count regardless of the limit (negative to give slots back)
+    async add(key, amount = 1) {
+        await DailyCounterModel.updateOne({ key }, { $inc: { count: amount } });
+    }
+
+    /**
+     * Move a counter to another key, unless one is already there
+     */
+    async rename(fromKey, toKey) {
+        try {
+            await DailyCounterModel.updateOne({ key: fromKey }, { $set: { key: toKey } });
+        } catch (error) {
+            // The new key already has a counter of its own
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    async get(key) {
+        const counter = await DailyCounterModel.findOne({ key }).lean();
+        return counter ? counter.count : 0;
+    }
+}
+
+module.exports = new DailyCounter();
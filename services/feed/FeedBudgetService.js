@@ -0,0 +1,125 @@
+/**
+ * Feed Budget Service
+ * Applies `preferences.maxContentPerDay` as a daily delivery budget. New items are released
+ * into the feed while today's budget lasts; the rest are held (`UserContent.releasedAt: null`)
+ * and released on later days, most relevant first, before anything newer. Days are UTC.
+ * `?showMore=true` on the feed shows held items anyway.
+ */
+
+const UserContent = require('../../models/UserContent');
+const DailyCounter = require('./DailyCounter');
+
+// Used when a user document predates the preferences (mongoose normally fills these in)
+const DEFAULT_MAX_PER_DAY = 10;
+const DEFAULT_RELEVANCE_THRESHOLD = 0.7;
+
+class FeedBudgetService {
+    getSettings(preferences = {}) {
+        const maxPerDay = Number(preferences?.maxContentPerDay);
+        const threshold = Number(preferences?.relevanceThreshold);
+
+        return {
+            maxPerDay: Number.isInteger(maxPerDay) && maxPerDay > 0 ? maxPerDay : DEFAULT_MAX_PER_DAY,
+            relevanceThreshold: preferences?.relevanceThreshold != null && threshold >= 0 && threshold <= 1
+                ? threshold
+                : DEFAULT_RELEVANCE_THRESHOLD
+        };
+    }
+
+    /**
+     * When a new item should be released: now if it gets one of today's slots, otherwise null (held).
+     * Held items from earlier days are released first so they keep their place in line.
+     */
+    async getReleaseDate(userId, preferences, now = new Date()) {
+        await this.releaseHeld(userId, preferences, now);
+
+        const { maxPerDay } = this.getSettings(preferences);
+        const key = await this.getCounterKey(userId, now);
+
+        return await DailyCounter.reserve(key, maxPerDay) ? now : null;
+    }
+
+    /**
+     * Give back the slot getReleaseDate took for an item that was not stored
+     */
+    async releaseSlot(userId, releasedAt) {
+        if (!releasedAt) return;
+
+        await DailyCounter.add(await this.getCounterKey(userId, releasedAt), -1);
+    }
+
+    /**
+     * Release held items into whatever is left of today's budget. Returns how many were released.
+     */
+    async releaseHeld(userId, preferences, now = new Date()) {
+        const { maxPerDay } = this.getSettings(preferences);
+        const key = await this.getCounterKey(userId, now);
+        const remaining = maxPerDay - await DailyCounter.get(key);
+        if (remaining <= 0) return 0;
+
+        const held = await UserContent.find({ userId, ...this.heldQuery(), dismissed: false })
+            .select('_id')
+            .sort({ relevanceScore: -1, createdAt: 1 })
+            .limit(remaining)
+            .lean();
+        if (held.length === 0) return 0;
+
+        // Slots are taken before releasing, so a concurrent release or new item can't overfill the day
+        if (!await DailyCounter.reserve(key, maxPerDay, held.length)) return 0;
+
+        const result = await UserContent.updateMany(
+            { _id: { $in: held.map(item => item._id) }, ...this.heldQuery() },
+            { $set: { releasedAt: now } }
+        );
+
+        // Items another request released in the meantime give their slots back
+        if (result.modifiedCount < held.length) {
+            await DailyCounter.add(key, result.modifiedCount - held.length);
+        }
+
+        return result.modifiedCount;
+    }
+
+    // Today's release counter, started from the items already released today
+    getCounterKey(userId, date) {
+        return DailyCounter.ensure(userId, 'released', date, () => this.countReleasedOn(userId, date));
+    }
+
+    async countReleasedOn(userId, date) {
+        const { start, end } = DailyCounter.getDayRange(date);
+        return UserContent.countDocuments({ userId, releasedAt: { $gte: start, $lt: end } });
+    }
+
+    /**
+     * Today's budget for the feed response
+     */
+    async getStatus(userId, preferences, now = new Date()) {
+        const { maxPerDay } = this.getSettings(preferences);
+        const [releasedToday, held] = await Promise.all([
+            this.getCounterKey(userId, now).then(key => DailyCounter.get(key)),
+            UserContent.countDocuments({ userId, ...this.heldQuery(), dismissed: false })
+        ]);
+
+        return {
+            maxPerDay,
+            releasedToday,
+            remainingToday: Math.max(0, maxPerDay - releasedToday),
+            held
+        };
+    }
+
+    /**
+     * Feed condition for released items. Entries from before budgets existed have no
+     * releasedAt and count as released.
+     */
+    releasedQuery() {
+        return { releasedAt: { $not: { $type: 'null' } } };
+    }
+
+    // An explicit null - a missing releasedAt means released
+    heldQuery() {
+        return { releasedAt: { $type: 'null' } };
+    }
+}
+
+module.exports = new FeedBudgetService();
@@ -0,0 +1,323 @@
+/**
+ * Feed Filters
+ * Combinable filters for /api/content/feed and /by-relevance, and facet counts for each filter
+ * dimension. Content-level filters (channel, category, complexity, duration, publishedAt) are
+ * resolved to the matching content ids first, so pages stay full and totals stay exact; item-level
+ * filters (matched interest, viewed/liked/saved) go straight into the UserContent query.
+ * A facet counts the values of its dimension with every other active filter applied, so the UI
+ * can show what selecting another chip would give.
+ */
+
+const mongoose = require('mongoose');
+const Content = require('../../models/Content');
+const UserContent = require('../../models/UserContent');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COMPLEXITIES = ['beginner', 'intermediate', 'advanced'];
+const STATES = ['viewed', 'liked', 'saved'];
+const MAX_VALUES = 50;
+const MAX_FACET_VALUES = 50;
+
+// Duration chips, in seconds. maxDuration is exclusive, here and in the ?maxDuration filter.
+const DURATION_BUCKETS = [
+    { value: 'short', minDuration: 0, maxDuration: 300 },
+    { value: 'medium', minDuration: 300, maxDuration: 1200 },
+    { value: 'long', minDuration: 1200, maxDuration: 3600 },
+    { value: 'extended', minDuration: 3600, maxDuration: null }
+];
+
+// Published date chips, counted cumulatively ("this week" includes today)
+const PUBLISHED_BUCKETS = [
+    { value: 'day', days: 1 },
+    { value: 'week', days: 7 },
+    { value: 'month', days: 30 },
+    { value: 'year', days: 365 }
+];
+
+class FeedFilters {
+    constructor() {
+        this.COMPLEXITIES = COMPLEXITIES;
+        this.DURATION_BUCKETS = DURATION_BUCKETS;
+        this.PUBLISHED_BUCKETS = PUBLISHED_BUCKETS;
+    }
+
+    /**
+     * Read filters from the query string. List filters take comma-separated values or repeated
+     * parameters (?channel=a,b or ?channel=a&channel=b). Returns { valid, errors, filters }.
+     */
+    parse(query, now = new Date()) {
+        const errors = [];
+        const filters = {};
+
+        for (const [param, key] of [['channel', 'channels'], ['category', 'categories'], ['interest', 'interests']]) {
+            const values = this.parseList(query[param]);
+            if (values.length > MAX_VALUES) {
+                errors.push({ path: param, msg: `At most ${MAX_VALUES} values are allowed` });
+            } else if (values.length > 0) {
+                filters[key] = values;
+            }
+        }
+
+        const complexities = this.parseList(query.complexity).map(value => value.toLowerCase());
+        const unknown = complexities.filter(value => !COMPLEXITIES.includes(value));
+        if (unknown.length > 0) {
+            errors.push({ path: 'complexity', msg: `Complexity must be one of: ${COMPLEXITIES.join(', ')}` });
+        } else if (complexities.length > 0) {
+            filters.complexities = complexities;
+        }
+
+        for (const param of ['minDuration', 'maxDuration']) {
+            if (query[param] === undefined || query[param] === '') continue;
+            const seconds = Number(query[param]);
+            if (!Number.isFinite(seconds) || seconds < 0) {
+                errors.push({ path: param, msg: `${param} must be a number of seconds` });
+            } else {
+                filters[param] = seconds;
+            }
+        }
+
+        for (const param of ['publishedAfter', 'publishedBefore']) {
+            if (!query[param]) continue;
+            const date = new Date(query[param]);
+            if (Number.isNaN(date.getTime())) {
+                errors.push({ path: param, msg: `${param} must be a date` });
+            } else {
+                filters[param] = date;
+            }
+        }
+
+        // Shorthand for publishedAfter: day, week, month or year back from now
+        if (query.publishedWithin) {
+            const bucket = PUBLISHED_BUCKETS.find(entry => entry.value === query.publishedWithin);
+            if (!bucket) {
+                errors.push({ path: 'publishedWithin', msg: `publishedWithin must be one of: ${PUBLISHED_BUCKETS.map(entry => entry.value).join(', ')}` });
+            } else {
+                filters.publishedAfter = new Date(now.getTime() - bucket.days * DAY_MS);
+            }
+        }
+
+        for (const state of STATES) {
+            if (query[state] === undefined || query[state] === '') continue;
+            if (!['true', 'false'].includes(String(query[state]))) {
+                errors.push({ path: state, msg: `${state} must be true or false` });
+            } else {
+                filters[state] = String(query[state]) === 'true';
+            }
+        }
+
+        return { valid: errors.length === 0, errors, filters };
+    }
+
+    parseList(value) {
+        const values = Array.isArray(value) ? value : [value];
+        return [...new Set(values
+            .filter(entry => typeof entry === 'string')
+            .flatMap(entry => entry.split(','))
+            .map(entry => entry.trim())
+            .filter(Boolean))];
+    }
+
+    /**
+     * Conditions per dimension. Content fields are prefixed with `contentPrefix` (e.g. "content."
+     * inside an aggregation that joined the content under that name).
+     */
+    buildConditions(filters, contentPrefix = '') {
+        const conditions = {};
+        const field = name => `${contentPrefix}${name}`;
+
+        if (filters.channels) conditions.channel = { [field('sourceChannel.id')]: { $in: filters.channels } };
+        if (filters.categories) conditions.category = { [field('analysis.categories')]: { $in: filters.categories } };
+        if (filters.complexities) conditions.complexity = { [field('analysis.complexity')]: { $in: filters.complexities } };
+
+        if (filters.minDuration !== undefined || filters.maxDuration !== undefined) {
+            const range = {};
+            if (filters.minDuration !== undefined) range.$gte = filters.minDuration;
+            if (filters.maxDuration !== undefined) range.$lt = filters.maxDuration;
+            conditions.duration = { [field('duration')]: range };
+        }
+
+        if (filters.publishedAfter || filters.publishedBefore) {
+            const range = {};
+            if (filters.publishedAfter) range.$gte = filters.publishedAfter;
+            if (filters.publishedBefore) range.$lte = filters.publishedBefore;
+            conditions.published = { [field('publishedAt')]: range };
+        }
+
+        if (filters.interests) conditions.interest = { matchedInterests: { $in: filters.interests } };
+        for (const state of STATES) {
+            if (filters[state] !== undefined) conditions[state] = { [state]: filters[state] };
+        }
+
+        return conditions;
+    }
+
+    hasContentFilters(filters) {
+        return ['channels', 'categories', 'complexities', 'minDuration', 'maxDuration', 'publishedAfter', 'publishedBefore']
+            .some(key => filters[key] !== undefined);
+    }
+
+    /**
+     * UserContent conditions for the active filters. Content-level filters become a contentId
+     * list restricted to the user's own items.
+     */
+    async buildUserContentQuery(userId, filters, contentMatch = null) {
+        const conditions = this.buildConditions(filters);
+        const query = {};
+
+        for (const dimension of ['interest', ...STATES]) {
+            Object.assign(query, conditions[dimension]);
+        }
+
+        if (this.hasContentFilters(filters)) {
+            const contentConditions = ['channel', 'category', 'complexity', 'duration', 'published']
+                .filter(dimension => conditions[dimension])
+                .map(dimension => conditions[dimension]);
+
+            // One join over the user's items, narrowed by the item-level filters already known
+            const rows = await UserContent.aggregate([
+                { $match: { ...query, userId: new mongoose.Types.ObjectId(userId.toString()) } },
+                {
+                    $lookup: {
+                        from: Content.collection.name,
+                        let: { contentId: '$contentId' },
+                        pipeline: [
+                            { $match: { $expr: { $eq: ['$_id', '$$contentId'] } } },
+                            { $match: { $and: [...contentConditions, ...(contentMatch ? [contentMatch] : [])] } },
+                            { $project: { _id: 1 } }
+                        ],
+                        as: 'content'
+                    }
+                },
+                { $match: { 'content.0': { $exists: true } } },
+                { $project: { contentId: 1 } }
+            ]);
+
+            query.contentId = { $in: rows.map(row => row.contentId) };
+        }
+
+        return query;
+    }
+
+    /**
+     * Facet counts for every dimension. `baseFilter` is the UserContent filter before any of
+     * these filters (user, dismissed, relevance, ...); `contentMatch` hides blocked content.
+     */
+    async getFacets(baseFilter, filters, contentMatch = null, now = new Date()) {
+        const conditions = this.buildConditions(filters, 'content.');
+        const except = dimension => ({
+            $match: {
+                $and: [{}, ...Object.entries(conditions)
+                    .filter(([name]) => name !== dimension)
+                    .map(([, condition]) => condition)]
+            }
+        });
+        const top = [{ $sort: { count: -1, _id: 1 } }, { $limit: MAX_FACET_VALUES }];
+        const countIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+        const [result] = await UserContent.aggregate([
+            { $match: { ...baseFilter, userId: new mongoose.Types.ObjectId(baseFilter.userId.toString()) } },
+            {
+                $lookup: {
+                    from: Content.collection.name,
+                    let: { contentId: '$contentId' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$_id', '$$contentId'] } } },
+                        ...(contentMatch ? [{ $match: contentMatch }] : []),
+                        { $project: { sourceChannel: 1, 'analysis.categories': 1, 'analysis.complexity': 1, duration: 1, publishedAt: 1 } }
+                    ],
+                    as: 'content'
+                }
+            },
+            { $unwind: '$content' },
+            {
+                $facet: {
+                    channel: [
+                        except('channel'),
+                        { $group: { _id: '$content.sourceChannel.id', name: { $first: '$content.sourceChannel.name' }, count: { $sum: 1 } } },
+                        ...top
+                    ],
+                    category: [
+                        except('category'),
+                        { $unwind: '$content.analysis.categories' },
+                        { $group: { _id: '$content.analysis.categories', count: { $sum: 1 } } },
+                        ...top
+                    ],
+                    complexity: [
+                        except('complexity'),
+                        { $group: { _id: '$content.analysis.complexity', count: { $sum: 1 } } },
+                        ...top
+                    ],
+                    interest: [
+                        except('interest'),
+                        { $unwind: '$matchedInterests' },
+                        { $group: { _id: '$matchedInterests', count: { $sum: 1 } } },
+                        ...top
+                    ],
+                    duration: [
+                        except('duration'),
+                        {
+                            $group: {
+                                _id: null,
+                                ...Object.fromEntries(DURATION_BUCKETS.map(bucket => [bucket.value, countIf({
+                                    $and: [
+                                        { $gte: ['$content.duration', bucket.minDuration] },
+                                        ...(bucket.maxDuration === null ? [] : [{ $lt: ['$content.duration', bucket.maxDuration] }])
+                                    ]
+                                })]))
+                            }
+                        }
+                    ],
+                    published: [
+                        except('published'),
+                        {
+                            $group: {
+                                _id: null,
+                                ...Object.fromEntries(PUBLISHED_BUCKETS.map(bucket => [bucket.value, countIf({
+                                    $gte: ['$content.publishedAt', new Date(now.getTime() - bucket.days * DAY_MS)]
+                                })]))
+                            }
+                        }
+                    ],
+                    ...Object.fromEntries(STATES.map(state => [state, [
+                        except(state),
+                        { $group: { _id: null, true: countIf(`$${state}`), false: countIf({ $not: [`$${state}`] }) } }
+                    ]]))
+                }
+            }
+        ]);
+
+        return this.formatFacets(result, now);
+    }
+
+    formatFacets(result, now) {
+        const values = rows => rows
+            .filter(row => row._id !== null && row._id !== undefined && row._id !== '')
+            .map(row => ({ value: row._id, count: row.count }));
+        const totals = rows => rows[0] || {};
+
+        const duration = totals(result.duration);
+        const published = totals(result.published);
+
+        return {
+            channel: result.channel
+                .filter(row => row._id)
+                .map(row => ({ value: row._id, label: row.name || row._id, count: row.count })),
+            category: values(result.category),
+            complexity: values(result.complexity),
+            interest: values(result.interest),
+            duration: DURATION_BUCKETS.map(bucket => ({ ...bucket, count: duration[bucket.value] || 0 })),
+            published: PUBLISHED_BUCKETS.map(bucket => ({
+                value: bucket.value,
+                publishedAfter: new Date(now.getTime() - bucket.days * DAY_MS),
+                count: published[bucket.value] || 0
+            })),
+            ...Object.fromEntries(STATES.map(state => [state, {
+                true: totals(result[state]).true || 0,
+                false: totals(result[state]).false || 0
+            }]))
+        };
+    }
+}
+
+module.exports = new FeedFilters();
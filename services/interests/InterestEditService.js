@@ -0,0 +1,334 @@
+/**
+ * Interest Edit Service
+ * Single-field edits to a user's interest tree - rename, move, add/remove a keyword, set a
+ * priority. Each one is one MongoDB update on the exact path it touches, guarded by conditions
+ * on what the caller saw, so two tabs editing different parts of the tree never overwrite
+ * each other and an edit against a stale view fails instead of clobbering.
+ */
+
+const User = require('../../models/User');
+const InterestTree = require('./InterestTree');
+const InterestHistoryService = require('./InterestHistoryService');
+const InterestQuotaService = require('./InterestQuotaService');
+
+const OPERATIONS = ['rename', 'move', 'add_keyword', 'remove_keyword', 'set_priority'];
+
+class InterestEditService {
+    constructor() {
+        this.OPERATIONS = OPERATIONS;
+    }
+
+    /**
+     * Apply one operation: { op, path, ... }. Returns
+     * { success, op, path, changed, interests, version } or { success: false, reason, errors? }.
+     */
+    async apply(userId, operation, author = {}) {
+        if (!OPERATIONS.includes(operation.op)) {
+            return { success: false, reason: 'invalid_operation' };
+        }
+
+        const user = await User.findById(userId).select('interests');
+        if (!user) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        const interests = InterestTree.normalize(user.interests);
+        if (JSON.stringify(interests) !== JSON.stringify(user.interests)) {
+            const stored = await this.storeNormalized(userId, user.interests, interests, author);
+            if (!stored.success) {
+                return stored;
+            }
+        }
+
+        const names = this.resolvePath(interests, operation.path);
+        if (!names) {
+            return { success: false, reason: 'interest_not_found' };
+        }
+
+        const plan = this.plan(interests, names, operation);
+        if (!plan.success) {
+            return plan;
+        }
+
+        if (!plan.update) {
+            return {
+                success: true,
+                op: operation.op,
+                path: plan.path,
+                changed: false,
+                interests,
+                version: null
+            };
+        }
+
+        const result = await InterestHistoryService.updateInterests(userId, plan.conditions, plan.update, {
+            source: 'edit',
+            author
+        });
+
+        if (!result) {
+            return { success: false, reason: 'user_not_found' };
+        }
+        if (!result.user) {
+            // Someone else changed this part of the tree since it was read
+            return { success: false, reason: 'conflict' };
+        }
+
+        // A renamed capped interest keeps what it already used of today's limit
+        if (operation.op === 'rename' && names.length === 1 && InterestTree.getQuota(InterestTree.getNode(interests, names)).dailyLimit) {
+            await InterestQuotaService.renameCounter(userId, names[0], plan.path[0]);
+        }
+
+        return {
+            success: true,
+            op: operation.op,
+            path: plan.path,
+            changed: true,
+            interests: result.user.interests,
+            version: result.version.version
+        };
+    }
+
+    /**
+     * Trees saved before the current shape (a legacy array, nodes without keywords or
+     * subcategories) are written back normalized, so the paths the edits target exist.
+     * Guarded on the tree that was read, like the edits themselves.
+     */
+    async storeNormalized(userId, storedInterests, interests, author) {
+        const result = await InterestHistoryService.updateInterests(
+            userId,
+            InterestHistoryService.matchInterests(storedInterests),
+            { $set: { interests } },
+            { source: 'edit', author }
+        );
+
+        if (!result) {
+            return { success: false, reason: 'user_not_found' };
+        }
+        if (!result.user) {
+            return { success: false, reason: 'conflict' };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Work out the guarded MongoDB update for an operation. A plan without an update means
+     * the tree already looks the way the operation asks for.
+     */
+    plan(interests, names, operation) {
+        switch (operation.op) {
+            case 'rename':
+                return this.planRename(interests, names, operation);
+            case 'move':
+                return this.planMove(interests, names, operation);
+            case 'add_keyword':
+                return this.planAddKeyword(interests, names, operation);
+            case 'remove_keyword':
+                return this.planRemoveKeyword(interests, names, operation);
+            case 'set_priority':
+                return this.planSetPriority(interests, names, operation);
+        }
+    }
+
+    planRename(interests, names, { name }) {
+        const newName = typeof name === 'string' ? name.trim() : '';
+        const nameError = InterestTree.validateName(newName);
+        if (nameError) {
+            return this.invalid('name', nameError);
+        }
+
+        const parentNames = names.slice(0, -1);
+        const currentName = names[names.length - 1];
+        if (newName === currentName) {
+            return { success: true, path: names };
+        }
+
+        // Only a change of case may reuse the name of the interest itself
+        const siblings = this.getChildren(interests, parentNames);
+        const clash = InterestTree.findKey(siblings, newName);
+        if (clash && clash !== currentName) {
+            return { success: false, reason: 'name_conflict' };
+        }
+
+        const from = this.toMongoPath(names);
+        const to = this.toMongoPath([...parentNames, newName]);
+
+        return {
+            success: true,
+            path: [...parentNames, newName],
+            conditions: { [from]: { $exists: true }, [to]: { $exists: false } },
+            update: { $rename: { [from]: to } }
+        };
+    }
+
+    /**
+     * Move an interest (with everything below it) under another one. `to` is the new parent's
+     * path; an empty path makes it a top-level interest.
+     */
+    planMove(interests, names, { to }) {
+        const targetNames = this.isTopLevel(to) ? [] : this.resolvePath(interests, to);
+        if (!targetNames) {
+            return { success: false, reason: 'target_not_found' };
+        }
+
+        const name = names[names.length - 1];
+        const lower = list => list.map(part => part.toLowerCase());
+
+        if (lower(targetNames).join('>') === lower(names.slice(0, -1)).join('>')) {
+            return { success: true, path: names };
+        }
+        if (lower(targetNames).slice(0, names.length).join('>') === lower(names).join('>')) {
+            return this.invalid('to', 'An interest cannot be moved inside itself');
+        }
+
+        if (InterestTree.findKey(this.getChildren(interests, targetNames), name)) {
+            return { success: false, reason: 'name_conflict' };
+        }
+
+        // minRelevance and dailyLimit only exist on top-level interests
+        const quota = InterestTree.getQuota(InterestTree.getNode(interests, names));
+        if (names.length === 1 && targetNames.length > 0 && Object.keys(quota).length > 0) {
+            return this.invalid('to', 'Remove minRelevance and dailyLimit before moving a top-level interest under another one');
+        }
+
+        const subtreeDepth = this.getSubtreeDepth(InterestTree.getNode(interests, names));
+        if (targetNames.length + subtreeDepth > InterestTree.LIMITS.maxDepth) {
+            return this.invalid('to', `Interests can be nested at most ${InterestTree.LIMITS.maxDepth} levels deep`);
+        }
+
+        const from = this.toMongoPath(names);
+        const destination = this.toMongoPath([...targetNames, name]);
+        const conditions = { [from]: { $exists: true }, [destination]: { $exists: false } };
+        if (targetNames.length > 0) {
+            conditions[this.toMongoPath(targetNames)] = { $exists: true };
+        }
+
+        return {
+            success: true,
+            path: [...targetNames, name],
+            conditions,
+            update: { $rename: { [from]: destination } }
+        };
+    }
+
+    planAddKeyword(interests, names, { keyword }) {
+        const errors = [];
+        const [value] = InterestTree.validateKeywords([keyword], InterestTree.formatPath(names), errors);
+        if (errors.length > 0) {
+            return { success: false, reason: 'invalid', errors };
+        }
+
+        const node = InterestTree.getNode(interests, names);
+        if (node.keywords.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+            return { success: true, path: names };
+        }
+
+        const maxKeywords = InterestTree.LIMITS.maxKeywordsPerNode;
+        if (node.keywords.length >= maxKeywords) {
+            return this.invalid('keyword', `An interest can have at most ${maxKeywords} keywords`);
+        }
+
+        const keywordsPath = `${this.toMongoPath(names)}.keywords`;
+
+        return {
+            success: true,
+            path: names,
+            conditions: {
+                [this.toMongoPath(names)]: { $exists: true },
+                // Not added concurrently in another case, and still room for one more
+                [keywordsPath]: { $not: new RegExp(`^${this.escapeRegex(value)}$`, 'i') },
+                [`${keywordsPath}.${maxKeywords - 1}`]: { $exists: false }
+            },
+            update: { $push: { [keywordsPath]: value } }
+        };
+    }
+
+    planRemoveKeyword(interests, names, { keyword }) {
+        const node = InterestTree.getNode(interests, names);
+        const wanted = typeof keyword === 'string' ? keyword.trim().toLowerCase() : '';
+        const existing = node.keywords.find(value => value.toLowerCase() === wanted);
+        if (!existing) {
+            return { success: false, reason: 'keyword_not_found' };
+        }
+
+        const keywordsPath = `${this.toMongoPath(names)}.keywords`;
+
+        return {
+            success: true,
+            path: names,
+            conditions: { [keywordsPath]: existing },
+            update: { $pull: { [keywordsPath]: existing } }
+        };
+    }
+
+    planSetPriority(interests, names, { priority }) {
+        const value = Number(priority);
+        if (!Number.isInteger(value) || value < 1 || value > 10) {
+            return this.invalid('priority', 'Priority must be an integer between 1 and 10');
+        }
+
+        if (InterestTree.getNode(interests, names).priority === value) {
+            return { success: true, path: names };
+        }
+
+        const nodePath = this.toMongoPath(names);
+
+        return {
+            success: true,
+            path: names,
+            conditions: { [nodePath]: { $exists: true } },
+            update: { $set: { [`${nodePath}.priority`]: value } }
+        };
+    }
+
+    /**
+     * Actual stored names for a path given in any case, or null if it doesn't exist
+     */
+    resolvePath(interests, path) {
+        const requested = InterestTree.parsePath(path);
+        if (requested.length === 0) return null;
+
+        const names = [];
+        let children = interests;
+        for (const name of requested) {
+            const key = InterestTree.findKey(children, name);
+            // Names from before validation existed may not be usable as MongoDB field names
+            if (!key || InterestTree.validateName(key)) return null;
+            names.push(key);
+            children = children[key].subcategories || {};
+        }
+
+        return names;
+    }
+
+    /**
+     * ['AI', 'LLMs'] -> 'interests.AI.subcategories.LLMs'
+     */
+    toMongoPath(names) {
+        return ['interests', names.join('.subcategories.')].join('.');
+    }
+
+    getChildren(interests, names) {
+        return names.length === 0 ? interests : InterestTree.getNode(interests, names).subcategories;
+    }
+
+    getSubtreeDepth(node) {
+        const children = Object.values(node.subcategories || {});
+        return 1 + (children.length > 0 ? Math.max(...children.map(child => this.getSubtreeDepth(child))) : 0);
+    }
+
+    isTopLevel(path) {
+        return path === null || path === '' || (Array.isArray(path) && path.length === 0);
+    }
+
+    invalid(field, msg) {
+        return { success: false, reason: 'invalid', errors: [{ path: field, msg }] };
+    }
+
+    escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = new InterestEditService();
@@ -0,0 +1,266 @@
+/**
+ * Interest History Service
+ * Every change to a user's interests goes through saveInterests, which writes the new tree
+ * and records it as a numbered snapshot so any earlier version can be compared or restored.
+ * The version number is taken in the same update that writes the tree (User.interestsVersion),
+ * so the history is in the order the trees were stored.
+ */
+
+const User = require('../../models/User');
+const InterestVersion = require('../../models/InterestVersion');
+const InterestTree = require('./InterestTree');
+const InterestQuotaService = require('./InterestQuotaService');
+
+class InterestHistoryService {
+    /**
+     * Save a validated interest tree and record it as a new version.
+     * author is { userId, via } - via is 'session', 'api_key' or 'system'.
+     * Pass `expected` (the stored tree the change was made from) to only save if nobody changed
+     * the interests in between. Returns { user (without password), version }, { user: null }
+     * when `expected` no longer matches, or null if the user doesn't exist.
+     */
+    async saveInterests(userId, interests, { source, author = {}, restoredFrom = null, expected } = {}) {
+        const previous = await User.findById(userId).select('interests');
+        if (!previous) {
+            return null;
+        }
+
+        const conditions = expected === undefined ? {} : this.matchInterests(expected);
+        if (expected !== undefined && JSON.stringify(expected) !== JSON.stringify(previous.interests)) {
+            return { user: null, version: null };
+        }
+
+        // Users who changed their interests before history existed get their old tree as version 1
+        await this.ensureBaseline(userId, previous.interests);
+
+        // Saving the tree that is already there records nothing
+        if (JSON.stringify(InterestTree.normalize(previous.interests)) === JSON.stringify(InterestTree.normalize(interests))) {
+            const user = await User.findById(userId).select('-password');
+            return { user, version: await this.getLatestVersion(userId) };
+        }
+
+        return this.writeVersion(userId, previous.interests, conditions, { $set: { interests } }, { source, author, restoredFrom });
+    }
+
+    /**
+     * Apply a targeted update to the interests (e.g. $push one keyword) and record the result
+     * as a new version. `conditions` are added to the user filter so the update only happens
+     * if the document still looks the way the caller expects.
+     * Returns { user, version }, { user: null } when the conditions no longer match, or null
+     * if the user doesn't exist.
+     */
+    async updateInterests(userId, conditions, update, { source, author = {} } = {}) {
+        const previous = await User.findById(userId).select('interests');
+        if (!previous) {
+            return null;
+        }
+
+        await this.ensureBaseline(userId, previous.interests);
+
+        return this.writeVersion(userId, previous.interests, conditions, update, { source, author });
+    }
+
+    /**
+     * Write the interests and take the next version number in one update, then record the
+     * snapshot under that number
+     */
+    async writeVersion(userId, previousInterests, conditions, update, { source, author = {}, restoredFrom = null }) {
+        await this.ensureVersionCounter(userId);
+
+        const user = await User.findOneAndUpdate(
+            { _id: userId, ...conditions },
+            { ...update, $inc: { ...update.$inc, interestsVersion: 1 } },
+            { new: true }
+        ).select('-password');
+
+        if (!user) {
+            return { user: null, version: null };
+        }
+
+        await this.syncQuotas(userId, previousInterests, user.interests);
+
+        const version = await this.recordVersion(userId, user.interestsVersion, previousInterests, user.interests, {
+            source,
+            author,
+            restoredFrom
+        });
+
+        return { user, version };
+    }
+
+    /**
+     * Filter for a stored tree exactly as it was read. An empty tree may also be a missing field,
+     * which mongoose reads as its {} default.
+     */
+    matchInterests(interests) {
+        if (!interests || (InterestTree.isPlainObject(interests) && Object.keys(interests).length === 0)) {
+            return { $or: [{ interests: {} }, { interests: null }] };
+        }
+
+        return { interests };
+    }
+
+    /**
+     * Users whose history predates User.interestsVersion continue from their latest version
+     */
+    async ensureVersionCounter(userId) {
+        const missing = await User.exists({ _id: userId, interestsVersion: { $exists: false } });
+        if (!missing) return;
+
+        const latest = await this.getLatestVersion(userId);
+        await User.updateOne(
+            { _id: userId, interestsVersion: { $exists: false } },
+            { $set: { interestsVersion: latest ? latest.version : 0 } }
+        );
+    }
+
+    /**
+     * Re-flag feed items against the daily caps when a change added, removed or changed one
+     */
+    async syncQuotas(userId, previousInterests, interests) {
+        const limits = tree => Object.entries(InterestTree.getQuotas(tree))
+            .filter(([, quota]) => quota.dailyLimit)
+            .map(([name, quota]) => `${name}:${quota.dailyLimit}`)
+            .sort()
+            .join('|');
+        if (limits(previousInterests) === limits(interests)) return;
+
+        await InterestQuotaService.refreshOverQuota(userId, interests);
+    }
+
+    async ensureBaseline(userId, interests) {
+        const exists = await InterestVersion.exists({ userId });
+        if (exists) return;
+
+        try {
+            await InterestVersion.create({
+                userId,
+                version: 1,
+                interests: InterestTree.normalize(interests),
+                source: 'baseline',
+                author: { userId: null, via: 'system' }
+            });
+        } catch (error) {
+            // Another request recorded the baseline first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * Store the snapshot for a version number taken by writeVersion
+     */
+    async recordVersion(userId, number, previousInterests, interests, { source, author = {}, restoredFrom = null }) {
+        const tree = InterestTree.normalize(interests);
+        const diff = InterestTree.diff(InterestTree.normalize(previousInterests), tree);
+
+        return InterestVersion.create({
+            userId,
+            version: number,
+            interests: tree,
+            source,
+            author: {
+                userId: author.userId || null,
+                via: author.via || 'system'
+            },
+            restoredFrom,
+            summary: {
+                added: diff.summary.added,
+                removed: diff.summary.removed,
+                changed: diff.summary.changed
+            }
+        });
+    }
+
+    async getLatestVersion(userId) {
+        return InterestVersion.findOne({ userId }).sort({ version: -1 });
+    }
+
+    async getVersion(userId, version) {
+        return InterestVersion.findOne({ userId, version });
+    }
+
+    /**
+     * Newest first. Pass `before` (a version number) to page further back.
+     */
+    async listVersions(userId, { limit = 20, before = null } = {}) {
+        const filter = { userId };
+        if (before) {
+            filter.version = { $lt: before };
+        }
+
+        const [versions, total] = await Promise.all([
+            InterestVersion.find(filter)
+                .select('-interests')
+                .sort({ version: -1 })
+                .limit(limit),
+            InterestVersion.countDocuments({ userId })
+        ]);
+
+        return { versions, total };
+    }
+
+    /**
+     * Diff between two versions. `to` defaults to the latest version.
+     */
+    async diffVersions(userId, from, to = null) {
+        const fromVersion = await this.getVersion(userId, from);
+        if (!fromVersion) {
+            return { success: false, reason: 'version_not_found', version: from };
+        }
+
+        const toVersion = to ? await this.getVersion(userId, to) : await this.getLatestVersion(userId);
+        if (!toVersion) {
+            return { success: false, reason: 'version_not_found', version: to };
+        }
+
+        return {
+            success: true,
+            from: fromVersion.toSummary(),
+            to: toVersion.toSummary(),
+            diff: InterestTree.diff(fromVersion.interests, toVersion.interests)
+        };
+    }
+
+    /**
+     * Make an old version current again. The restore is itself recorded as a new version,
+     * so it can be undone the same way.
+     */
+    async restore(userId, version, author = {}) {
+        const target = await this.getVersion(userId, version);
+        if (!target) {
+            return { success: false, reason: 'version_not_found', version };
+        }
+
+        // Validation limits may have tightened since the snapshot was taken
+        const validation = InterestTree.validate(target.interests);
+        if (!validation.valid) {
+            return { success: false, reason: 'invalid_interests', errors: validation.errors };
+        }
+
+        const user = await User.findById(userId).select('interests');
+        if (!user) {
+            return { success: false, reason: 'user_not_found' };
+        }
+        const diff = InterestTree.diff(InterestTree.normalize(user.interests), validation.tree);
+
+        const saved = await this.saveInterests(userId, validation.tree, {
+            source: 'restore',
+            author,
+            restoredFrom: target.version,
+            expected: user.interests
+        });
+        if (!saved.user) {
+            return { success: false, reason: 'conflict' };
+        }
+
+        return {
+            success: true,
+            restoredFrom: target.version,
+            version: saved.version.toSummary(),
+            interests: saved.user.interests,
+            diff
+        };
+    }
+}
+
+module.exports = new InterestHistoryService();
@@ -0,0 +1,393 @@
+/**
+ * Interest Learning Service
+ * Mines terms, tags and categories from the content a user liked, saved or dismissed and turns
+ * them into suggestions for their interest tree: new keywords for the interest a term keeps
+ * showing up with, and priority changes for interests the user keeps engaging with or dismissing.
+ * Suggestions wait for the user to accept or reject them unless they opted in to auto-apply.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const UserContent = require('../../models/UserContent');
+const InterestSuggestion = require('../../models/InterestSuggestion');
+const InterestTree = require('./InterestTree');
+const InterestHistoryService = require('./InterestHistoryService');
+const NegativeInterests = require('./NegativeInterests');
+const StopWords = require('./config/StopWords');
+const MatchingEngine = require('../ai-analysis/matching/MatchingEngine');
+
+const LEARNING = {
+    // Only interactions with content added in this window count
+    windowDays: parseInt(process.env.INTEREST_LEARNING_WINDOW_DAYS) || 90,
+    maxInteractions: 500,
+    // A term needs this many liked/saved items before it's suggested as a keyword
+    minSupport: 3,
+    // Share of a term's interaction weight that must be positive
+    minPrecision: 0.75,
+    maxKeywordSuggestions: 5,
+    maxPrioritySuggestions: 3,
+    maxExamples: 3,
+    // Saving is a stronger signal than liking; an item that was also dismissed only counts as negative
+    weights: { liked: 1, saved: 2, dismissed: 1 }
+};
+
+class InterestLearningService {
+    constructor() {
+        this.LEARNING = LEARNING;
+    }
+
+    /**
+     * Users with at least one like, save or dismissal inside the learning window
+     */
+    async findUsersToLearnFrom() {
+        return UserContent.distinct('userId', {
+            createdAt: { $gte: this.getWindowStart() },
+            $or: [{ liked: true }, { saved: true }, { dismissed: true }]
+        });
+    }
+
+    /**
+     * Recompute a user's suggestions. New proposals are stored as pending, pending ones that
+     * are no longer supported expire, and anything the user already accepted or rejected is
+     * never proposed again. Returns counts, or null if the user doesn't exist.
+     */
+    async generateSuggestions(userId) {
+        const user = await User.findById(userId).select('interests negativeInterests synonyms preferences');
+        if (!user) return null;
+
+        const interests = InterestTree.normalize(user.interests);
+        const interactions = await UserContent.find({
+            userId,
+            createdAt: { $gte: this.getWindowStart() },
+            $or: [{ liked: true }, { saved: true }, { dismissed: true }]
+        })
+            .populate('contentId', 'title description tags analysis.tags analysis.categories')
+            .sort({ createdAt: -1 })
+            .limit(LEARNING.maxInteractions);
+
+        const stats = this.collectStats(interactions.filter(uc => uc.contentId), interests, user.synonyms);
+        const candidates = [
+            ...this.proposeKeywords(stats, user.negativeInterests),
+            ...this.proposePriorityChanges(stats)
+        ];
+
+        const result = { created: 0, updated: 0, expired: 0, autoApplied: 0 };
+        const currentIds = [];
+
+        for (const candidate of candidates) {
+            const existing = await InterestSuggestion.findOne({ userId, key: candidate.key });
+
+            // Decided suggestions stay decided
+            if (existing && ['accepted', 'rejected'].includes(existing.status)) continue;
+
+            if (existing) {
+                existing.set({ ...candidate, status: 'pending', resolvedAt: null, updatedAt: new Date() });
+                await existing.save();
+                currentIds.push(existing._id);
+                result.updated++;
+            } else {
+                const suggestion = await InterestSuggestion.create({ userId, ...candidate });
+                currentIds.push(suggestion._id);
+                result.created++;
+            }
+        }
+
+        const expired = await InterestSuggestion.updateMany(
+            { userId, status: 'pending', _id: { $nin: currentIds } },
+            { $set: { status: 'expired', resolvedAt: new Date(), updatedAt: new Date() } }
+        );
+        result.expired = expired.modifiedCount || 0;
+
+        if (user.preferences?.autoApplySuggestions && currentIds.length > 0) {
+            const pending = await InterestSuggestion.find({ _id: { $in: currentIds }, status: 'pending' });
+            const applied = await this.applySuggestions(userId, pending, { userId: null, via: 'system' }, { autoApplied: true });
+            result.autoApplied = applied.success ? applied.accepted.length : 0;
+        }
+
+        return result;
+    }
+
+    /**
+     * Per-term and per-interest interaction weights
+     */
+    collectStats(interactions, interests, synonyms = []) {
+        // Same matching as the analysis filters, so stats line up with what the user was shown
+        const matcher = MatchingEngine.createMatcher({ synonyms });
+        const nodes = InterestTree.flatten(interests).map(entry => ({
+            key: this.pathKey(entry.path),
+            path: entry.path,
+            node: entry.node,
+            terms: [entry.name, ...entry.node.keywords]
+        }));
+
+        const terms = new Map();
+        const interestStats = new Map();
+
+        for (const userContent of interactions) {
+            const content = userContent.contentId;
+            const { positive, negative } = this.getWeights(userContent);
+            if (positive === 0 && negative === 0) continue;
+
+            const document = matcher.prepare(`${content.title || ''} ${content.description || ''}`);
+            const matchedNodes = nodes.filter(entry => matcher.matchesAny(document, entry.terms));
+
+            for (const entry of matchedNodes) {
+                const stat = interestStats.get(entry.key) || { ...entry, positive: 0, negative: 0, positiveItems: 0, negativeItems: 0 };
+                stat.positive += positive;
+                stat.negative += negative;
+                if (positive > 0) stat.positiveItems++;
+                if (negative > 0) stat.negativeItems++;
+                interestStats.set(entry.key, stat);
+            }
+
+            for (const term of this.extractTerms(content)) {
+                const stat = terms.get(term) || { term, positive: 0, negative: 0, positiveItems: 0, negativeItems: 0, examples: [], interests: new Map() };
+                stat.positive += positive;
+                stat.negative += negative;
+                if (negative > 0) stat.negativeItems++;
+
+                if (positive > 0) {
+                    stat.positiveItems++;
+                    if (stat.examples.length < LEARNING.maxExamples) {
+                        stat.examples.push({ contentId: content._id, title: content.title });
+                    }
+                    // Remember which interests the term appears alongside, to know where it belongs
+                    for (const entry of matchedNodes) {
+                        stat.interests.set(entry.key, (stat.interests.get(entry.key) || 0) + 1);
+                    }
+                }
+
+                terms.set(term, stat);
+            }
+        }
+
+        return { terms, interests: interestStats, nodes };
+    }
+
+    getWeights(userContent) {
+        if (userContent.dismissed) {
+            return { positive: 0, negative: LEARNING.weights.dismissed };
+        }
+
+        return {
+            positive: (userContent.liked ? LEARNING.weights.liked : 0) + (userContent.saved ? LEARNING.weights.saved : 0),
+            negative: 0
+        };
+    }
+
+    /**
+     * Candidate keywords from a content item: its tags and AI categories as whole phrases,
+     * plus the meaningful words of its title
+     */
+    extractTerms(content) {
+        const terms = new Set();
+        const phrases = [
+            ...(content.tags || []),
+            ...(content.analysis?.tags || []),
+            ...(content.analysis?.categories || [])
+        ];
+
+        for (const phrase of phrases) {
+            if (typeof phrase !== 'string') continue;
+            const term = phrase.toLowerCase().replace(/\s+/g, ' ').trim();
+            if (term.length >= 2 && term.length <= InterestTree.LIMITS.maxKeywordLength && !StopWords.has(term)) {
+                terms.add(term);
+            }
+        }
+
+        for (const word of (content.title || '').toLowerCase().split(/[^a-z0-9+#]+/)) {
+            if (word.length >= 3 && !StopWords.has(word) && !/^\d+$/.test(word)) {
+                terms.add(word);
+            }
+        }
+
+        return terms;
+    }
+
+    proposeKeywords(stats, negativeInterests) {
+        const rules = NegativeInterests.normalize(negativeInterests);
+        const known = new Set([
+            ...stats.nodes.flatMap(entry => entry.terms),
+            ...rules.keywords.map(term => term.toLowerCase()),
+            ...rules.categories.map(term => term.toLowerCase())
+        ]);
+        const isKnown = term => known.has(term) || known.has(`${term}s`) || (term.endsWith('s') && known.has(term.slice(0, -1)));
+
+        const proposals = [];
+        for (const stat of stats.terms.values()) {
+            if (stat.positiveItems < LEARNING.minSupport || isKnown(stat.term)) continue;
+
+            const precision = stat.positive / (stat.positive + stat.negative);
+            if (precision < LEARNING.minPrecision) continue;
+
+            // Attach the keyword to the interest it co-occurs with most; terms that never
+            // appear next to an existing interest have nowhere to go
+            const [bestKey] = [...stat.interests.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+            const target = bestKey && stats.nodes.find(entry => entry.key === bestKey);
+            if (!target) continue;
+            if (target.node.keywords.length >= InterestTree.LIMITS.maxKeywordsPerNode) continue;
+
+            proposals.push({
+                type: 'add_keyword',
+                key: `add_keyword:${target.key}:${stat.term}`,
+                path: target.path,
+                keyword: stat.term,
+                evidence: {
+                    positive: stat.positiveItems,
+                    negative: stat.negativeItems,
+                    score: Math.round((stat.positive - stat.negative) * 100) / 100,
+                    examples: stat.examples
+                }
+            });
+        }
+
+        return proposals
+            .sort((a, b) => b.evidence.score - a.evidence.score)
+            .slice(0, LEARNING.maxKeywordSuggestions);
+    }
+
+    proposePriorityChanges(stats) {
+        const proposals = [];
+
+        for (const stat of stats.interests.values()) {
+            const current = stat.node.priority;
+            let target = null;
+
+            if (stat.positiveItems >= LEARNING.minSupport * 2 && stat.negativeItems * 3 <= stat.positiveItems && current < 10) {
+                target = current + 1;
+            } else if (stat.negativeItems >= LEARNING.minSupport && stat.negativeItems >= stat.positiveItems * 2 && current > 1) {
+                target = current - 1;
+            }
+            if (target === null) continue;
+
+            proposals.push({
+                type: 'adjust_priority',
+                key: `adjust_priority:${stat.key}:${target}`,
+                path: stat.path,
+                priority: { from: current, to: target },
+                evidence: {
+                    positive: stat.positiveItems,
+                    negative: stat.negativeItems,
+                    score: Math.round((stat.positive - stat.negative) * 100) / 100,
+                    examples: []
+                }
+            });
+        }
+
+        return proposals
+            .sort((a, b) => Math.abs(b.evidence.score) - Math.abs(a.evidence.score))
+            .slice(0, LEARNING.maxPrioritySuggestions);
+    }
+
+    async listSuggestions(userId, { status = 'pending' } = {}) {
+        const filter = { userId };
+        if (status !== 'all') {
+            filter.status = status;
+        }
+        return InterestSuggestion.find(filter).sort({ createdAt: -1 }).limit(100);
+    }
+
+    /**
+     * Apply one pending suggestion to the user's interests
+     */
+    async accept(userId, suggestionId, author = {}) {
+        if (!mongoose.isValidObjectId(suggestionId)) {
+            return { success: false, reason: 'suggestion_not_found' };
+        }
+
+        const suggestion = await InterestSuggestion.findOne({ _id: suggestionId, userId, status: 'pending' });
+        if (!suggestion) {
+            return { success: false, reason: 'suggestion_not_found' };
+        }
+
+        const result = await this.applySuggestions(userId, [suggestion], author);
+        if (result.success && result.accepted.length === 0) {
+            return { success: false, reason: 'interest_not_found' };
+        }
+
+        return { ...result, suggestion };
+    }
+
+    async reject(userId, suggestionId) {
+        if (!mongoose.isValidObjectId(suggestionId)) return false;
+
+        const result = await InterestSuggestion.updateOne(
+            { _id: suggestionId, userId, status: 'pending' },
+            { $set: { status: 'rejected', resolvedAt: new Date(), updatedAt: new Date() } }
+        );
+
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Apply suggestions in one interest change (one history version). Suggestions whose
+     * interest has since been removed are expired instead.
+     */
+    async applySuggestions(userId, suggestions, author = {}, { autoApplied = false } = {}) {
+        const user = await User.findById(userId).select('interests');
+        if (!user) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        const interests = InterestTree.normalize(user.interests);
+        const accepted = [];
+        const expired = [];
+
+        for (const suggestion of suggestions) {
+            const node = InterestTree.getNode(interests, suggestion.path);
+            if (!node) {
+                expired.push(suggestion);
+                continue;
+            }
+
+            if (suggestion.type === 'add_keyword') {
+                if (!node.keywords.some(keyword => keyword.toLowerCase() === suggestion.keyword.toLowerCase())) {
+                    node.keywords.push(suggestion.keyword);
+                }
+            } else if (suggestion.type === 'adjust_priority') {
+                node.priority = suggestion.priority.to;
+            }
+            accepted.push(suggestion);
+        }
+
+        const validation = InterestTree.validate(interests);
+        if (!validation.valid) {
+            return { success: false, reason: 'invalid_result', errors: validation.errors };
+        }
+
+        let saved = null;
+        if (accepted.length > 0) {
+            saved = await InterestHistoryService.saveInterests(userId, validation.tree, { source: 'learned', author });
+        }
+
+        const now = new Date();
+        await this.resolve(accepted, { status: 'accepted', autoApplied, resolvedAt: now, updatedAt: now });
+        await this.resolve(expired, { status: 'expired', resolvedAt: now, updatedAt: now });
+
+        return {
+            success: true,
+            accepted,
+            expired,
+            interests: saved ? saved.user.interests : validation.tree,
+            version: saved ? saved.version.version : null
+        };
+    }
+
+    async resolve(suggestions, update) {
+        if (suggestions.length === 0) return;
+        await InterestSuggestion.updateMany(
+            { _id: { $in: suggestions.map(suggestion => suggestion._id) } },
+            { $set: update }
+        );
+    }
+
+    pathKey(path) {
+        return path.map(name => name.toLowerCase()).join('>');
+    }
+
+    getWindowStart() {
+        return new Date(Date.now() - LEARNING.windowDays * 24 * 60 * 60 * 1000);
+    }
+}
+
+module.exports = new InterestLearningService();
@@ -0,0 +1,167 @@
+/**
+ * Interest Preset Service
+ * Curated interest trees ("Backend engineer", "ML practitioner", ...) that users can
+ * preview and merge into or replace their own interests with
+ */
+
+const User = require('../../models/User');
+const InterestPreset = require('../../models/InterestPreset');
+const InterestTree = require('./InterestTree');
+const InterestHistoryService = require('./InterestHistoryService');
+const DefaultPresets = require('./config/DefaultPresets');
+
+const APPLY_MODES = ['merge', 'replace'];
+
+class InterestPresetService {
+    constructor() {
+        this.APPLY_MODES = APPLY_MODES;
+    }
+
+    /**
+     * Insert the built-in presets that don't exist yet. Never touches presets already in the
+     * database, so admin edits survive restarts.
+     */
+    async seedDefaults() {
+        let inserted = 0;
+
+        for (const preset of DefaultPresets) {
+            const { valid, errors, tree } = InterestTree.validate(preset.interests);
+            if (!valid) {
+                console.error(`Built-in preset "${preset.slug}" is invalid:`, errors);
+                continue;
+            }
+
+            const result = await InterestPreset.updateOne(
+                { slug: preset.slug },
+                { $setOnInsert: { ...preset, interests: tree, isBuiltIn: true } },
+                { upsert: true }
+            );
+            inserted += result.upsertedCount || 0;
+        }
+
+        return inserted;
+    }
+
+    async listPresets({ includeUnpublished = false } = {}) {
+        const filter = includeUnpublished ? {} : { isPublished: true };
+        return InterestPreset.find(filter).sort({ name: 1 });
+    }
+
+    async getPreset(slug, { includeUnpublished = false } = {}) {
+        const filter = { slug: String(slug).toLowerCase() };
+        if (!includeUnpublished) {
+            filter.isPublished = true;
+        }
+        return InterestPreset.findOne(filter);
+    }
+
+    /**
+     * Work out what applying a preset would do to a user's interests, without saving.
+     * merge keeps everything the user has and adds the preset on top (higher priority wins,
+     * keywords are combined); replace swaps the whole tree for the preset.
+     */
+    async preview(userId, slug, mode = 'merge') {
+        if (!APPLY_MODES.includes(mode)) {
+            return { success: false, reason: 'invalid_mode' };
+        }
+
+        const preset = await this.getPreset(slug);
+        if (!preset) {
+            return { success: false, reason: 'preset_not_found' };
+        }
+
+        const user = await User.findById(userId).select('interests');
+        if (!user) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        const current = InterestTree.normalize(user.interests);
+        const proposed = InterestTree.combine(current, preset.interests, mode);
+
+        // A merge can push a large tree past the size limits
+        const validation = InterestTree.validate(proposed);
+        if (!validation.valid) {
+            return { success: false, reason: 'invalid_result', errors: validation.errors };
+        }
+
+        return {
+            success: true,
+            preset,
+            mode,
+            interests: validation.tree,
+            diff: InterestTree.diff(current, validation.tree)
+        };
+    }
+
+    /**
+     * Apply a preset to a user's interests (recorded in their interest history)
+     */
+    async apply(userId, slug, mode = 'merge', author = {}) {
+        const preview = await this.preview(userId, slug, mode);
+        if (!preview.success) {
+            return preview;
+        }
+
+        const { user, version } = await InterestHistoryService.saveInterests(userId, preview.interests, {
+            source: 'preset',
+            author
+        });
+
+        return { ...preview, user, version };
+    }
+
+    /**
+     * Validate admin-authored preset fields. Returns { valid, errors, data }.
+     */
+    validatePresetInput(input, { partial = false } = {}) {
+        const errors = [];
+        const data = {};
+
+        if (input.name !== undefined || !partial) {
+            if (typeof input.name !== 'string' || !input.name.trim()) {
+                errors.push({ path: 'name', msg: 'Name is required' });
+            } else {
+                data.name = input.name.trim();
+            }
+        }
+
+        if (input.description !== undefined) {
+            if (typeof input.description !== 'string') {
+                errors.push({ path: 'description', msg: 'Description must be a string' });
+            } else {
+                data.description = input.description.trim();
+            }
+        }
+
+        if (input.tags !== undefined) {
+            if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+                errors.push({ path: 'tags', msg: 'Tags must be an array of strings' });
+            } else {
+                data.tags = [...new Set(input.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+            }
+        }
+
+        if (input.isPublished !== undefined) {
+            if (typeof input.isPublished !== 'boolean') {
+                errors.push({ path: 'isPublished', msg: 'isPublished must be a boolean' });
+            } else {
+                data.isPublished = input.isPublished;
+            }
+        }
+
+        if (input.interests !== undefined || !partial) {
+            const validation = InterestTree.validate(input.interests);
+            if (!validation.valid) {
+                errors.push(...validation.errors);
+            } else if (Object.keys(validation.tree).length === 0) {
+                errors.push({ path: 'interests', msg: 'A preset needs at least one interest' });
+            } else {
+                data.interests = validation.tree;
+            }
+        }
+
+        return { valid: errors.length === 0, errors, data };
+    }
+}
+
+module.exports = new InterestPresetService();
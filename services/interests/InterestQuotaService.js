@@ -0,0 +1,224 @@
+/**
+ * Interest Quota Service
+ * Enforces the per-interest `minRelevance` and `dailyLimit` set on top-level interests, both
+ * when UserContent is created and when the feed is read. An item gets through when any
+ * interest it matches accepts it, so a capped broad topic never blocks an item a niche topic
+ * still has room for. Items count towards the cap of every interest they match; days are UTC.
+ * New items take their slot with an atomic counter (see feed/DailyCounter); items already in the
+ * feed are re-checked when the caps change and flagged `overQuota`.
+ */
+
+const mongoose = require('mongoose');
+const UserContent = require('../../models/UserContent');
+const InterestTree = require('./InterestTree');
+const DailyCounter = require('../feed/DailyCounter');
+
+class InterestQuotaService {
+    /**
+     * Whether a new item may be added to the user's feed today, taking its slot under the caps
+     * if so. Returns { allowed, acceptedBy, counterKeys } - acceptedBy lists the matched interests
+     * that let it in, counterKeys the counters it was added to (give them back with releaseSlots
+     * if the item is not stored after all).
+     */
+    async checkNewItem(userId, interests, relevanceScore, matchedInterests, defaultThreshold, now = new Date()) {
+        const quotas = InterestTree.getQuotas(interests);
+        // Interests whose threshold the score clears, before looking at the caps
+        const eligible = this.getAcceptingInterests(relevanceScore, matchedInterests, quotas, {}, defaultThreshold);
+        if (eligible === null) {
+            return { allowed: false, acceptedBy: [], counterKeys: [] };
+        }
+
+        const capped = matchedInterests.filter(name => quotas[name]?.dailyLimit);
+        const keys = await this.getCounterKeys(userId, capped, now);
+
+        const acceptedBy = [];
+        for (const name of eligible) {
+            if (!quotas[name]?.dailyLimit || await DailyCounter.reserve(keys[name], quotas[name].dailyLimit)) {
+                acceptedBy.push(name);
+            }
+        }
+        if (eligible.length > 0 && acceptedBy.length === 0) {
+            return { allowed: false, acceptedBy: [], counterKeys: [] };
+        }
+
+        // The item also counts towards the caps of the other interests it matched
+        await Promise.all(capped
+            .filter(name => !acceptedBy.includes(name))
+            .map(name => DailyCounter.add(keys[name])));
+
+        return { allowed: true, acceptedBy, counterKeys: capped.map(name => keys[name]) };
+    }
+
+    /**
+     * Move today's count of a capped interest to its new name
+     */
+    async renameCounter(userId, from, to, now = new Date()) {
+        await DailyCounter.rename(
+            DailyCounter.getKey(userId, `interest:${from}`, now),
+            DailyCounter.getKey(userId, `interest:${to}`, now)
+        );
+    }
+
+    /**
+     * Give back the slots checkNewItem took for an item that was not stored
+     */
+    async releaseSlots(counterKeys) {
+        await Promise.all(counterKeys.map(key => DailyCounter.add(key, -1)));
+    }
+
+    /**
+     * Today's counter for each capped interest, started from the items already created today
+     */
+    async getCounterKeys(userId, names, date) {
+        const keys = {};
+
+        for (const name of names) {
+            keys[name] = await DailyCounter.ensure(userId, `interest:${name}`, date, async () =>
+                (await this.countForDay(userId, [name], date))[name] || 0
+            );
+        }
+
+        return keys;
+    }
+
+    /**
+     * Matched interests that accept an item with this score given today's counts, [] when
+     * nothing was matched but the score clears the default threshold, or null when rejected
+     */
+    getAcceptingInterests(relevanceScore, matchedInterests, quotas, counts, defaultThreshold) {
+        if (matchedInterests.length === 0) {
+            return relevanceScore >= defaultThreshold ? [] : null;
+        }
+
+        const accepting = matchedInterests.filter(name => {
+            const quota = quotas[name] || {};
+            const threshold = quota.minRelevance ?? defaultThreshold;
+            const underLimit = !quota.dailyLimit || (counts[name] || 0) < quota.dailyLimit;
+            return relevanceScore >= threshold && underLimit;
+        });
+
+        return accepting.length > 0 ? accepting : null;
+    }
+
+    /**
+     * Items created for the user on the UTC day of `date`, per interest
+     */
+    async countForDay(userId, names, date = new Date()) {
+        if (names.length === 0) return {};
+
+        const { start, end } = DailyCounter.getDayRange(date);
+        const rows = await UserContent.aggregate([
+            {
+                $match: {
+                    userId: new mongoose.Types.ObjectId(userId.toString()),
+                    matchedInterests: { $in: names },
+                    createdAt: { $gte: start, $lt: end }
+                }
+            },
+            { $unwind: '$matchedInterests' },
+            { $match: { matchedInterests: { $in: names } } },
+            { $group: { _id: '$matchedInterests', count: { $sum: 1 } } }
+        ]);
+
+        return Object.fromEntries(rows.map(row => [row._id, row.count]));
+    }
+
+    /**
+     * Feed conditions for relevance: an item is shown when its score clears the minRelevance
+     * of any interest it matched, or `minRelevance` for interests without one (and for items
+     * that matched nothing). Returns a plain { relevanceScore } condition when no quota sets
+     * minRelevance.
+     */
+    buildRelevanceQuery(quotas, minRelevance) {
+        const withThreshold = Object.entries(quotas).filter(([, quota]) => quota.minRelevance !== undefined);
+        if (withThreshold.length === 0) {
+            return { relevanceScore: { $gte: minRelevance } };
+        }
+
+        const names = withThreshold.map(([name]) => name);
+
+        return {
+            $or: [
+                {
+                    relevanceScore: { $gte: minRelevance },
+                    $or: [
+                        { matchedInterests: { $elemMatch: { $nin: names } } },
+                        { 'matchedInterests.0': { $exists: false } }
+                    ]
+                },
+                ...withThreshold.map(([name, quota]) => ({
+                    matchedInterests: name,
+                    relevanceScore: { $gte: quota.minRelevance }
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Feed condition that leaves out items flagged as over a daily cap
+     */
+    withinQuotaQuery() {
+        return { overQuota: { $ne: true } };
+    }
+
+    /**
+     * Re-flag the user's items against new caps - items created before a cap was set, or beyond
+     * it after a limit was lowered. Per interest and UTC day the most relevant items keep their
+     * place; an item stays when any interest it matched has it within its limit. Runs when the
+     * quotas change (see InterestHistoryService), so the feed only reads the stored flag.
+     */
+    async refreshOverQuota(userId, interests) {
+        const quotas = InterestTree.getQuotas(interests);
+        const capped = Object.keys(quotas).filter(name => quotas[name].dailyLimit);
+        const objectId = new mongoose.Types.ObjectId(userId.toString());
+
+        await UserContent.updateMany({ userId: objectId, overQuota: true }, { $set: { overQuota: false } });
+        if (capped.length === 0) return;
+
+        await UserContent.aggregate([
+            { $match: { userId: objectId, matchedInterests: { $in: capped } } },
+            {
+                $project: {
+                    matchedInterests: 1,
+                    relevanceScore: 1,
+                    createdAt: 1,
+                    day: { $dateTrunc: { date: '$createdAt', unit: 'day' } }
+                }
+            },
+            { $unwind: '$matchedInterests' },
+            {
+                $setWindowFields: {
+                    partitionBy: { interest: '$matchedInterests', day: '$day' },
+                    sortBy: { relevanceScore: -1, createdAt: -1 },
+                    output: { rank: { $documentNumber: {} } }
+                }
+            },
+            {
+                $addFields: {
+                    limit: {
+                        $switch: {
+                            branches: capped.map(name => ({
+                                case: { $eq: ['$matchedInterests', name] },
+                                then: quotas[name].dailyLimit
+                            })),
+                            default: null
+                        }
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: '$_id',
+                    accepted: {
+                        $max: { $cond: [{ $or: [{ $eq: ['$limit', null] }, { $lte: ['$rank', '$limit'] }] }, 1, 0] }
+                    }
+                }
+            },
+            { $match: { accepted: 0 } },
+            { $project: { overQuota: { $literal: true } } },
+            { $merge: { into: UserContent.collection.name, on: '_id', whenMatched: 'merge', whenNotMatched: 'discard' } }
+        ]);
+    }
+}
+
+module.exports = new InterestQuotaService();
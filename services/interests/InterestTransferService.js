@@ -0,0 +1,117 @@
+/**
+ * Interest Transfer Service
+ * Export a user's interests as JSON, YAML or OPML and import them back with a diff,
+ * so teams can keep interest definitions in git and share them
+ */
+
+const User = require('../../models/User');
+const InterestTree = require('./InterestTree');
+const InterestHistoryService = require('./InterestHistoryService');
+const JsonFormat = require('./formats/JsonFormat');
+const YamlFormat = require('./formats/YamlFormat');
+const OpmlFormat = require('./formats/OpmlFormat');
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+class InterestTransferService {
+    constructor() {
+        this.formats = {
+            json: new JsonFormat(),
+            yaml: new YamlFormat(),
+            opml: new OpmlFormat()
+        };
+        this.FORMATS = Object.keys(this.formats);
+        this.IMPORT_MODES = IMPORT_MODES;
+    }
+
+    getFormat(name) {
+        const key = String(name || '').toLowerCase();
+        return this.formats[key === 'yml' ? 'yaml' : key] || null;
+    }
+
+    /**
+     * Serialize a user's interests. Returns { content, contentType, filename } or null if the user is gone.
+     */
+    async exportInterests(userId, formatName = 'json') {
+        const format = this.getFormat(formatName);
+        if (!format) {
+            throw new Error(`Unknown interest format "${formatName}"`);
+        }
+
+        const user = await User.findById(userId).select('name interests');
+        if (!user) return null;
+
+        const exportedAt = new Date();
+        const content = format.serialize(InterestTree.normalize(user.interests), {
+            exportedAt,
+            name: `${user.name}'s interests`
+        });
+
+        return {
+            content,
+            contentType: format.contentType,
+            filename: `relevant-interests-${exportedAt.toISOString().slice(0, 10)}.${format.extension}`
+        };
+    }
+
+    /**
+     * Parse, validate and diff an interest file against the user's current interests.
+     * Saves only when dryRun is false.
+     */
+    async importInterests(userId, { format: formatName, content, mode = 'merge', dryRun = false, author = {} }) {
+        const format = this.getFormat(formatName);
+        if (!format) {
+            return { success: false, reason: 'invalid_format' };
+        }
+        if (!IMPORT_MODES.includes(mode)) {
+            return { success: false, reason: 'invalid_mode' };
+        }
+
+        let parsed;
+        try {
+            parsed = format.parse(content);
+        } catch (error) {
+            return {
+                success: false,
+                reason: 'parse_error',
+                errors: [{ path: 'content', msg: `Could not parse ${format.name}: ${error.message}` }]
+            };
+        }
+
+        const incoming = InterestTree.validate(parsed);
+        if (!incoming.valid) {
+            return { success: false, reason: 'invalid_interests', errors: incoming.errors };
+        }
+
+        const user = await User.findById(userId).select('interests');
+        if (!user) {
+            return { success: false, reason: 'user_not_found' };
+        }
+
+        const current = InterestTree.normalize(user.interests);
+        const result = InterestTree.validate(InterestTree.combine(current, incoming.tree, mode));
+        if (!result.valid) {
+            return { success: false, reason: 'invalid_interests', errors: result.errors };
+        }
+
+        const diff = InterestTree.diff(current, result.tree);
+
+        let version = null;
+        if (!dryRun) {
+            const saved = await InterestHistoryService.saveInterests(userId, result.tree, { source: 'import', author });
+            version = saved.version.toSummary();
+        }
+
+        return {
+            success: true,
+            mode,
+            dryRun,
+            applied: !dryRun,
+            interests: result.tree,
+            diff,
+            version
+        };
+    }
+}
+
+module.exports = new InterestTransferService();
@@ -0,0 +1,712 @@
+/**
+ * Interest Tree
+ * Schema, validation and traversal for the hierarchical `User.interests` structure
+ *
+ * An interest tree is an object keyed by interest name. Every node has the same shape and
+ * can nest further through `subcategories`, to any depth:
+ *
+ *   {
+ *     "AI": {
+ *       "priority": 9,
+ *       "keywords": ["machine learning"],
+ *       "subcategories": {
+ *         "LLMs": { "priority": 8, "keywords": [], "subcategories": { "Agents": { ... } } }
+ *       }
+ *     }
+ *   }
+ *
+ * Any node can also be time-boxed with `activeFrom`/`activeUntil` (ISO dates) and carry a
+ * `decay` curve that lowers its priority over time. effectiveTree() resolves both into the
+ * plain priorities the analysis pipeline uses.
+ *
+ * Top-level interests can set their own `minRelevance` (0-1) and `dailyLimit` (items per day),
+ * enforced by InterestQuotaService.
+ */
+
+const DEFAULT_PRIORITY = 5;
+
+const LIMITS = {
+    maxDepth: 12,
+    maxNodes: 500,
+    maxKeywordsPerNode: 50,
+    maxNameLength: 100,
+    maxKeywordLength: 100,
+    maxDailyLimit: 100
+};
+
+const NODE_FIELDS = ['priority', 'keywords', 'subcategories', 'activeFrom', 'activeUntil', 'decay', 'minRelevance', 'dailyLimit'];
+const QUOTA_FIELDS = ['minRelevance', 'dailyLimit'];
+
+// linear falls to minPriority over durationDays; exponential halves the distance to minPriority every halfLifeDays
+const DECAY_CURVES = {
+    linear: 'durationDays',
+    exponential: 'halfLifeDays'
+};
+const DECAY_FIELDS = ['curve', 'durationDays', 'halfLifeDays', 'start', 'minPriority'];
+const MAX_DECAY_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class InterestTree {
+    constructor() {
+        this.DEFAULT_PRIORITY = DEFAULT_PRIORITY;
+        this.LIMITS = LIMITS;
+        this.DECAY_CURVES = Object.keys(DECAY_CURVES);
+    }
+
+    /**
+     * Validate and normalize an interest tree from a request.
+     * Accepts the hierarchical object form, or (when allowLegacyArray is set) a flat array of names.
+     * Returns { valid, errors, tree } - errors use the same { path, msg } shape as express-validator.
+     */
+    validate(input, { allowLegacyArray = false } = {}) {
+        if (allowLegacyArray && Array.isArray(input)) {
+            input = this.fromLegacyArray(input);
+        }
+
+        const errors = [];
+        if (!this.isPlainObject(input)) {
+            errors.push({ path: 'interests', msg: 'Interests must be an object keyed by interest name' });
+            return { valid: false, errors, tree: null };
+        }
+
+        const state = { nodeCount: 0 };
+        const tree = this.validateChildren(input, [], errors, state);
+
+        return { valid: errors.length === 0, errors, tree: errors.length === 0 ? tree : null };
+    }
+
+    /**
+     * Validate a single node that will be placed under parentPath (an array of names)
+     */
+    validateNode(name, data, parentPath = []) {
+        const errors = [];
+        const state = { nodeCount: parentPath.length };
+        const node = this.validateEntry(name, data, parentPath, errors, state);
+
+        return { valid: errors.length === 0, errors, node: errors.length === 0 ? node : null };
+    }
+
+    validateChildren(children, parentPath, errors, state) {
+        const result = {};
+        const seen = new Set();
+
+        for (const [rawName, data] of Object.entries(children)) {
+            const name = typeof rawName === 'string' ? rawName.trim() : rawName;
+            const node = this.validateEntry(rawName, data, parentPath, errors, state);
+
+            if (node) {
+                const key = name.toLowerCase();
+                if (seen.has(key)) {
+                    errors.push({ path: this.formatPath([...parentPath, name]), msg: 'Duplicate interest name' });
+                    continue;
+                }
+                seen.add(key);
+                result[name] = node;
+            }
+        }
+
+        return result;
+    }
+
+    validateEntry(rawName, data, parentPath, errors, state) {
+        const name = typeof rawName === 'string' ? rawName.trim() : '';
+        const path = [...parentPath, name || String(rawName)];
+        const at = this.formatPath(path);
+
+        const nameError = this.validateName(name);
+        if (nameError) {
+            errors.push({ path: at, msg: nameError });
+            return null;
+        }
+
+        if (path.length > LIMITS.maxDepth) {
+            errors.push({ path: at, msg: `Interests can be nested at most ${LIMITS.maxDepth} levels deep` });
+            return null;
+        }
+
+        state.nodeCount++;
+        if (state.nodeCount > LIMITS.maxNodes) {
+            if (state.nodeCount === LIMITS.maxNodes + 1) {
+                errors.push({ path: at, msg: `An interest tree can hold at most ${LIMITS.maxNodes} interests` });
+            }
+            return null;
+        }
+
+        // Nodes may be given as just a priority or just a keyword list for convenience
+        if (data === null || data === undefined) {
+            data = {};
+        } else if (typeof data === 'number') {
+            data = { priority: data };
+        } else if (Array.isArray(data)) {
+            data = { keywords: data };
+        }
+
+        if (!this.isPlainObject(data)) {
+            errors.push({ path: at, msg: 'Interest must be an object' });
+            return null;
+        }
+
+        const unknownFields = Object.keys(data).filter(field => !NODE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            errors.push({ path: at, msg: `Unknown field(s): ${unknownFields.join(', ')}` });
+        }
+
+        const node = {
+            priority: DEFAULT_PRIORITY,
+            keywords: [],
+            subcategories: {}
+        };
+
+        if (data.priority !== undefined) {
+            const priority = Number(data.priority);
+            if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+                errors.push({ path: `${at}.priority`, msg: 'Priority must be an integer between 1 and 10' });
+            } else {
+                node.priority = priority;
+            }
+        }
+
+        if (data.keywords !== undefined) {
+            node.keywords = this.validateKeywords(data.keywords, at, errors);
+        }
+
+        Object.assign(node, this.validateSchedule(data, at, errors));
+        Object.assign(node, this.validateQuota(data, at, errors, parentPath.length === 0));
+
+        if (data.subcategories !== undefined) {
+            if (!this.isPlainObject(data.subcategories)) {
+                errors.push({ path: `${at}.subcategories`, msg: 'Subcategories must be an object keyed by interest name' });
+            } else {
+                node.subcategories = this.validateChildren(data.subcategories, path, errors, state);
+            }
+        }
+
+        return node;
+    }
+
+    validateName(name) {
+        if (!name) return 'Interest name is required';
+        if (name.length > LIMITS.maxNameLength) return `Interest names can be at most ${LIMITS.maxNameLength} characters`;
+        // Names become MongoDB field names inside the Mixed interests object
+        if (name.startsWith('$') || name.includes('.')) return 'Interest names cannot contain "." or start with "$"';
+        if (name.includes('>')) return 'Interest names cannot contain ">" (used as the path separator)';
+        return null;
+    }
+
+    validateKeywords(keywords, at, errors) {
+        if (!Array.isArray(keywords)) {
+            errors.push({ path: `${at}.keywords`, msg: 'Keywords must be an array of strings' });
+            return [];
+        }
+
+        const result = [];
+        const seen = new Set();
+        for (const keyword of keywords) {
+            if (typeof keyword !== 'string' || !keyword.trim()) {
+                errors.push({ path: `${at}.keywords`, msg: 'Keywords must be non-empty strings' });
+                continue;
+            }
+
+            const trimmed = keyword.trim();
+            if (trimmed.length > LIMITS.maxKeywordLength) {
+                errors.push({ path: `${at}.keywords`, msg: `Keywords can be at most ${LIMITS.maxKeywordLength} characters` });
+                continue;
+            }
+
+            if (!seen.has(trimmed.toLowerCase())) {
+                seen.add(trimmed.toLowerCase());
+                result.push(trimmed);
+            }
+        }
+
+        if (result.length > LIMITS.maxKeywordsPerNode) {
+            errors.push({ path: `${at}.keywords`, msg: `An interest can have at most ${LIMITS.maxKeywordsPerNode} keywords` });
+        }
+
+        return result;
+    }
+
+    /**
+     * activeFrom/activeUntil and decay. Only fields that are set are returned, so interests
+     * without a schedule keep the plain { priority, keywords, subcategories } shape.
+     */
+    validateSchedule(data, at, errors) {
+        const schedule = {};
+
+        for (const field of ['activeFrom', 'activeUntil']) {
+            if (data[field] === undefined || data[field] === null || data[field] === '') continue;
+
+            const date = new Date(data[field]);
+            if (typeof data[field] === 'boolean' || Number.isNaN(date.getTime())) {
+                errors.push({ path: `${at}.${field}`, msg: `${field} must be a date` });
+                continue;
+            }
+            schedule[field] = date.toISOString();
+        }
+
+        if (schedule.activeFrom && schedule.activeUntil && schedule.activeUntil <= schedule.activeFrom) {
+            errors.push({ path: `${at}.activeUntil`, msg: 'activeUntil must be after activeFrom' });
+        }
+
+        if (data.decay !== undefined && data.decay !== null) {
+            const decay = this.validateDecay(data.decay, schedule.activeFrom, `${at}.decay`, errors);
+            if (decay) {
+                schedule.decay = decay;
+            }
+        }
+
+        return schedule;
+    }
+
+    validateDecay(decay, activeFrom, at, errors) {
+        if (!this.isPlainObject(decay)) {
+            errors.push({ path: at, msg: 'Decay must be an object' });
+            return null;
+        }
+
+        const unknownFields = Object.keys(decay).filter(field => !DECAY_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            errors.push({ path: at, msg: `Unknown decay field(s): ${unknownFields.join(', ')}` });
+        }
+
+        const lengthField = DECAY_CURVES[decay.curve];
+        if (!lengthField) {
+            errors.push({ path: `${at}.curve`, msg: `Decay curve must be one of: ${this.DECAY_CURVES.join(', ')}` });
+            return null;
+        }
+
+        const result = { curve: decay.curve };
+
+        const length = Number(decay[lengthField]);
+        if (!Number.isFinite(length) || length <= 0 || length > MAX_DECAY_DAYS) {
+            errors.push({ path: `${at}.${lengthField}`, msg: `${lengthField} must be a number of days between 0 and ${MAX_DECAY_DAYS}` });
+        } else {
+            result[lengthField] = length;
+        }
+
+        // Decay starts at activeFrom, or when the curve was first set
+        if (decay.start !== undefined && decay.start !== null) {
+            const start = new Date(decay.start);
+            if (Number.isNaN(start.getTime())) {
+                errors.push({ path: `${at}.start`, msg: 'Decay start must be a date' });
+            } else {
+                result.start = start.toISOString();
+            }
+        } else if (!activeFrom) {
+            result.start = new Date().toISOString();
+        }
+
+        if (decay.minPriority !== undefined) {
+            const minPriority = Number(decay.minPriority);
+            if (!Number.isInteger(minPriority) || minPriority < 1 || minPriority > 10) {
+                errors.push({ path: `${at}.minPriority`, msg: 'minPriority must be an integer between 1 and 10' });
+            } else {
+                result.minPriority = minPriority;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * minRelevance and dailyLimit. Like the schedule, only fields that are set are returned.
+     */
+    validateQuota(data, at, errors, isTopLevel) {
+        const quota = {};
+        const isSet = field => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+        if (!isTopLevel) {
+            for (const field of QUOTA_FIELDS.filter(isSet)) {
+                errors.push({ path: `${at}.${field}`, msg: `${field} can only be set on top-level interests` });
+            }
+            return quota;
+        }
+
+        if (isSet('minRelevance')) {
+            const minRelevance = Number(data.minRelevance);
+            if (typeof data.minRelevance === 'boolean' || !Number.isFinite(minRelevance) || minRelevance < 0 || minRelevance > 1) {
+                errors.push({ path: `${at}.minRelevance`, msg: 'minRelevance must be a number between 0 and 1' });
+            } else {
+                quota.minRelevance = minRelevance;
+            }
+        }
+
+        if (isSet('dailyLimit')) {
+            const dailyLimit = Number(data.dailyLimit);
+            if (!Number.isInteger(dailyLimit) || dailyLimit < 1 || dailyLimit > LIMITS.maxDailyLimit) {
+                errors.push({ path: `${at}.dailyLimit`, msg: `dailyLimit must be an integer between 1 and ${LIMITS.maxDailyLimit}` });
+            } else {
+                quota.dailyLimit = dailyLimit;
+            }
+        }
+
+        return quota;
+    }
+
+    /**
+     * Legacy format: a flat list of interest names
+     */
+    fromLegacyArray(names) {
+        const tree = {};
+        for (const name of names) {
+            if (typeof name === 'string' && name.trim()) {
+                tree[name.trim()] = {};
+            }
+        }
+        return tree;
+    }
+
+    /**
+     * Lenient normalization for trees already in storage (or passed around by the job queue).
+     * Never throws: bad nodes are skipped and missing fields get defaults.
+     */
+    normalize(interests) {
+        if (Array.isArray(interests)) {
+            interests = this.fromLegacyArray(interests);
+        }
+        if (!this.isPlainObject(interests)) {
+            return {};
+        }
+
+        return this.normalizeChildren(interests, 1);
+    }
+
+    normalizeChildren(children, depth) {
+        const result = {};
+        if (depth > LIMITS.maxDepth) return result;
+
+        for (const [name, data] of Object.entries(children)) {
+            if (!name) continue;
+            const node = this.isPlainObject(data) ? data : {};
+            const priority = Number(node.priority);
+
+            result[name] = {
+                priority: Number.isFinite(priority) && priority > 0 ? priority : DEFAULT_PRIORITY,
+                keywords: Array.isArray(node.keywords)
+                    ? node.keywords.filter(keyword => typeof keyword === 'string' && keyword.trim())
+                    : [],
+                subcategories: this.isPlainObject(node.subcategories)
+                    ? this.normalizeChildren(node.subcategories, depth + 1)
+                    : {},
+                ...this.getSchedule(node),
+                ...(depth === 1 && this.getQuota(node))
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Depth-first walk over every node. The visitor receives
+     * { name, node, path, depth, root } where path is the array of names from the root.
+     */
+    walk(interests, visitor) {
+        const visit = (children, parentPath) => {
+            for (const [name, node] of Object.entries(children)) {
+                const path = [...parentPath, name];
+                visitor({ name, node, path, depth: path.length - 1, root: path[0] });
+                visit(node.subcategories || {}, path);
+            }
+        };
+
+        visit(this.normalize(interests), []);
+    }
+
+    /**
+     * Every node as a flat list, parents before children
+     */
+    flatten(interests) {
+        const nodes = [];
+        this.walk(interests, entry => nodes.push(entry));
+        return nodes;
+    }
+
+    countNodes(interests) {
+        return this.flatten(interests).length;
+    }
+
+    /**
+     * All match terms (names and keywords) in a subtree
+     */
+    collectTerms(node, name = null) {
+        const terms = name ? [name] : [];
+        terms.push(...(node.keywords || []));
+
+        for (const [childName, child] of Object.entries(node.subcategories || {})) {
+            terms.push(...this.collectTerms(child, childName));
+        }
+
+        return terms;
+    }
+
+    /**
+     * Find a node by path (array of names or "A > B > C"). Name matching is case-insensitive.
+     */
+    getNode(interests, path) {
+        const names = this.parsePath(path);
+        let children = interests || {};
+        let node = null;
+
+        for (const name of names) {
+            const key = this.findKey(children, name);
+            if (!key) return null;
+            node = children[key];
+            children = node.subcategories || {};
+        }
+
+        return node;
+    }
+
+    findKey(children, name) {
+        const wanted = String(name).trim().toLowerCase();
+        return Object.keys(children || {}).find(key => key.toLowerCase() === wanted) || null;
+    }
+
+    parsePath(path) {
+        if (Array.isArray(path)) {
+            return path.map(name => String(name).trim()).filter(Boolean);
+        }
+        if (typeof path === 'string') {
+            return path.split('>').map(name => name.trim()).filter(Boolean);
+        }
+        return [];
+    }
+
+    formatPath(path) {
+        return path.join(' > ');
+    }
+
+    /**
+     * Deep-merge two trees: highest priority wins, keywords are unioned and
+     * subcategories are merged recursively
+     */
+    merge(base, incoming) {
+        const result = this.normalize(base);
+        const additions = this.normalize(incoming);
+
+        for (const [name, node] of Object.entries(additions)) {
+            const key = this.findKey(result, name);
+            if (!key) {
+                result[name] = node;
+                continue;
+            }
+
+            const existing = result[key];
+            const keywordSet = new Set(existing.keywords.map(keyword => keyword.toLowerCase()));
+            const existingSchedule = this.getSchedule(existing);
+            const existingQuota = this.getQuota(existing);
+            result[key] = {
+                priority: Math.max(existing.priority, node.priority),
+                keywords: [
+                    ...existing.keywords,
+                    ...node.keywords.filter(keyword => !keywordSet.has(keyword.toLowerCase()))
+                ],
+                subcategories: this.merge(existing.subcategories, node.subcategories),
+                // An existing schedule wins; otherwise the incoming one is adopted
+                ...(Object.keys(existingSchedule).length > 0 ? existingSchedule : this.getSchedule(node)),
+                ...(Object.keys(existingQuota).length > 0 ? existingQuota : this.getQuota(node))
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Combine an incoming tree with the current one: 'merge' (see merge) or 'replace'
+     */
+    combine(current, incoming, mode = 'merge') {
+        return mode === 'replace'
+            ? this.normalize(incoming)
+            : this.merge(current, incoming);
+    }
+
+    /**
+     * Node-by-node difference between two trees, matched by path (case-insensitive)
+     */
+    diff(before, after) {
+        const index = tree => new Map(this.flatten(tree).map(entry => [
+            entry.path.map(name => name.toLowerCase()).join('>'),
+            entry
+        ]));
+
+        const beforeNodes = index(before);
+        const afterNodes = index(after);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        for (const [key, entry] of afterNodes) {
+            const previous = beforeNodes.get(key);
+            if (!previous) {
+                added.push({
+                    path: this.formatPath(entry.path),
+                    priority: entry.node.priority,
+                    keywords: entry.node.keywords
+                });
+                continue;
+            }
+
+            const previousKeywords = new Set(previous.node.keywords.map(keyword => keyword.toLowerCase()));
+            const currentKeywords = new Set(entry.node.keywords.map(keyword => keyword.toLowerCase()));
+            const change = { path: this.formatPath(entry.path) };
+
+            if (previous.node.priority !== entry.node.priority) {
+                change.priority = { from: previous.node.priority, to: entry.node.priority };
+            }
+            if (previous.name !== entry.name) {
+                change.name = { from: previous.name, to: entry.name };
+            }
+
+            const previousSchedule = this.getSchedule(previous.node);
+            const currentSchedule = this.getSchedule(entry.node);
+            if (JSON.stringify(previousSchedule) !== JSON.stringify(currentSchedule)) {
+                change.schedule = { from: previousSchedule, to: currentSchedule };
+            }
+
+            const previousQuota = this.getQuota(previous.node);
+            const currentQuota = this.getQuota(entry.node);
+            if (JSON.stringify(previousQuota) !== JSON.stringify(currentQuota)) {
+                change.quota = { from: previousQuota, to: currentQuota };
+            }
+
+            const keywordsAdded = entry.node.keywords.filter(keyword => !previousKeywords.has(keyword.toLowerCase()));
+            const keywordsRemoved = previous.node.keywords.filter(keyword => !currentKeywords.has(keyword.toLowerCase()));
+            if (keywordsAdded.length > 0) change.keywordsAdded = keywordsAdded;
+            if (keywordsRemoved.length > 0) change.keywordsRemoved = keywordsRemoved;
+
+            if (Object.keys(change).length > 1) {
+                changed.push(change);
+            }
+        }
+
+        for (const [key, entry] of beforeNodes) {
+            if (!afterNodes.has(key)) {
+                removed.push({ path: this.formatPath(entry.path) });
+            }
+        }
+
+        return {
+            added,
+            removed,
+            changed,
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                changed: changed.length,
+                unchanged: afterNodes.size - added.length - changed.length
+            }
+        };
+    }
+
+    /**
+     * The schedule fields a node has, leniently read from storage
+     */
+    getSchedule(node) {
+        const schedule = {};
+
+        for (const field of ['activeFrom', 'activeUntil']) {
+            const value = node[field];
+            if (value && !Number.isNaN(new Date(value).getTime())) {
+                schedule[field] = new Date(value).toISOString();
+            }
+        }
+        if (this.isPlainObject(node.decay) && DECAY_CURVES[node.decay.curve]) {
+            schedule.decay = { ...node.decay };
+        }
+
+        return schedule;
+    }
+
+    /**
+     * The minRelevance/dailyLimit a node has, leniently read from storage
+     */
+    getQuota(node) {
+        const quota = {};
+
+        const minRelevance = Number(node.minRelevance);
+        if (node.minRelevance !== undefined && node.minRelevance !== null && minRelevance >= 0 && minRelevance <= 1) {
+            quota.minRelevance = minRelevance;
+        }
+        const dailyLimit = Number(node.dailyLimit);
+        if (Number.isInteger(dailyLimit) && dailyLimit > 0) {
+            quota.dailyLimit = dailyLimit;
+        }
+
+        return quota;
+    }
+
+    /**
+     * { name: { minRelevance?, dailyLimit? } } for every top-level interest that sets either
+     */
+    getQuotas(interests) {
+        const quotas = {};
+
+        for (const [name, node] of Object.entries(this.normalize(interests))) {
+            const quota = this.getQuota(node);
+            if (Object.keys(quota).length > 0) {
+                quotas[name] = quota;
+            }
+        }
+
+        return quotas;
+    }
+
+    isActive(node, now = new Date()) {
+        if (node.activeFrom && now < new Date(node.activeFrom)) return false;
+        if (node.activeUntil && now >= new Date(node.activeUntil)) return false;
+        return true;
+    }
+
+    /**
+     * Priority after decay, rounded to one decimal. 0 when the interest is outside its active window.
+     */
+    getEffectivePriority(node, now = new Date()) {
+        if (!this.isActive(node, now)) return 0;
+
+        const decay = node.decay;
+        const lengthDays = decay && Number(decay[DECAY_CURVES[decay.curve]]);
+        const start = decay && new Date(decay.start || node.activeFrom);
+        if (!lengthDays || !start || Number.isNaN(start.getTime())) {
+            return node.priority;
+        }
+
+        const floor = Math.min(decay.minPriority || 1, node.priority);
+        const elapsedDays = Math.max(0, (now - start) / DAY_MS);
+
+        const remaining = decay.curve === 'linear'
+            ? 1 - Math.min(1, elapsedDays / lengthDays)
+            : Math.pow(0.5, elapsedDays / lengthDays);
+
+        return Math.round((floor + (node.priority - floor) * remaining) * 10) / 10;
+    }
+
+    /**
+     * The tree as analysis should see it at `now`: interests outside their active window are
+     * dropped along with everything below them, and decayed priorities are applied. The result
+     * has no schedule fields, so passing it through again changes nothing.
+     */
+    effectiveTree(interests, now = new Date()) {
+        const resolve = children => {
+            const result = {};
+            for (const [name, node] of Object.entries(children)) {
+                if (!this.isActive(node, now)) continue;
+
+                result[name] = {
+                    priority: this.getEffectivePriority(node, now),
+                    keywords: [...node.keywords],
+                    subcategories: resolve(node.subcategories)
+                };
+            }
+            return result;
+        };
+
+        return resolve(this.normalize(interests));
+    }
+
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+module.exports = new InterestTree();
@@ -0,0 +1,236 @@
+/**
+ * Negative Interests
+ * Per-user "never show me" rules: blocked keywords, blocked AI categories and muted channels.
+ * Applied by BasicContentFilter before any AI spend, by the analysis prompt, when
+ * UserContent is created and by the feed routes.
+ */
+
+const LIMITS = {
+    maxKeywords: 200,
+    maxCategories: 100,
+    maxChannels: 500,
+    maxTermLength: 100
+};
+
+class NegativeInterests {
+    constructor() {
+        this.LIMITS = LIMITS;
+    }
+
+    empty() {
+        return { keywords: [], categories: [], channels: [] };
+    }
+
+    isEmpty(negativeInterests) {
+        const rules = this.normalize(negativeInterests);
+        return rules.keywords.length === 0 && rules.categories.length === 0 && rules.channels.length === 0;
+    }
+
+    /**
+     * Lenient normalization for stored values (also accepts mongoose subdocuments)
+     */
+    normalize(negativeInterests) {
+        if (!negativeInterests || typeof negativeInterests !== 'object') {
+            return this.empty();
+        }
+
+        const strings = list => (Array.isArray(list) ? list : [])
+            .filter(value => typeof value === 'string' && value.trim())
+            .map(value => value.trim());
+
+        return {
+            keywords: strings(negativeInterests.keywords),
+            categories: strings(negativeInterests.categories),
+            channels: (Array.isArray(negativeInterests.channels) ? negativeInterests.channels : [])
+                .filter(channel => channel && typeof channel.channelId === 'string' && channel.channelId)
+                .map(channel => ({
+                    channelId: channel.channelId,
+                    channelTitle: channel.channelTitle || '',
+                    mutedAt: channel.mutedAt || new Date()
+                }))
+        };
+    }
+
+    /**
+     * Validate a full set of rules from a request. Returns { valid, errors, negativeInterests }.
+     */
+    validate(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            return {
+                valid: false,
+                errors: [{ path: 'negativeInterests', msg: 'Negative interests must be an object' }],
+                negativeInterests: null
+            };
+        }
+
+        const result = this.empty();
+
+        const validateTerms = (field, max) => {
+            const value = input[field];
+            if (value === undefined) return [];
+            if (!Array.isArray(value) || value.some(term => typeof term !== 'string' || !term.trim())) {
+                errors.push({ path: field, msg: `${field} must be an array of non-empty strings` });
+                return [];
+            }
+            if (value.some(term => term.trim().length > LIMITS.maxTermLength)) {
+                errors.push({ path: field, msg: `Entries in ${field} can be at most ${LIMITS.maxTermLength} characters` });
+                return [];
+            }
+
+            const terms = this.dedupe(value.map(term => term.trim()));
+            if (terms.length > max) {
+                errors.push({ path: field, msg: `${field} can hold at most ${max} entries` });
+            }
+            return terms;
+        };
+
+        result.keywords = validateTerms('keywords', LIMITS.maxKeywords);
+        result.categories = validateTerms('categories', LIMITS.maxCategories);
+
+        if (input.channels !== undefined) {
+            if (!Array.isArray(input.channels)) {
+                errors.push({ path: 'channels', msg: 'channels must be an array' });
+            } else {
+                const seen = new Set();
+                for (const channel of input.channels) {
+                    const channelId = typeof channel === 'string' ? channel : channel?.channelId;
+                    if (typeof channelId !== 'string' || !channelId.trim()) {
+                        errors.push({ path: 'channels', msg: 'Every muted channel needs a channelId' });
+                        continue;
+                    }
+                    if (seen.has(channelId.trim())) continue;
+                    seen.add(channelId.trim());
+
+                    result.channels.push({
+                        channelId: channelId.trim(),
+                        channelTitle: typeof channel.channelTitle === 'string' ? channel.channelTitle.trim() : '',
+                        mutedAt: new Date()
+                    });
+                }
+                if (result.channels.length > LIMITS.maxChannels) {
+                    errors.push({ path: 'channels', msg: `channels can hold at most ${LIMITS.maxChannels} entries` });
+                }
+            }
+        }
+
+        return { valid: errors.length === 0, errors, negativeInterests: errors.length === 0 ? result : null };
+    }
+
+    dedupe(terms) {
+        const seen = new Set();
+        return terms.filter(term => {
+            const key = term.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * First rule a content item breaks, or null. Works with both pipeline items
+     * ({ title, description, channelId, categories }) and Content documents.
+     */
+    findMatch(content, negativeInterests) {
+        const rules = this.normalize(negativeInterests);
+        if (!content) return null;
+
+        const channelId = content.channelId || content.sourceChannel?.id;
+        const mutedChannel = channelId && rules.channels.find(channel => channel.channelId === channelId);
+        if (mutedChannel) {
+            return { type: 'channel', value: mutedChannel.channelTitle || mutedChannel.channelId };
+        }
+
+        const text = `${content.title || ''} ${content.description || ''}`.toLowerCase();
+        const keyword = rules.keywords.find(term => text.includes(term.toLowerCase()));
+        if (keyword) {
+            return { type: 'keyword', value: keyword };
+        }
+
+        const categories = (content.analysis?.categories || content.categories || [])
+            .filter(category => typeof category === 'string')
+            .map(category => category.toLowerCase());
+        const category = rules.categories.find(term => categories.includes(term.toLowerCase()));
+        if (category) {
+            return { type: 'category', value: category };
+        }
+
+        return null;
+    }
+
+    /**
+     * Rules shared by every user - used when one analysis run serves several users,
+     * so nobody loses content because of someone else's blocks
+     */
+    intersect(ruleSets) {
+        const sets = ruleSets.map(rules => this.normalize(rules));
+        if (sets.length === 0) return this.empty();
+
+        const [first, ...rest] = sets;
+        const sharedTerms = field => first[field].filter(term =>
+            rest.every(rules => rules[field].some(other => other.toLowerCase() === term.toLowerCase()))
+        );
+
+        return {
+            keywords: sharedTerms('keywords'),
+            categories: sharedTerms('categories'),
+            channels: first.channels.filter(channel =>
+                rest.every(rules => rules.channels.some(other => other.channelId === channel.channelId))
+            )
+        };
+    }
+
+    /**
+     * MongoDB filter on Content that excludes everything the rules block, or null when there are no rules.
+     * Used as a populate match by the feed routes.
+     */
+    buildContentQuery(negativeInterests) {
+        const rules = this.normalize(negativeInterests);
+        const conditions = [];
+
+        if (rules.channels.length > 0) {
+            conditions.push({ 'sourceChannel.id': { $nin: rules.channels.map(channel => channel.channelId) } });
+        }
+
+        if (rules.keywords.length > 0) {
+            const pattern = new RegExp(rules.keywords.map(term => this.escapeRegex(term)).join('|'), 'i');
+            conditions.push({ title: { $not: pattern } }, { description: { $not: pattern } });
+        }
+
+        if (rules.categories.length > 0) {
+            conditions.push({
+                'analysis.categories': {
+                    $nin: rules.categories.map(category => new RegExp(`^${this.escapeRegex(category)}$`, 'i'))
+                }
+            });
+        }
+
+        return conditions.length > 0 ? { $and: conditions } : null;
+    }
+
+    /**
+     * Prompt section telling the model what the user never wants to see
+     */
+    formatForPrompt(negativeInterests) {
+        const rules = this.normalize(negativeInterests);
+        const lines = [];
+
+        if (rules.keywords.length > 0) {
+            lines.push(`- Topics/keywords: ${rules.keywords.join(', ')}`);
+        }
+        if (rules.categories.length > 0) {
+            lines.push(`- Categories: ${rules.categories.join(', ')}`);
+        }
+        if (rules.channels.length > 0) {
+            lines.push(`- Channels: ${rules.channels.map(channel => channel.channelTitle || channel.channelId).join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    escapeRegex(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = new NegativeInterests();
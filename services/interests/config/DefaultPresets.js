@@ -0,0 +1,134 @@
+/**
+ * Built-in Interest Presets
+ * Seeded into the InterestPreset collection on startup. Existing presets are never
+ * overwritten, so admins can edit these through /api/admin/interest-presets.
+ */
+
+module.exports = [
+    {
+        slug: 'backend-engineer',
+        name: 'Backend engineer',
+        description: 'APIs, databases, distributed systems and running services in production.',
+        tags: ['engineering'],
+        interests: {
+            'Backend Development': {
+                priority: 9,
+                keywords: ['backend', 'api design', 'server-side'],
+                subcategories: {
+                    'APIs': { priority: 8, keywords: ['rest', 'graphql', 'grpc', 'openapi'] },
+                    'Languages': {
+                        priority: 7,
+                        keywords: [],
+                        subcategories: {
+                            'NodeJS': { priority: 7, keywords: ['nodejs', 'express', 'typescript'] },
+                            'Go': { priority: 6, keywords: ['golang', 'goroutines'] },
+                            'Rust': { priority: 5, keywords: ['rust lang', 'tokio'] }
+                        }
+                    }
+                }
+            },
+            'Databases': {
+                priority: 8,
+                keywords: ['database', 'sql', 'query optimization'],
+                subcategories: {
+                    'Relational': { priority: 8, keywords: ['postgresql', 'mysql', 'indexing', 'transactions'] },
+                    'NoSQL': { priority: 6, keywords: ['mongodb', 'redis', 'dynamodb'] }
+                }
+            },
+            'Distributed Systems': {
+                priority: 8,
+                keywords: ['distributed systems', 'scalability', 'system design'],
+                subcategories: {
+                    'Messaging': { priority: 6, keywords: ['kafka', 'rabbitmq', 'event-driven'] },
+                    'Consistency': { priority: 6, keywords: ['consensus', 'raft', 'cap theorem'] }
+                }
+            },
+            'DevOps': {
+                priority: 6,
+                keywords: ['devops', 'ci/cd', 'observability'],
+                subcategories: {
+                    'Containers': { priority: 6, keywords: ['docker', 'kubernetes'] },
+                    'Monitoring': { priority: 5, keywords: ['prometheus', 'opentelemetry', 'logging'] }
+                }
+            }
+        }
+    },
+    {
+        slug: 'ml-practitioner',
+        name: 'ML practitioner',
+        description: 'Model training, LLMs, MLOps and the research behind them.',
+        tags: ['engineering', 'ai'],
+        interests: {
+            'Machine Learning': {
+                priority: 9,
+                keywords: ['machine learning', 'model training', 'evaluation'],
+                subcategories: {
+                    'Deep Learning': {
+                        priority: 8,
+                        keywords: ['neural networks', 'pytorch', 'transformers'],
+                        subcategories: {
+                            'LLMs': {
+                                priority: 9,
+                                keywords: ['large language models', 'fine-tuning', 'rag'],
+                                subcategories: {
+                                    'Agents': { priority: 8, keywords: ['tool use', 'function calling', 'ai agents'] }
+                                }
+                            },
+                            'Computer Vision': { priority: 6, keywords: ['image classification', 'diffusion models'] }
+                        }
+                    },
+                    'Classical ML': { priority: 5, keywords: ['scikit-learn', 'gradient boosting', 'feature engineering'] }
+                }
+            },
+            'MLOps': {
+                priority: 7,
+                keywords: ['mlops', 'model deployment', 'model serving'],
+                subcategories: {
+                    'Experiment Tracking': { priority: 5, keywords: ['mlflow', 'weights and biases'] },
+                    'Inference': { priority: 6, keywords: ['quantization', 'gpu', 'vllm'] }
+                }
+            },
+            'Research': {
+                priority: 6,
+                keywords: ['paper explained', 'arxiv', 'research paper']
+            },
+            'Data Engineering': {
+                priority: 5,
+                keywords: ['data pipelines', 'spark', 'data warehouse']
+            }
+        }
+    },
+    {
+        slug: 'product-manager',
+        name: 'Product manager',
+        description: 'Product strategy, discovery, analytics and working with engineering teams.',
+        tags: ['product'],
+        interests: {
+            'Product Management': {
+                priority: 9,
+                keywords: ['product management', 'roadmap', 'prioritization'],
+                subcategories: {
+                    'Discovery': { priority: 8, keywords: ['user research', 'customer interviews', 'jobs to be done'] },
+                    'Strategy': { priority: 7, keywords: ['product strategy', 'product-market fit', 'positioning'] },
+                    'Delivery': { priority: 6, keywords: ['agile', 'scrum', 'okrs'] }
+                }
+            },
+            'Analytics': {
+                priority: 7,
+                keywords: ['product analytics', 'metrics', 'a/b testing'],
+                subcategories: {
+                    'Experimentation': { priority: 7, keywords: ['experiment design', 'statistical significance'] },
+                    'Growth': { priority: 6, keywords: ['retention', 'activation', 'funnel'] }
+                }
+            },
+            'Design': {
+                priority: 6,
+                keywords: ['ux', 'user experience', 'prototyping']
+            },
+            'Leadership': {
+                priority: 5,
+                keywords: ['stakeholder management', 'communication', 'decision making']
+            }
+        }
+    }
+];
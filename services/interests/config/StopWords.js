@@ -0,0 +1,21 @@
+/**
+ * Stop Words
+ * Common English words and video-title filler that are never worth learning as interest keywords
+ */
+
+module.exports = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'best', 'better', 'between', 'big', 'both', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'ever', 'every',
+    'few', 'first', 'for', 'from', 'full', 'further', 'get', 'gets', 'getting', 'go', 'going', 'good', 'got', 'great',
+    'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+    'just', 'know', 'last', 'let', 'like', 'look', 'made', 'make', 'makes', 'making', 'many', 'may', 'me', 'more', 'most', 'much', 'must', 'my',
+    'need', 'new', 'next', 'no', 'nor', 'not', 'now', 'of', 'off', 'old', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own',
+    'part', 'really', 'right', 'same', 'say', 'see', 'she', 'should', 'so', 'some', 'still', 'such',
+    'take', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through', 'time', 'to', 'today', 'too', 'top', 'two',
+    'under', 'until', 'up', 'us', 'use', 'used', 'using', 'very', 'vs', 'want', 'was', 'way', 'we', 'week', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'without', 'work', 'would',
+    'year', 'years', 'yet', 'you', 'your', 'yours',
+    // Video title filler
+    'video', 'videos', 'episode', 'ep', 'official', 'live', 'stream', 'podcast', 'watch', 'channel', 'subscribe',
+    'guide', 'tutorial', 'explained', 'introduction', 'intro', 'review', 'update', 'news', 'shorts', 'minutes', 'hour', 'hours'
+]);
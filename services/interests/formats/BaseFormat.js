@@ -0,0 +1,62 @@
+/**
+ * Base Interest Format
+ * Abstract base class for interest import/export file formats
+ */
+
+const FORMAT_ID = 'relevant-interests';
+const FORMAT_VERSION = 1;
+
+class BaseFormat {
+    constructor(name, { contentType, extension }) {
+        this.name = name;
+        this.contentType = contentType;
+        this.extension = extension;
+    }
+
+    /**
+     * Serialize an interest tree - must be implemented by subclasses
+     * @param {Object} interests - Normalized interest tree
+     * @param {Object} meta - { exportedAt, name }
+     * @returns {string}
+     */
+    serialize(interests, meta = {}) {
+        throw new Error(`Serialize method must be implemented by ${this.constructor.name}`);
+    }
+
+    /**
+     * Parse a file into an (unvalidated) interest tree - must be implemented by subclasses.
+     * Throws on syntax errors.
+     * @param {string} content
+     * @returns {Object}
+     */
+    parse(content) {
+        throw new Error(`Parse method must be implemented by ${this.constructor.name}`);
+    }
+
+    /**
+     * Wrapper written by the JSON and YAML formats so files identify themselves
+     */
+    createEnvelope(interests, meta = {}) {
+        return {
+            format: FORMAT_ID,
+            version: FORMAT_VERSION,
+            exportedAt: (meta.exportedAt || new Date()).toISOString(),
+            interests
+        };
+    }
+
+    /**
+     * Accept either an envelope or a bare interest tree
+     */
+    unwrapEnvelope(document) {
+        if (document && typeof document === 'object' && document.format === FORMAT_ID) {
+            if (document.version > FORMAT_VERSION) {
+                throw new Error(`Unsupported ${FORMAT_ID} version ${document.version}`);
+            }
+            return document.interests;
+        }
+        return document;
+    }
+}
+
+module.exports = BaseFormat;
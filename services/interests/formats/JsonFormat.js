@@ -0,0 +1,21 @@
+/**
+ * JSON Interest Format
+ */
+
+const BaseFormat = require('./BaseFormat');
+
+class JsonFormat extends BaseFormat {
+    constructor() {
+        super('json', { contentType: 'application/json', extension: 'json' });
+    }
+
+    serialize(interests, meta = {}) {
+        return JSON.stringify(this.createEnvelope(interests, meta), null, 2) + '\n';
+    }
+
+    parse(content) {
+        return this.unwrapEnvelope(JSON.parse(content));
+    }
+}
+
+module.exports = JsonFormat;
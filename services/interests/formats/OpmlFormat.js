@@ -0,0 +1,149 @@
+/**
+ * OPML Interest Format
+ * Every interest is an <outline> nested like the tree; keywords are child outlines with
+ * type="keyword" so they survive a round trip through outliner apps. Schedules are kept as
+ * activeFrom/activeUntil and decay* attributes, quotas as minRelevance/dailyLimit.
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const BaseFormat = require('./BaseFormat');
+const InterestTree = require('../InterestTree');
+
+class OpmlFormat extends BaseFormat {
+    constructor() {
+        super('opml', { contentType: 'text/x-opml', extension: 'opml' });
+
+        this.parser = new XMLParser({
+            ignoreAttributes: false,
+            attributeNamePrefix: '',
+            parseAttributeValue: false,
+            isArray: name => name === 'outline'
+        });
+    }
+
+    serialize(interests, meta = {}) {
+        const exportedAt = (meta.exportedAt || new Date()).toUTCString();
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<opml version="2.0">',
+            '  <head>',
+            `    <title>${this.escape(meta.name || 'Relevant interests')}</title>`,
+            `    <dateCreated>${exportedAt}</dateCreated>`,
+            '  </head>',
+            '  <body>'
+        ];
+
+        this.serializeChildren(interests, 2, lines);
+
+        lines.push('  </body>', '</opml>');
+        return lines.join('\n') + '\n';
+    }
+
+    serializeChildren(children, depth, lines) {
+        const indent = '  '.repeat(depth);
+
+        for (const [name, node] of Object.entries(children)) {
+            const attributes = [
+                `text="${this.escape(name)}"`,
+                `priority="${node.priority}"`,
+                ...Object.entries({ ...this.getScheduleAttributes(node), ...InterestTree.getQuota(node) }).map(([key, value]) => `${key}="${this.escape(value)}"`)
+            ].join(' ');
+            const hasChildren = node.keywords.length > 0 || Object.keys(node.subcategories).length > 0;
+
+            if (!hasChildren) {
+                lines.push(`${indent}<outline ${attributes}/>`);
+                continue;
+            }
+
+            lines.push(`${indent}<outline ${attributes}>`);
+            for (const keyword of node.keywords) {
+                lines.push(`${indent}  <outline text="${this.escape(keyword)}" type="keyword"/>`);
+            }
+            this.serializeChildren(node.subcategories, depth + 1, lines);
+            lines.push(`${indent}</outline>`);
+        }
+    }
+
+    parse(content) {
+        const document = this.parser.parse(content);
+        if (!document.opml || typeof document.opml !== 'object') {
+            throw new Error('Not an OPML document');
+        }
+
+        return this.parseOutlines(document.opml.body?.outline || []).subcategories;
+    }
+
+    /**
+     * Turn a list of sibling outlines into { keywords, subcategories }
+     */
+    parseOutlines(outlines) {
+        const result = { keywords: [], subcategories: {} };
+
+        for (const outline of outlines) {
+            const name = outline.text ?? outline.title;
+            if (typeof name !== 'string') continue;
+
+            if (outline.type === 'keyword') {
+                result.keywords.push(name);
+                continue;
+            }
+
+            const children = this.parseOutlines(outline.outline || []);
+            result.subcategories[name] = {
+                ...(outline.priority !== undefined && { priority: Number(outline.priority) }),
+                keywords: children.keywords,
+                ...this.parseScheduleAttributes(outline),
+                ...(outline.minRelevance !== undefined && { minRelevance: Number(outline.minRelevance) }),
+                ...(outline.dailyLimit !== undefined && { dailyLimit: Number(outline.dailyLimit) }),
+                subcategories: children.subcategories
+            };
+        }
+
+        return result;
+    }
+
+    getScheduleAttributes(node) {
+        const attributes = {};
+        if (node.activeFrom) attributes.activeFrom = node.activeFrom;
+        if (node.activeUntil) attributes.activeUntil = node.activeUntil;
+
+        if (node.decay) {
+            for (const [field, value] of Object.entries(node.decay)) {
+                // curve -> decayCurve, halfLifeDays -> decayHalfLifeDays, ...
+                attributes[`decay${field.charAt(0).toUpperCase()}${field.slice(1)}`] = value;
+            }
+        }
+
+        return attributes;
+    }
+
+    parseScheduleAttributes(outline) {
+        const schedule = {};
+        if (outline.activeFrom) schedule.activeFrom = outline.activeFrom;
+        if (outline.activeUntil) schedule.activeUntil = outline.activeUntil;
+
+        const decay = {};
+        for (const [attribute, value] of Object.entries(outline)) {
+            const match = attribute.match(/^decay([A-Z]\w*)$/);
+            if (!match) continue;
+
+            const field = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+            decay[field] = ['durationDays', 'halfLifeDays', 'minPriority'].includes(field) ? Number(value) : value;
+        }
+        if (Object.keys(decay).length > 0) {
+            schedule.decay = decay;
+        }
+
+        return schedule;
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = OpmlFormat;
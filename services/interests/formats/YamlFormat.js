@@ -0,0 +1,24 @@
+/**
+ * YAML Interest Format
+ * Same structure as the JSON format - the easiest one to hand-edit and review in git
+ */
+
+const yaml = require('js-yaml');
+const BaseFormat = require('./BaseFormat');
+
+class YamlFormat extends BaseFormat {
+    constructor() {
+        super('yaml', { contentType: 'application/yaml', extension: 'yaml' });
+    }
+
+    serialize(interests, meta = {}) {
+        return yaml.dump(this.createEnvelope(interests, meta), { noRefs: true, lineWidth: 120 });
+    }
+
+    parse(content) {
+        // JSON_SCHEMA keeps values to plain JSON types (no dates, no custom tags)
+        return this.unwrapEnvelope(yaml.load(content, { schema: yaml.JSON_SCHEMA }));
+    }
+}
+
+module.exports = YamlFormat;
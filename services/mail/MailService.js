@@ -0,0 +1,88 @@
+/**
+ * Mail Service
+ * Sends transactional mail through a pluggable transport (console, file or SMTP)
+ */
+
+const ConsoleTransport = require('./transports/ConsoleTransport');
+const FileTransport = require('./transports/FileTransport');
+const SmtpTransport = require('./transports/SmtpTransport');
+const MailTemplates = require('./MailTemplates');
+
+const TRANSPORTS = {
+    console: ConsoleTransport,
+    file: FileTransport,
+    smtp: SmtpTransport
+};
+
+class MailService {
+    constructor() {
+        this.from = process.env.MAIL_FROM || 'Relevant <no-reply@relevant.local>';
+        this.appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+        this.transport = this.createTransport(this.getTransportType());
+    }
+
+    /**
+     * The console transport prints whole messages, verification and reset links included, so it is
+     * only a default outside production. Production refuses to start without MAIL_TRANSPORT.
+     */
+    getTransportType() {
+        if (process.env.MAIL_TRANSPORT) {
+            return process.env.MAIL_TRANSPORT;
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('MAIL_TRANSPORT must be set in production (expected one of: file, smtp)');
+        }
+
+        return 'console';
+    }
+
+    createTransport(type) {
+        const Transport = TRANSPORTS[type];
+        if (!Transport) {
+            throw new Error(`Unknown mail transport "${type}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+        }
+
+        return new Transport({
+            outputDir: process.env.MAIL_OUTPUT_DIR,
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        });
+    }
+
+    /**
+     * Swap the transport at runtime (e.g. for scripts)
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    async send(to, { subject, text, html }) {
+        return this.transport.send({
+            from: this.from,
+            to,
+            subject,
+            text,
+            html
+        });
+    }
+
+    async sendVerificationEmail(user, token) {
+        const link = `${this.appUrl}/verify-email?token=${token}`;
+        return this.send(user.email, MailTemplates.emailVerification(user, link));
+    }
+
+    async sendPasswordResetEmail(user, token, ttlMinutes) {
+        const link = `${this.appUrl}/reset-password?token=${token}`;
+        return this.send(user.email, MailTemplates.passwordReset(user, link, ttlMinutes));
+    }
+
+    async sendPasswordChangedEmail(user) {
+        return this.send(user.email, MailTemplates.passwordChanged(user));
+    }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,37 @@
+/**
+ * Mail Templates
+ * Centralized subject/body templates for transactional mail
+ */
+
+module.exports = {
+    emailVerification: (user, link) => ({
+        subject: 'Confirm your email for Relevant',
+        text: `Hi ${user.name || 'there'},
+
+Please confirm your email address by opening the link below:
+
+${link}
+
+If you didn't create a Relevant account, you can ignore this message.`
+    }),
+
+    passwordReset: (user, link, ttlMinutes) => ({
+        subject: 'Reset your Relevant password',
+        text: `Hi ${user.name || 'there'},
+
+Someone asked to reset the password for your Relevant account. Open the link below to choose a new one:
+
+${link}
+
+The link expires in ${ttlMinutes} minutes and can only be used once. If you didn't ask for this, you can ignore this message.`
+    }),
+
+    passwordChanged: (user) => ({
+        subject: 'Your Relevant password was changed',
+        text: `Hi ${user.name || 'there'},
+
+The password for your Relevant account was just changed and all signed-in devices were logged out.
+
+If this wasn't you, reset your password immediately.`
+    })
+};
@@ -0,0 +1,29 @@
+/**
+ * Base Mail Transport
+ * Abstract base class for all mail transports
+ */
+
+class BaseTransport {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    /**
+     * Deliver a message - must be implemented by subclasses
+     * @param {Object} message - { from, to, subject, text, html }
+     * @returns {Promise<Object>} - Delivery info ({ messageId, ... })
+     */
+    async send(message) {
+        throw new Error(`Send method must be implemented by ${this.constructor.name}`);
+    }
+
+    /**
+     * Build a reasonably unique message ID for transports that don't provide one
+     */
+    createMessageId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}@relevant.local`;
+    }
+}
+
+module.exports = BaseTransport;
@@ -0,0 +1,29 @@
+/**
+ * Console Mail Transport
+ * Prints outgoing mail to stdout - for local development
+ */
+
+const BaseTransport = require('./BaseTransport');
+
+class ConsoleTransport extends BaseTransport {
+    constructor(config = {}) {
+        super('console', config);
+    }
+
+    async send(message) {
+        const messageId = this.createMessageId();
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`📧 MAIL (${messageId})`);
+        console.log(`From: ${message.from}`);
+        console.log(`To: ${message.to}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log('-'.repeat(60));
+        console.log(message.text);
+        console.log('='.repeat(60) + '\n');
+
+        return { messageId };
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,34 @@
+/**
+ * File Mail Transport
+ * Writes each outgoing message as a JSON file - for local development and inspection
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const BaseTransport = require('./BaseTransport');
+
+class FileTransport extends BaseTransport {
+    constructor(config = {}) {
+        super('file', config);
+        this.outputDir = config.outputDir || path.join(process.cwd(), 'tmp', 'mail');
+    }
+
+    async send(message) {
+        const messageId = this.createMessageId();
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+        const filePath = path.join(this.outputDir, fileName);
+
+        await fs.mkdir(this.outputDir, { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify({
+            messageId,
+            sentAt: new Date().toISOString(),
+            ...message
+        }, null, 2));
+
+        console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+
+        return { messageId, filePath };
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,30 @@
+/**
+ * SMTP Mail Transport
+ * Delivers mail through an SMTP server using nodemailer - for production
+ */
+
+const nodemailer = require('nodemailer');
+const BaseTransport = require('./BaseTransport');
+
+class SmtpTransport extends BaseTransport {
+    constructor(config = {}) {
+        super('smtp', config);
+
+        this.transporter = nodemailer.createTransport({
+            host: config.host,
+            port: config.port,
+            secure: config.secure,
+            auth: config.user ? {
+                user: config.user,
+                pass: config.pass
+            } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId, accepted: info.accepted };
+    }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,164 @@
+/**
+ * Cursor Pagination
+ * Keyset pagination for the list endpoints. A cursor is an opaque token holding the sort values
+ * of the last item served, and the next page starts strictly after it, so items never shift or
+ * repeat while new content arrives. Every sort ends with _id so each position is unique.
+ * Requests that pass `page` keep the old skip/limit behaviour.
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+class CursorPagination {
+    constructor() {
+        this.MAX_LIMIT = MAX_LIMIT;
+    }
+
+    /**
+     * Read limit/page/cursor from the query string.
+     * Returns { mode: 'cursor' | 'page', limit, page, skip, after, withTotal } or { error } when
+     * the cursor is malformed or was issued for a different sort. withTotal says whether to count
+     * the whole list: on the first page, in page mode (for totalPages) or with ?withTotal=true.
+     */
+    parse(query, sortKey, { defaultLimit = DEFAULT_LIMIT } = {}) {
+        const requested = parseInt(query.limit, 10);
+        const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_LIMIT) : defaultLimit;
+
+        if (query.page !== undefined && query.cursor === undefined) {
+            const page = Math.max(parseInt(query.page, 10) || 1, 1);
+            return { mode: 'page', limit, page, skip: (page - 1) * limit, after: null, withTotal: true };
+        }
+
+        if (!query.cursor) {
+            return { mode: 'cursor', limit, page: null, skip: 0, after: null, withTotal: true };
+        }
+
+        const after = this.decode(query.cursor, sortKey);
+        if (!after) {
+            return { error: 'Invalid cursor' };
+        }
+
+        return { mode: 'cursor', limit, page: null, skip: 0, after, withTotal: query.withTotal === 'true' };
+    }
+
+    /**
+     * Add the "after the cursor" condition to a filter
+     */
+    applyCursor(filter, params, sort) {
+        if (!params.after) return filter;
+
+        return {
+            ...filter,
+            $and: [...(filter.$and || []), this.buildSeekQuery(sort, params.after)]
+        };
+    }
+
+    /**
+     * For sort [[a, -1], [b, -1], [_id, -1]] and values [x, y, z]:
+     * a < x, or a = x and b < y, or a = x and b = y and _id < z
+     */
+    buildSeekQuery(sort, values) {
+        return {
+            $or: sort.map(([field, direction], index) => {
+                const condition = {};
+                for (let i = 0; i < index; i++) {
+                    condition[sort[i][0]] = values[i];
+                }
+                condition[field] = { [direction < 0 ? '$lt' : '$gt']: values[index] };
+                return condition;
+            })
+        };
+    }
+
+    toMongoSort(sort) {
+        return Object.fromEntries(sort);
+    }
+
+    /**
+     * Fetch one extra row to learn whether there is a next page. `rows` is what the query
+     * returned for limit + 1; returns the page and the pagination block for the response.
+     */
+    buildPage(rows, params, sort, sortKey, total = null) {
+        const hasMore = rows.length > params.limit;
+        const items = hasMore ? rows.slice(0, params.limit) : rows;
+        const last = items[items.length - 1];
+
+        const pagination = this.createPagination(params, {
+            total,
+            hasMore,
+            nextCursor: hasMore && last ? this.encode(last, sort, sortKey) : null
+        });
+
+        return { items, pagination };
+    }
+
+    /**
+     * The pagination block for responses, for lists that work out their own next cursor
+     */
+    createPagination(params, { total = null, hasMore, nextCursor }) {
+        const pagination = {
+            mode: params.mode,
+            limit: params.limit,
+            totalItems: total,
+            hasMore,
+            nextCursor
+        };
+
+        if (params.mode === 'page') {
+            pagination.currentPage = params.page;
+            pagination.totalPages = total === null ? null : Math.ceil(total / params.limit);
+        }
+
+        return pagination;
+    }
+
+    encode(doc, sort, sortKey) {
+        return this.encodeValues(sortKey, sort.map(([field]) => this.getValue(doc, field)));
+    }
+
+    /**
+     * Cursor from arbitrary values - decode() returns them in the same order
+     */
+    encodeValues(sortKey, values) {
+        const encoded = values.map(value => this.encodeValue(value));
+        return Buffer.from(JSON.stringify({ s: sortKey, v: encoded })).toString('base64url');
+    }
+
+    decode(cursor, sortKey) {
+        try {
+            const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            if (!payload || payload.s !== sortKey || !Array.isArray(payload.v)) return null;
+            return payload.v.map(value => this.decodeValue(value));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Dates and ObjectIds are tagged so they compare correctly in aggregations, which mongoose doesn't cast
+    encodeValue(value) {
+        if (value instanceof Date) return { d: value.toISOString() };
+        if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+        return value ?? null;
+    }
+
+    decodeValue(value) {
+        if (value && typeof value === 'object') {
+            if (typeof value.d === 'string') {
+                const date = new Date(value.d);
+                if (Number.isNaN(date.getTime())) throw new Error('Invalid date in cursor');
+                return date;
+            }
+            if (typeof value.o === 'string') return new mongoose.Types.ObjectId(value.o);
+            throw new Error('Invalid value in cursor');
+        }
+        return value;
+    }
+
+    getValue(doc, field) {
+        return field.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+    }
+}
+
+module.exports = new CursorPagination();
@@ -0,0 +1,185 @@
+/**
+ * Feed Ranker
+ * Orders feed items by a weighted blend of score components (relevance, recency, ...), then
+ * re-ranks the top of the list with maximal marginal relevance (MMR) so one prolific channel
+ * or category can't fill a whole page. Components and rerankers are registered by name, so a
+ * new signal plugs in without touching the feed route. Weights come from
+ * `User.preferences.ranking`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WEIGHTS = {
+    relevance: 1,
+    recency: 0.5,
+    diversity: 0.3,
+    recencyHalfLifeDays: 7
+};
+
+const RANKING = {
+    // Newest feed items considered for ranking; older ones stay reachable with ?sort=relevance
+    maxCandidates: 500,
+    // Only the top of the list is diversity re-ranked - MMR is quadratic in this
+    diversityWindow: 100,
+    // Similarity between two items: same channel, and overlap of their categories
+    channelSimilarity: 0.6,
+    categorySimilarity: 0.4
+};
+
+class FeedRanker {
+    constructor() {
+        this.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+        this.RANKING = RANKING;
+        this.components = new Map();
+        this.rerankers = new Map();
+
+        this.registerComponent('relevance', item => item.relevance);
+        this.registerComponent('recency', (item, { now, weights }) => {
+            const ageDays = Math.max(0, (now - item.publishedAt) / DAY_MS);
+            return Math.pow(0.5, ageDays / weights.recencyHalfLifeDays);
+        });
+
+        this.registerReranker('diversity', (ranked, { weights }) => this.rerankForDiversity(ranked, weights.diversity));
+    }
+
+    /**
+     * A component scores one item between 0 and 1 and is weighted by the weight of the same name
+     */
+    registerComponent(name, scorer) {
+        this.components.set(name, scorer);
+    }
+
+    /**
+     * A reranker receives the list sorted by blended score and returns it reordered.
+     * It runs when the weight of the same name is above 0.
+     */
+    registerReranker(name, reranker) {
+        this.rerankers.set(name, reranker);
+    }
+
+    /**
+     * Effective weights: user preferences over the defaults
+     */
+    getWeights(preferences = {}) {
+        const stored = preferences?.ranking || {};
+        const pick = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+        return {
+            relevance: pick(stored.relevanceWeight, DEFAULT_WEIGHTS.relevance),
+            recency: pick(stored.recencyWeight, DEFAULT_WEIGHTS.recency),
+            diversity: pick(stored.diversityWeight, DEFAULT_WEIGHTS.diversity),
+            recencyHalfLifeDays: pick(stored.recencyHalfLifeDays, DEFAULT_WEIGHTS.recencyHalfLifeDays)
+        };
+    }
+
+    /**
+     * The fields ranking looks at, from a UserContent with contentId populated
+     */
+    describe(userContent) {
+        const content = userContent.contentId || {};
+
+        return {
+            id: userContent._id.toString(),
+            relevance: userContent.relevanceScore || 0,
+            // When the video came out; falls back to when it reached the feed
+            publishedAt: new Date(content.publishedAt || userContent.createdAt),
+            channel: content.sourceChannel?.id || null,
+            categories: (content.analysis?.categories || []).map(category => String(category).toLowerCase())
+        };
+    }
+
+    /**
+     * Rank UserContent entries. Returns [{ userContent, score }] in feed order, where score is
+     * { value, components, blended, diversityPenalty }.
+     */
+    rank(userContentList, { weights = this.getWeights(), now = new Date() } = {}) {
+        const context = { weights, now };
+        const componentWeights = [...this.components.keys()].map(name => [name, weights[name] || 0]);
+        const totalWeight = componentWeights.reduce((sum, [, weight]) => sum + weight, 0);
+
+        let ranked = userContentList.map(userContent => {
+            const item = this.describe(userContent);
+            const components = {};
+            let blended = 0;
+
+            for (const [name, weight] of componentWeights) {
+                components[name] = this.round(this.components.get(name)(item, context));
+                blended += weight * components[name];
+            }
+            blended = totalWeight > 0 ? blended / totalWeight : 0;
+
+            return {
+                userContent,
+                item,
+                score: { value: this.round(blended), components, blended: this.round(blended), diversityPenalty: 0 }
+            };
+        });
+
+        // Ties keep the newest first so the order is deterministic
+        ranked.sort((a, b) => b.score.blended - a.score.blended || b.item.publishedAt - a.item.publishedAt || (b.item.id > a.item.id ? 1 : -1));
+
+        for (const [name, reranker] of this.rerankers) {
+            if ((weights[name] || 0) > 0) {
+                ranked = reranker(ranked, context);
+            }
+        }
+
+        return ranked.map(({ userContent, score }) => ({ userContent, score }));
+    }
+
+    /**
+     * Greedy MMR over the top of the list: each pick maximises
+     * (1 - diversity) * blended - diversity * (similarity to the closest item already picked)
+     */
+    rerankForDiversity(ranked, diversity) {
+        const pool = ranked.slice(0, RANKING.diversityWindow);
+        const rest = ranked.slice(RANKING.diversityWindow);
+        const selected = [];
+
+        while (pool.length > 0) {
+            let bestIndex = 0;
+            let bestValue = -Infinity;
+            let bestPenalty = 0;
+
+            pool.forEach((candidate, index) => {
+                const penalty = selected.reduce((max, picked) => Math.max(max, this.similarity(candidate.item, picked.item)), 0);
+                const value = (1 - diversity) * candidate.score.blended - diversity * penalty;
+                if (value > bestValue) {
+                    bestIndex = index;
+                    bestValue = value;
+                    bestPenalty = penalty;
+                }
+            });
+
+            const [picked] = pool.splice(bestIndex, 1);
+            picked.score.diversityPenalty = this.round(bestPenalty);
+            picked.score.value = this.round(bestValue);
+            selected.push(picked);
+        }
+
+        // Below the window items keep their blended order, scaled like the re-ranked ones
+        for (const entry of rest) {
+            entry.score.value = this.round((1 - diversity) * entry.score.blended);
+        }
+
+        return [...selected, ...rest];
+    }
+
+    similarity(a, b) {
+        const sameChannel = a.channel && a.channel === b.channel ? 1 : 0;
+
+        let categoryOverlap = 0;
+        if (a.categories.length > 0 && b.categories.length > 0) {
+            const shared = a.categories.filter(category => b.categories.includes(category)).length;
+            categoryOverlap = shared / new Set([...a.categories, ...b.categories]).size;
+        }
+
+        return RANKING.channelSimilarity * sameChannel + RANKING.categorySimilarity * categoryOverlap;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = new FeedRanker();
@@ -0,0 +1,136 @@
+/**
+ * Rate Limiter
+ * Fixed-window request limits per route/IP/user and progressive login lockout
+ */
+
+const MemoryStore = require('./stores/MemoryStore');
+const MongoStore = require('./stores/MongoStore');
+const RateLimitConfig = require('./config/RateLimitConfig');
+
+const STORES = {
+    memory: MemoryStore,
+    mongo: MongoStore
+};
+
+class RateLimiter {
+    constructor() {
+        this.config = RateLimitConfig;
+        this.store = this.createStore(this.config.store);
+    }
+
+    createStore(type) {
+        const Store = STORES[type];
+        if (!Store) {
+            throw new Error(`Unknown rate limit store "${type}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+        }
+
+        return new Store();
+    }
+
+    /**
+     * Swap the backing store at runtime (e.g. for scripts)
+     */
+    setStore(store) {
+        this.store = store;
+    }
+
+    getLimit(name) {
+        const limit = this.config.routes[name];
+        if (!limit) {
+            throw new Error(`Unknown rate limit "${name}"`);
+        }
+        return limit;
+    }
+
+    buildKey(name, keyBy, req) {
+        const parts = ['rl'];
+
+        for (const dimension of keyBy) {
+            switch (dimension) {
+                case 'route':
+                    parts.push(name);
+                    break;
+                case 'ip':
+                    parts.push(`ip:${req.ip || 'unknown'}`);
+                    break;
+                case 'user':
+                    // Fall back to IP for unauthenticated requests
+                    parts.push(req.user?.id ? `user:${req.user.id}` : `ip:${req.ip || 'unknown'}`);
+                    break;
+            }
+        }
+
+        return parts.join(':');
+    }
+
+    /**
+     * Count a request against a named limit
+     */
+    async consume(name, req) {
+        const limit = this.getLimit(name);
+        const key = this.buildKey(name, limit.keyBy, req);
+        const counter = await this.store.increment(key, limit.windowMs);
+
+        const allowed = counter.count <= limit.max;
+
+        return {
+            allowed,
+            limit: limit.max,
+            remaining: Math.max(0, limit.max - counter.count),
+            resetAt: counter.resetAt,
+            retryAfterSeconds: allowed ? 0 : this.secondsUntil(counter.resetAt)
+        };
+    }
+
+    /**
+     * Whether an account is currently locked out after failed logins
+     */
+    async checkLoginLockout(identifier) {
+        const failures = await this.store.get(this.loginFailureKey(identifier));
+        if (!failures) {
+            return { locked: false, retryAfterSeconds: 0 };
+        }
+
+        const lockedUntil = new Date(new Date(failures.updatedAt).getTime() + this.lockoutDuration(failures.count));
+        if (lockedUntil <= new Date()) {
+            return { locked: false, retryAfterSeconds: 0 };
+        }
+
+        return { locked: true, retryAfterSeconds: this.secondsUntil(lockedUntil) };
+    }
+
+    async recordLoginFailure(identifier) {
+        const { loginLockout } = this.config;
+        const failures = await this.store.increment(this.loginFailureKey(identifier), loginLockout.failureWindowMs);
+        const lockoutMs = this.lockoutDuration(failures.count);
+
+        return {
+            failures: failures.count,
+            lockedForSeconds: Math.ceil(lockoutMs / 1000)
+        };
+    }
+
+    async clearLoginFailures(identifier) {
+        await this.store.reset(this.loginFailureKey(identifier));
+    }
+
+    /**
+     * Lockout doubles for every failure past the threshold, up to the configured maximum
+     */
+    lockoutDuration(failureCount) {
+        const { threshold, baseLockoutMs, maxLockoutMs } = this.config.loginLockout;
+        if (failureCount < threshold) return 0;
+
+        return Math.min(maxLockoutMs, baseLockoutMs * Math.pow(2, failureCount - threshold));
+    }
+
+    loginFailureKey(identifier) {
+        return `lockout:login:${String(identifier).toLowerCase()}`;
+    }
+
+    secondsUntil(date) {
+        return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,56 @@
+/**
+ * Rate Limit Configuration
+ * Per-route limits and login lockout policy
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+module.exports = {
+    // Backing store: 'memory' (single process) or 'mongo' (shared across instances)
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+
+    // Named limits referenced by the rateLimit middleware.
+    // keyBy decides what shares a counter: any of 'ip', 'user', 'route'.
+    routes: {
+        login: {
+            windowMs: 15 * MINUTE,
+            max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX) || 20,
+            keyBy: ['route', 'ip']
+        },
+        register: {
+            windowMs: HOUR,
+            max: 10,
+            keyBy: ['route', 'ip']
+        },
+        passwordReset: {
+            windowMs: HOUR,
+            max: 5,
+            keyBy: ['route', 'ip']
+        },
+        tokenRefresh: {
+            windowMs: 15 * MINUTE,
+            max: 60,
+            keyBy: ['route', 'ip']
+        },
+        // Each processed video costs AI spend
+        processVideo: {
+            windowMs: HOUR,
+            max: parseInt(process.env.RATE_LIMIT_PROCESS_VIDEO_MAX) || 20,
+            keyBy: ['route', 'user']
+        },
+        processBatch: {
+            windowMs: HOUR,
+            max: 5,
+            keyBy: ['route', 'user']
+        }
+    },
+
+    // Progressive lockout after repeated failed logins for the same account
+    loginLockout: {
+        threshold: 5,             // failures before the first lockout
+        baseLockoutMs: MINUTE,    // first lockout length, doubled for every further failure
+        maxLockoutMs: HOUR,
+        failureWindowMs: 24 * HOUR // failures older than this are forgotten
+    }
+};
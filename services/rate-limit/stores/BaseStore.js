@@ -0,0 +1,37 @@
+/**
+ * Base Rate Limit Store
+ * Abstract base class for fixed-window counter stores
+ */
+
+class BaseStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Count a hit against a key, starting a new window if the previous one has ended
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a fresh counter
+     * @returns {Promise<Object>} - { count, resetAt, updatedAt }
+     */
+    async increment(key, windowMs) {
+        throw new Error(`Increment method must be implemented by ${this.constructor.name}`);
+    }
+
+    /**
+     * Read a counter without changing it
+     * @returns {Promise<Object|null>} - { count, resetAt, updatedAt } or null if absent/expired
+     */
+    async get(key) {
+        throw new Error(`Get method must be implemented by ${this.constructor.name}`);
+    }
+
+    /**
+     * Clear a counter
+     */
+    async reset(key) {
+        throw new Error(`Reset method must be implemented by ${this.constructor.name}`);
+    }
+}
+
+module.exports = BaseStore;
@@ -0,0 +1,56 @@
+/**
+ * In-memory Rate Limit Store
+ * Map-based counters - fine for a single process, lost on restart
+ */
+
+const BaseStore = require('./BaseStore');
+
+class MemoryStore extends BaseStore {
+    constructor(cleanupIntervalMs = 60 * 1000) {
+        super('memory');
+        this.counters = new Map();
+
+        // Drop expired counters so the map doesn't grow without bound
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref();
+    }
+
+    async increment(key, windowMs) {
+        const now = new Date();
+        let counter = this.counters.get(key);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+        }
+
+        counter.count++;
+        counter.updatedAt = now;
+        this.counters.set(key, counter);
+
+        return { ...counter };
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        if (!counter || counter.resetAt <= new Date()) {
+            return null;
+        }
+
+        return { ...counter };
+    }
+
+    async reset(key) {
+        this.counters.delete(key);
+    }
+
+    cleanup() {
+        const now = new Date();
+        for (const [key, counter] of this.counters) {
+            if (counter.resetAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,54 @@
+/**
+ * MongoDB Rate Limit Store
+ * Counters shared by every API instance, stored in the RateLimitCounter collection
+ */
+
+const BaseStore = require('./BaseStore');
+const RateLimitCounter = require('../../../models/RateLimitCounter');
+
+class MongoStore extends BaseStore {
+    constructor() {
+        super('mongo');
+    }
+
+    async increment(key, windowMs) {
+        const now = new Date();
+        const windowOpen = { $gt: ['$resetAt', now] };
+
+        // Single atomic upsert: keep counting inside the current window, otherwise start a new one
+        const counter = await RateLimitCounter.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+                    resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] },
+                    updatedAt: now
+                }
+            }],
+            { upsert: true, new: true }
+        ).lean();
+
+        return {
+            count: counter.count,
+            resetAt: counter.resetAt,
+            updatedAt: counter.updatedAt
+        };
+    }
+
+    async get(key) {
+        const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+        if (!counter) return null;
+
+        return {
+            count: counter.count,
+            resetAt: counter.resetAt,
+            updatedAt: counter.updatedAt
+        };
+    }
+
+    async reset(key) {
+        await RateLimitCounter.deleteOne({ key });
+    }
+}
+
+module.exports = MongoStore;
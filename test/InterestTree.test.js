@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InterestTree = require('../services/interests/InterestTree');
+
+const errorPaths = result => result.errors.map(error => error.path);
+
+test('validate fills in defaults and accepts shorthand nodes', () => {
+    const result = InterestTree.validate({
+        ' AI ': {
+            priority: 9,
+            keywords: ['machine learning', 'Machine Learning'],
+            subcategories: { LLMs: 8, Vision: ['computer vision'] }
+        }
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.tree, {
+        AI: {
+            priority: 9,
+            keywords: ['machine learning'],
+            subcategories: {
+                LLMs: { priority: 8, keywords: [], subcategories: {} },
+                Vision: { priority: InterestTree.DEFAULT_PRIORITY, keywords: ['computer vision'], subcategories: {} }
+            }
+        }
+    });
+});
+
+test('validate rejects anything but an object of interests', () => {
+    for (const input of [null, 'AI', ['AI']]) {
+        const result = InterestTree.validate(input);
+        assert.equal(result.valid, false);
+        assert.equal(result.tree, null);
+        assert.deepEqual(errorPaths(result), ['interests']);
+    }
+});
+
+test('validate converts a legacy array of names when allowed', () => {
+    const result = InterestTree.validate(['AI', 'Rust'], { allowLegacyArray: true });
+    assert.equal(result.valid, true);
+    assert.deepEqual(Object.keys(result.tree), ['AI', 'Rust']);
+});
+
+test('validate reports bad fields with their path', () => {
+    const result = InterestTree.validate({
+        AI: {
+            priority: 11,
+            keywords: ['ok', ''],
+            color: 'blue',
+            subcategories: { LLMs: { dailyLimit: 5 } }
+        },
+        'a.b': {},
+        ai: {}
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(errorPaths(result), [
+        'AI',
+        'AI.priority',
+        'AI.keywords',
+        'AI > LLMs.dailyLimit',
+        'a.b',
+        'ai'
+    ]);
+});
+
+test('validate checks top-level quotas', () => {
+    assert.equal(InterestTree.validate({ AI: { minRelevance: 0.7, dailyLimit: 10 } }).valid, true);
+
+    const result = InterestTree.validate({ AI: { minRelevance: 2, dailyLimit: 0 } });
+    assert.deepEqual(errorPaths(result), ['AI.minRelevance', 'AI.dailyLimit']);
+});
+
+test('validate enforces the depth limit', () => {
+    let tree = {};
+    for (let depth = 0; depth <= InterestTree.LIMITS.maxDepth; depth++) {
+        tree = { [`Level ${depth}`]: { subcategories: tree } };
+    }
+
+    const result = InterestTree.validate(tree);
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0].msg, /nested at most/);
+});
+
+test('validateNode knows where the node will be placed', () => {
+    assert.equal(InterestTree.validateNode('LLMs', { priority: 8 }, ['AI']).valid, true);
+
+    const nested = InterestTree.validateNode('LLMs', { dailyLimit: 5 }, ['AI']);
+    assert.equal(nested.valid, false);
+    assert.equal(nested.node, null);
+    assert.deepEqual(errorPaths(nested), ['AI > LLMs.dailyLimit']);
+
+    assert.deepEqual(errorPaths(InterestTree.validateNode('A > B', {})), ['A > B']);
+    assert.deepEqual(errorPaths(InterestTree.validateNode('$where', {})), ['$where']);
+});
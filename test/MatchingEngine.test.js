@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MatchingEngine = require('../services/ai-analysis/matching/MatchingEngine');
+
+const matches = (text, term, options) => {
+    const matcher = MatchingEngine.createMatcher(options);
+    return matcher.matches(matcher.prepare(text), term);
+};
+
+test('acronyms match their spelled-out synonym both ways', () => {
+    assert.ok(matches('A survey of large language models', 'LLM'));
+    assert.ok(matches('Fine-tuning an LLM on a laptop', 'large language models'));
+    assert.ok(matches('Intro to machine learning', 'ML'));
+});
+
+test('terms match whole words only', () => {
+    assert.ok(!matches('He said it was fine', 'ai'));
+    assert.ok(matches('What AI means for search', 'ai'));
+});
+
+test('multi-word terms match as consecutive words', () => {
+    assert.ok(matches('Training language models at scale', 'language model'));
+    assert.ok(!matches('A model of natural language', 'language model'));
+});
+
+test('inflected words match the base term', () => {
+    assert.ok(matches('Using Rust for embedded work', 'use rust'));
+    assert.ok(matches('A deep analysis of the results', 'analyses'));
+    assert.ok(!matches('Morning news roundup', 'new'));
+});
+
+test('user synonyms extend the global dictionary', () => {
+    const synonyms = [{ term: 'Postgres', aliases: ['pg'] }];
+    assert.ok(matches('Tuning pg for write-heavy loads', 'postgres', { synonyms }));
+    assert.ok(!matches('Tuning pg for write-heavy loads', 'postgres'));
+});
+
+test('validateSynonyms rejects malformed entries and dedupes aliases', () => {
+    const invalid = MatchingEngine.validateSynonyms([{ term: '', aliases: [] }]);
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.errors.map(error => error.path), ['synonyms[0].term', 'synonyms[0].aliases']);
+
+    const valid = MatchingEngine.validateSynonyms([{ term: ' Rust ', aliases: ['rustlang', 'RustLang', 'rust'] }]);
+    assert.equal(valid.valid, true);
+    assert.deepEqual(valid.synonyms, [{ term: 'Rust', aliases: ['rustlang'] }]);
+});
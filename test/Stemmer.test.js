@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Stemmer = require('../services/ai-analysis/matching/Stemmer');
+
+const sameStem = words => new Set(words.map(word => Stemmer.stem(word))).size === 1;
+
+test('plurals reduce to the singular', () => {
+    assert.equal(Stemmer.stem('models'), Stemmer.stem('model'));
+    assert.equal(Stemmer.stem('libraries'), Stemmer.stem('library'));
+    assert.equal(Stemmer.stem('classes'), Stemmer.stem('class'));
+    assert.equal(Stemmer.stem('patches'), Stemmer.stem('patch'));
+});
+
+test('verb forms of a short verb ending in e reduce to the verb', () => {
+    for (const word of ['used', 'using', 'uses']) {
+        assert.equal(Stemmer.stem(word), 'use', word);
+    }
+});
+
+test('-ing and -ed forms share a stem', () => {
+    assert.ok(sameStem(['training', 'trained', 'train']));
+    assert.ok(sameStem(['running', 'run']));
+    assert.ok(sameStem(['installed', 'install']));
+    assert.ok(sameStem(['studied', 'study']));
+});
+
+test('-sis and -ses forms share a stem', () => {
+    assert.ok(sameStem(['analysis', 'analyses', 'analyse', 'analysed', 'analysing']));
+    assert.ok(sameStem(['hypothesis', 'hypotheses']));
+    assert.ok(sameStem(['crisis', 'crises']));
+});
+
+test('words whose ending is part of the word are kept whole', () => {
+    for (const word of ['news', 'series', 'species', 'canvas']) {
+        assert.equal(Stemmer.stem(word), word);
+    }
+    assert.notEqual(Stemmer.stem('news'), Stemmer.stem('new'));
+});
+
+test('short words and symbols are left alone', () => {
+    for (const word of ['ai', 'gpu', 'k8s', 'c++', 'c#', 'this']) {
+        assert.equal(Stemmer.stem(word), word);
+    }
+});